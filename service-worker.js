@@ -2,16 +2,46 @@
  * Service Worker for Golf Putting Speed Trainer PWA
  */
 
-const CACHE_NAME = 'golf-putting-speed-trainer-v1';
+// Bump the version whenever app files change: assets are served cache-first
+const CACHE_NAME = 'golf-putting-speed-trainer-v5';
 const ASSETS = [
   '/',
   '/index.html',
   '/manifest.json',
   '/src/css/styles.css',
   '/src/js/app.js',
+  '/src/js/camera/frame-buffer.js',
+  '/src/js/camera/frame-clock.js',
+  '/src/js/camera/camera-settings.js',
+  '/src/js/sources/frame-source.js',
+  '/src/js/sources/camera-frame-source.js',
+  '/src/js/sources/video-file-frame-source.js',
+  '/src/js/sources/image-sequence-frame-source.js',
+  '/src/js/sources/synthetic-frame-source.js',
   '/src/js/camera/camera-controller.js',
+  '/src/js/detection/model-registry.js',
+  '/src/js/detection/ball-center-refiner.js',
   '/src/js/detection/ball-detector.js',
+  '/src/js/detection/worker-ball-detector.js',
+  '/src/js/detection/detection-worker.js',
+  '/src/js/detection/classical-ball-detector.js',
+  '/src/js/detection/motion-trigger.js',
+  '/src/js/detection/marker-locator.js',
+  '/src/js/calculation/ground-plane-calibration.js',
   '/src/js/calculation/speed-calculator.js',
+  '/src/js/tracking/template-tracker.js',
+  '/src/js/tracking/corner-tracker.js',
+  '/src/js/tracking/roi-predictor.js',
+  '/src/js/tracking/ball-tracker.js',
+  '/src/js/tracking/stability-monitor.js',
+  '/src/js/storage/app-database.js',
+  '/src/js/storage/calibration-store.js',
+  '/src/js/storage/session-store.js',
+  '/src/js/analysis/stimp-meter.js',
+  '/src/js/analysis/pace-scorer.js',
+  '/src/js/analysis/direction-analyzer.js',
+  '/src/js/utils/matrix.js',
+  '/src/js/analysis/putt-analyzer.js',
   '/src/js/ui/ui-controller.js',
   // Add model files when available
   // '/src/models/model-golf-ball-detection.json',
@@ -0,0 +1,125 @@
+/**
+ * Direction Analyzer
+ * Measures whether the ball started on line: the launch angle of the fitted trajectory
+ * relative to a target line on the green, and how far off line the ball would be when it
+ * reaches the hole. Angles are positive to the right of the target line (seen from behind
+ * the ball), which is a push for a right-handed golfer.
+ */
+
+class DirectionAnalyzer {
+    constructor() {
+        this.ON_LINE_DEG = 0.5;           // Launch angles within this count as on line
+
+        // Target line on the green: {origin {x, y} cm or null (through the ball's start), direction unit {x, y}, source}
+        this.targetLine = null;
+    }
+
+    /**
+     * Use the line through two points on the green, aimed from the first to the second
+     * @param {Object} from - {x, y} in cm on the green, behind the ball
+     * @param {Object} to - {x, y} in cm on the green, towards the target
+     */
+    setTargetLine(from, to) {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        if (length < 1) {
+            throw new Error('Target line points are too close together');
+        }
+        this.targetLine = {
+            origin: { x: from.x, y: from.y },
+            direction: { x: (to.x - from.x) / length, y: (to.y - from.y) / length },
+            source: 'taps'
+        };
+        console.log(`Target line set from (${from.x.toFixed(1)}, ${from.y.toFixed(1)}) to (${to.x.toFixed(1)}, ${to.y.toFixed(1)}) cm`);
+    }
+
+    /**
+     * Aim parallel to the edge from marker 1 to marker 2, through wherever the ball starts.
+     * That edge is the green x axis, so this needs a calibrated ground plane.
+     */
+    setMarkerTargetLine() {
+        this.targetLine = {
+            origin: null,
+            direction: { x: 1, y: 0 },
+            source: 'markers'
+        };
+        console.log('Target line set parallel to markers 1-2');
+    }
+
+    /**
+     * Forget the target line
+     */
+    clear() {
+        this.targetLine = null;
+    }
+
+    /**
+     * Whether a target line has been set
+     * @returns {boolean}
+     */
+    hasTargetLine() {
+        return this.targetLine !== null;
+    }
+
+    /**
+     * Analyze a putt's start line
+     * @param {Object} measurement - Measurement from SpeedCalculator.calculateSpeed()
+     * @param {Object} hole - {distance, point} from PaceScorer.getHole(), or null
+     * @returns {Object|null} {launchAngle, launchAngleStd (deg), side ('left' | 'right' | 'on line'), startOffset,
+     *                         holeDistance, lateralMissAtHole (m, positive right; null without a hole the ball
+     *                         reaches), source}, or null without a target line or a measurement
+     */
+    analyze(measurement, hole = null) {
+        if (!this.targetLine || !measurement || !measurement.measured || !measurement.launchDirection) {
+            return null;
+        }
+
+        const start = measurement.rollout.startPoint;
+        const launch = measurement.launchDirection;
+        const line = this.targetLine.direction;
+        // A marker line has no fixed direction along the edge; aim it the way the ball went
+        const sign = this.targetLine.source === 'markers' && launch.x * line.x + launch.y * line.y < 0 ? -1 : 1;
+        const d = { x: line.x * sign, y: line.y * sign };
+        const origin = this.targetLine.origin || start;
+
+        // Along-line and right-of-line coordinates; with y pointing down on the green, right of d is (-d.y, d.x)
+        const along = point => (point.x - origin.x) * d.x + (point.y - origin.y) * d.y;
+        const across = point => (point.y - origin.y) * d.x - (point.x - origin.x) * d.y;
+
+        const launchAngle = Math.atan2(launch.y * d.x - launch.x * d.y, launch.x * d.x + launch.y * d.y) * 180 / Math.PI;
+        const startOffset = across(start) / 100;
+
+        // Off-line distance of the (straight) launch line at the hole
+        let holeDistance = null;
+        let lateralMissAtHole = null;
+        if (hole) {
+            const holeAlong = hole.point ? along(hole.point) : along(start) + hole.distance * 100;
+            const holeAcross = hole.point ? across(hole.point) : across(start);
+            const forward = launch.x * d.x + launch.y * d.y;
+            holeDistance = (holeAlong - along(start)) / 100;
+            if (forward > 0 && holeDistance > 0) {
+                const travel = (holeAlong - along(start)) / forward;
+                const pathAcross = across(start) + travel * (launch.y * d.x - launch.x * d.y);
+                lateralMissAtHole = (pathAcross - holeAcross) / 100;
+            }
+        }
+
+        let side = 'on line';
+        if (Math.abs(launchAngle) > this.ON_LINE_DEG) {
+            side = launchAngle > 0 ? 'right' : 'left';
+        }
+
+        const result = {
+            launchAngle: launchAngle,
+            launchAngleStd: measurement.launchDirectionStd,
+            side: side,
+            startOffset: startOffset,
+            holeDistance: holeDistance,
+            lateralMissAtHole: lateralMissAtHole,
+            source: this.targetLine.source
+        };
+
+        console.log(`Start line: ${launchAngle >= 0 ? '+' : ''}${launchAngle.toFixed(2)} deg (${side})` +
+            (lateralMissAtHole !== null ? `, ${(lateralMissAtHole * 100).toFixed(1)} cm off at the hole` : ''));
+        return result;
+    }
+}
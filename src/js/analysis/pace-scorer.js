@@ -0,0 +1,141 @@
+/**
+ * Pace Scorer
+ * Scores a putt's pace against a hole: where the ball would have finished relative to the
+ * hole, how fast it would have reached it, and the range of starting speeds that would have
+ * finished it dead weight. Works from the roll-out prediction, so it also scores putts
+ * whose ball leaves the frame long before the hole.
+ */
+
+class PaceScorer {
+    constructor() {
+        // Finishing up to this far past the hole is dead weight; the "17 inches past" rule
+        this.DEAD_WEIGHT_PAST_M = 0.45;
+        this.IDEAL_PAST_M = 0.3;
+        // A ball reaching the centre of the hole faster than this lips out even when straight
+        this.MAX_CAPTURE_SPEED = 1.63;    // m/s
+        // Score falls off faster for short putts than for long ones ("never up, never in")
+        this.SHORT_SCALE_M = 0.25;
+        this.LONG_SCALE_M = 0.5;
+
+        // Target: a distance along the putt line, or a point on the green (cm); the point wins
+        this.holeDistance = null;         // m
+        this.holePoint = null;            // {x, y} in cm on the green
+    }
+
+    /**
+     * Score against a hole at a distance from the ball along the putt line
+     * @param {number} distance - Hole distance in m, or null to clear
+     */
+    setHoleDistance(distance) {
+        if (distance !== null && !(distance > 0)) {
+            throw new Error('Hole distance must be greater than zero');
+        }
+        this.holeDistance = distance;
+        this.holePoint = null;
+        console.log(distance !== null ? `Hole set ${distance.toFixed(2)} m from the ball` : 'Hole cleared');
+    }
+
+    /**
+     * Score against a hole position on the green
+     * @param {Object} point - {x, y} in cm on the green, or null to clear
+     */
+    setHolePoint(point) {
+        this.holePoint = point ? { x: point.x, y: point.y } : null;
+        console.log(point ? `Hole set at (${point.x.toFixed(1)}, ${point.y.toFixed(1)}) cm on the green` : 'Hole cleared');
+    }
+
+    /**
+     * Whether a hole has been set
+     * @returns {boolean}
+     */
+    hasHole() {
+        return this.holeDistance !== null || this.holePoint !== null;
+    }
+
+    /**
+     * The hole target
+     * @returns {Object|null} {distance (m) or null, point ({x, y} cm) or null}, or null when not set
+     */
+    getHole() {
+        return this.hasHole() ? { distance: this.holeDistance, point: this.holePoint } : null;
+    }
+
+    /**
+     * Score a putt's pace
+     * @param {Object} measurement - Measurement from SpeedCalculator.calculateSpeed()
+     * @returns {Object|null} {holeDistance, finishPastHole, lateralMiss, holeSpeed, capturable, classification,
+     *                         score, captureWindow: {low, high}, maxCaptureStartSpeed}, or null without a
+     *                         hole or a measurement. Distances in m (lateralMiss null without a hole point),
+     *                         speeds in m/s, classification 'short' | 'dead weight' | 'firm', score 0-100.
+     */
+    score(measurement) {
+        if (!this.hasHole() || !measurement || !measurement.measured || !measurement.rollout) {
+            return null;
+        }
+
+        const rollout = measurement.rollout;
+        const deceleration = rollout.deceleration;
+        let holeDistance;
+        let finishPastHole;
+        let lateralMiss = null;
+
+        if (this.holePoint) {
+            // Measure along the line the ball actually rolled
+            const start = rollout.startPoint;
+            const stop = rollout.stopPoint;
+            const length = Math.hypot(stop.x - start.x, stop.y - start.y);
+            if (length === 0) return null;
+            const dirX = (stop.x - start.x) / length;
+            const dirY = (stop.y - start.y) / length;
+            const toHoleX = this.holePoint.x - start.x;
+            const toHoleY = this.holePoint.y - start.y;
+            holeDistance = (toHoleX * dirX + toHoleY * dirY) / 100;
+            finishPastHole = rollout.rollDistance - holeDistance;
+            lateralMiss = (toHoleX * dirY - toHoleY * dirX) / 100;
+        } else {
+            holeDistance = this.holeDistance;
+            finishPastHole = rollout.rollDistance - holeDistance;
+        }
+
+        // With constant deceleration the speed at the hole only depends on how far past it the ball stops
+        const holeSpeed = finishPastHole > 0 ? Math.sqrt(2 * deceleration * finishPastHole) : 0;
+        const capturable = finishPastHole >= 0 && holeSpeed <= this.MAX_CAPTURE_SPEED;
+
+        let classification;
+        if (finishPastHole < 0) {
+            classification = 'short';
+        } else if (finishPastHole <= this.DEAD_WEIGHT_PAST_M) {
+            classification = 'dead weight';
+        } else {
+            classification = 'firm';
+        }
+
+        const error = finishPastHole - this.IDEAL_PAST_M;
+        const scale = error < 0 ? this.SHORT_SCALE_M : this.LONG_SCALE_M;
+        const score = Math.round(100 * Math.exp(-0.5 * (error / scale) * (error / scale)));
+
+        // Starting speeds that finish between the hole and the dead-weight limit
+        const startSpeed = pastHole => Math.sqrt(2 * deceleration * Math.max(0, holeDistance + pastHole));
+        const maxCapturePast = (this.MAX_CAPTURE_SPEED * this.MAX_CAPTURE_SPEED) / (2 * deceleration);
+
+        const result = {
+            holeDistance: holeDistance,
+            finishPastHole: finishPastHole,
+            lateralMiss: lateralMiss,
+            holeSpeed: holeSpeed,
+            capturable: capturable,
+            classification: classification,
+            score: score,
+            captureWindow: {
+                low: startSpeed(0),
+                high: startSpeed(this.DEAD_WEIGHT_PAST_M)
+            },
+            maxCaptureStartSpeed: startSpeed(maxCapturePast)
+        };
+
+        console.log(`Pace: ${classification}, ${finishPastHole >= 0 ? 'past' : 'short'} by ` +
+            `${Math.abs(finishPastHole).toFixed(2)} m (score ${score}), dead-weight start speed ` +
+            `${result.captureWindow.low.toFixed(2)}-${result.captureWindow.high.toFixed(2)} m/s`);
+        return result;
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * Putt Analyzer
+ * Runs a recorded frame sequence through detection and speed calculation
+ */
+
+class PuttAnalyzer {
+    /**
+     * @param {BallDetector} ballDetector - Detector used on every frame
+     * @param {SpeedCalculator} speedCalculator - Calculator for the final speed
+     */
+    constructor(ballDetector, speedCalculator) {
+        this.ballDetector = ballDetector;
+        this.speedCalculator = speedCalculator;
+        this.ballClassName = 'ball_golf';
+
+        // ROI mode: once the ball is found, search a native-resolution crop around its predicted position
+        this.useRoi = true;
+        this.roiPredictor = new RoiPredictor();
+
+        // Links detections across frames into a smoothed ball trajectory
+        this.ballTracker = new BallTracker();
+        this.REFINED_STD_PX = 0.5;         // Position noise of a good sub-pixel center
+        this.BOX_STD_FRACTION = 0.1;       // Position noise of a box center, as a fraction of box width
+
+        // Optional second detector run on frames where the ball was found, to cross-check positions
+        this.crossCheckDetector = null;
+        this.CROSS_CHECK_TOLERANCE_PX = 6;
+
+        // Optional live marker history, used to catch camera movement during a recording
+        this.stabilityMonitor = null;
+
+        // Optional hole target; when set, each putt is also scored on pace
+        this.paceScorer = null;
+
+        // Optional target line; when set, each putt's start line is also analyzed
+        this.directionAnalyzer = null;
+    }
+
+    /**
+     * Analyze a recorded sequence of frames
+     * @param {Array} frames - Frames with {timestamp, image} (image is any drawable: ImageBitmap, canvas, ...)
+     * @param {Function} onProgress - Optional callback (processedCount, totalCount)
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyze(frames, onProgress = null) {
+        if (!frames || frames.length === 0) {
+            throw new Error('No frames to analyze');
+        }
+
+        console.log(`Analyzing ${frames.length} frames...`);
+        const startTime = performance.now();
+        let detectedCount = 0;
+        let roiCount = 0;
+        let fullFrameCount = 0;
+        this.roiPredictor.reset();
+
+        // Detectors that compare against a background (the classical fallback) build it from the recording
+        if (typeof this.ballDetector.prepareBackground === 'function') {
+            await this.ballDetector.prepareBackground(frames);
+        }
+
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i];
+            const roi = this.useRoi ? this.getRoi(frame) : null;
+
+            // Every recorded frame is needed, so a worker detector queues them instead of dropping
+            let detections = (await this.ballDetector.detectObjects(frame.image, roi, { queue: true })) || [];
+            let ball = this.selectBallDetection(detections);
+            if (roi) {
+                roiCount++;
+            } else {
+                fullFrameCount++;
+            }
+
+            // Lost in the crop: search the whole frame before giving up on this frame
+            let searchedRoi = roi;
+            if (!ball && roi) {
+                detections = (await this.ballDetector.detectObjects(frame.image, null, { queue: true })) || [];
+                ball = this.selectBallDetection(detections);
+                searchedRoi = null;
+                fullFrameCount++;
+            }
+
+            // With an ROI the detections only cover the crop
+            frame.detections = detections;
+            frame.roi = searchedRoi;
+            if (ball) {
+                frame.ballPosition = {
+                    x: ball.bbox.x + ball.bbox.width / 2,
+                    y: ball.bbox.y + ball.bbox.height / 2
+                };
+                // Sub-pixel edge fit {x, y, radius, quality}, when the detector could make one
+                frame.ballCenter = ball.center || null;
+                this.roiPredictor.update(frame.timestamp, frame.ballPosition);
+                detectedCount++;
+            } else {
+                frame.ballPosition = null;
+                frame.ballCenter = null;
+                this.roiPredictor.reset();
+            }
+
+            if (onProgress) {
+                onProgress(i + 1, frames.length);
+            }
+        }
+
+        const crossCheck = this.crossCheckDetector ? await this.crossCheck(frames) : null;
+        const track = this.trackBall(frames);
+        const stability = this.checkStability(frames, startTime);
+
+        const measurement = this.speedCalculator.calculateSpeed(frames);
+        const durationMs = frames[frames.length - 1].timestamp - frames[0].timestamp;
+        const droppedFrames = frames.reduce((sum, frame) => sum + (frame.droppedBefore || 0), 0);
+
+        console.log(`Analysis finished in ${Math.round(performance.now() - startTime)}ms: ball found in ${detectedCount}/${frames.length} frames`);
+        console.log(`Detection passes: ${roiCount} ROI, ${fullFrameCount} full frame`);
+
+        return {
+            // Initial (launch) speed in m/s, or null when the frames gave no measurement
+            speed: measurement.measured ? measurement.initialSpeed : null,
+            measurement: measurement,
+            // How image positions became distances: 'markers' (ground plane) or 'pixel-ratio' (assumes an overhead camera)
+            calibration: this.speedCalculator.usesGroundPlane() ? 'markers' : 'pixel-ratio',
+            // Camera movement check: null when it couldn't be made (e.g. imported video, no markers)
+            stability: stability,
+            reliable: !stability || stability.status !== 'unreliable',
+            // Pace against the hole, or null without a hole or a measurement
+            pace: this.paceScorer ? this.paceScorer.score(measurement) : null,
+            // Start line against the target line, or null without a target line or a measurement
+            direction: this.directionAnalyzer
+                ? this.directionAnalyzer.analyze(measurement, this.paceScorer ? this.paceScorer.getHole() : null)
+                : null,
+            frameCount: frames.length,
+            detectedCount: detectedCount,
+            droppedFrames: droppedFrames,
+            durationMs: durationMs,
+            roiCount: roiCount,
+            fullFrameCount: fullFrameCount,
+            crossCheck: crossCheck,
+            trackId: track ? track.id : null,
+            trackCount: this.ballTracker.tracks.length,
+            trackedCount: frames.filter(frame => frame.trackPoint).length
+        };
+    }
+
+    /**
+     * Check the live marker history for camera movement between the start of the recording
+     * and the analysis. If the camera moved, every frame gets its own ground-plane calibration
+     * from where the markers were when it was captured; if that isn't possible the result is
+     * marked unreliable.
+     * @param {Array} frames - Recorded frames with receivedAt (page clock)
+     * @param {number} analysisTime - Page-clock time the ground plane was calibrated
+     * @returns {Object|null} {status: 'stable' | 'compensated' | 'unreliable', maxShiftPx}, or null if it can't be checked
+     */
+    checkStability(frames, analysisTime) {
+        if (!this.stabilityMonitor || !Number.isFinite(frames[0].receivedAt)) return null;
+
+        const motion = this.stabilityMonitor.getMotion(frames[0].receivedAt, analysisTime);
+        if (!motion) return null;
+        if (!motion.moved) {
+            return { status: 'stable', maxShiftPx: motion.maxShiftPx };
+        }
+
+        // Only frames with a ball position feed the speed calculation
+        const ballFrames = frames.filter(frame => frame.trackPoint || frame.ballPosition);
+        const groundPlane = this.speedCalculator.groundPlane;
+        const calibrations = ballFrames.map(frame => {
+            if (!groundPlane || !groundPlane.isCalibrated()) return null;
+            const positions = this.stabilityMonitor.getPositionsAt(frame.receivedAt);
+            if (!positions) return null;
+            try {
+                const calibration = new GroundPlaneCalibration();
+                calibration.setMarkers(positions, groundPlane.layoutCm);
+                return calibration;
+            } catch (error) {
+                return null;
+            }
+        });
+
+        if (calibrations.some(calibration => !calibration)) {
+            console.warn(`Camera moved ${motion.maxShiftPx.toFixed(1)} px during the recording and could not be compensated`);
+            return { status: 'unreliable', maxShiftPx: motion.maxShiftPx };
+        }
+
+        ballFrames.forEach((frame, i) => {
+            frame.groundPlane = calibrations[i];
+        });
+        console.log(`Camera moved ${motion.maxShiftPx.toFixed(1)} px during the recording; using per-frame calibration`);
+        return { status: 'compensated', maxShiftPx: motion.maxShiftPx };
+    }
+
+    /**
+     * Read every frame from a frame source and analyze the sequence
+     * @param {FrameSource} source - Source to read from (camera, file, image sequence, synthetic)
+     * @param {Object} options - {maxFrames, onProgress}
+     * @returns {Promise<Object>} Analysis result with the analyzed frames attached
+     */
+    async analyzeSource(source, options = {}) {
+        const { maxFrames = 600, onProgress = null } = options;
+
+        console.log(`Reading frames from ${source.name}...`);
+        const frames = await source.readAll(maxFrames);
+        source.close();
+
+        const result = await this.analyze(frames, onProgress);
+        result.frames = frames;
+        return result;
+    }
+
+    /**
+     * Link the ball detections of all frames into tracks and attach the smoothed trajectory
+     * of the putted ball to its frames as frame.trackPoint (coasted frames included)
+     * @param {Array} frames - Analyzed frames with detections
+     * @returns {Object|null} Primary track, or null if no track was confirmed
+     */
+    trackBall(frames) {
+        this.ballTracker.reset();
+
+        frames.forEach((frame, index) => {
+            frame.trackPoint = null;
+            // A duplicated frame repeats an earlier exposure and carries no new timing
+            if (frame.isDuplicate) return;
+
+            const measurements = (frame.detections || [])
+                .filter(detection => detection.class === this.ballClassName)
+                .map(detection => this.toMeasurement(detection));
+            this.ballTracker.update(frame.timestamp, measurements, index);
+        });
+
+        this.ballTracker.finish();
+        const track = this.ballTracker.getPrimaryTrack();
+        if (!track) {
+            console.warn('Ball tracker: no confirmed track');
+            return null;
+        }
+
+        // Include the ball at rest before the stroke, which the tracker keeps as a separate track
+        const resting = this.ballTracker.getPrecedingTrack(track);
+        const trajectory = (resting ? this.ballTracker.getTrajectory(resting) : [])
+            .concat(this.ballTracker.getTrajectory(track));
+        trajectory.forEach(point => {
+            const frame = frames[point.frameNumber];
+            if (frame) {
+                frame.trackPoint = point;
+            }
+        });
+
+        console.log(`Ball tracker: ${this.ballTracker.tracks.length} track(s), using track ${track.id}` +
+            (resting ? ` after resting track ${resting.id}` : '') + ` with ${trajectory.length} points`);
+        return track;
+    }
+
+    /**
+     * Tracker measurement for a ball detection: the refined center when its fit is good, else the box center
+     * @param {Object} detection - Ball detection with bbox and optional center
+     * @returns {Object} {x, y, std}
+     */
+    toMeasurement(detection) {
+        const center = detection.center;
+        if (center && center.quality >= this.speedCalculator.MIN_CENTER_QUALITY) {
+            return { x: center.x, y: center.y, std: this.REFINED_STD_PX / center.quality };
+        }
+        return {
+            x: detection.bbox.x + detection.bbox.width / 2,
+            y: detection.bbox.y + detection.bbox.height / 2,
+            std: Math.max(1, detection.bbox.width * this.BOX_STD_FRACTION)
+        };
+    }
+
+    /**
+     * Run the cross-check detector around every ball position and measure how well the two agree
+     * @param {Array} frames - Analyzed frames with ballPosition
+     * @returns {Promise<Object>} {compared, agreed, meanOffsetPx}
+     */
+    async crossCheck(frames) {
+        const detector = this.crossCheckDetector;
+        if (typeof detector.prepareBackground === 'function') {
+            await detector.prepareBackground(frames);
+        }
+
+        let compared = 0;
+        let agreed = 0;
+        let offsetSum = 0;
+
+        for (const frame of frames) {
+            if (!frame.ballPosition) continue;
+
+            const detections = (await detector.detectObjects(frame.image, null, { queue: true })) || [];
+            const ball = this.selectBallDetection(detections);
+            compared++;
+            if (!ball) continue;
+
+            const offset = Math.hypot(
+                ball.bbox.x + ball.bbox.width / 2 - frame.ballPosition.x,
+                ball.bbox.y + ball.bbox.height / 2 - frame.ballPosition.y
+            );
+            frame.crossCheckOffset = offset;
+            if (offset <= this.CROSS_CHECK_TOLERANCE_PX) {
+                agreed++;
+                offsetSum += offset;
+            }
+        }
+
+        const result = {
+            compared: compared,
+            agreed: agreed,
+            meanOffsetPx: agreed > 0 ? offsetSum / agreed : null
+        };
+        console.log('Detector cross-check:', result);
+        return result;
+    }
+
+    /**
+     * Crop to search for a frame, sized to the detector input so the crop is used at native resolution
+     * @param {Object} frame - Frame with {timestamp, image, width, height}
+     * @returns {Object|null} ROI {x, y, width, height}, or null for a full-frame search
+     */
+    getRoi(frame) {
+        const width = frame.width || frame.image.width;
+        const height = frame.height || frame.image.height;
+        return this.roiPredictor.getRoi(frame.timestamp, width, height, {
+            width: this.ballDetector.inputWidth,
+            height: this.ballDetector.inputHeight
+        });
+    }
+
+    /**
+     * Pick the most confident golf ball detection
+     * @param {Array} detections - Detections from the ball detector
+     * @returns {Object|null} Best ball detection or null
+     */
+    selectBallDetection(detections) {
+        let best = null;
+        for (const detection of detections) {
+            if (detection.class !== this.ballClassName) continue;
+            if (!best || detection.confidence > best.confidence) {
+                best = detection;
+            }
+        }
+        return best;
+    }
+}
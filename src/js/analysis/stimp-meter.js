@@ -0,0 +1,115 @@
+/**
+ * Stimp Meter
+ * Measures green speed from balls rolled off a stimpmeter or ramp. Each recorded roll goes
+ * through the normal trajectory fit; its deceleration gives the distance a ball released at
+ * the stimpmeter speed would roll. Rolls are averaged per direction as in the standard
+ * procedure, but the reading averages decelerations rather than distances: a uniform slope
+ * adds as much deceleration uphill as it removes downhill, so the mean of the two directions
+ * is the level-green value. Averaging distances would overstate it on a slope; the result is
+ * the same as the harmonic (Brede) correction 2 * up * down / (up + down).
+ */
+
+class StimpMeter {
+    constructor() {
+        this.RELEASE_SPEED = 1.83;        // m/s, speed of a ball leaving a stimpmeter
+        this.FEET_PER_METRE = 3.28084;
+        this.ROLLS_PER_DIRECTION = 3;     // Standard procedure: three balls each way
+        this.MAX_SPREAD_CM = 20;          // Rolls in one direction should finish within 8 inches
+
+        this.rolls = [];                  // {distance (m), deceleration (m/s^2), direction ('forward' | 'back')}
+        this.forwardDirection = null;     // Unit vector of the first roll on the green
+    }
+
+    /**
+     * Add a recorded roll
+     * @param {Object} measurement - Measurement from SpeedCalculator.calculateSpeed()
+     * @returns {Object} The roll {distance, deceleration, direction}
+     * @throws {Error} If the roll's deceleration wasn't measured
+     */
+    addRoll(measurement) {
+        if (!measurement || !measurement.measured) {
+            throw new Error(measurement ? measurement.reason : 'No measurement');
+        }
+        const rollout = measurement.rollout;
+        if (!rollout || rollout.decelerationSource !== 'fit') {
+            throw new Error('Deceleration could not be measured; record more of the roll');
+        }
+
+        const dx = rollout.stopPoint.x - rollout.startPoint.x;
+        const dy = rollout.stopPoint.y - rollout.startPoint.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) {
+            throw new Error('Ball did not move');
+        }
+        if (!this.forwardDirection) {
+            this.forwardDirection = { x: dx / length, y: dy / length };
+        }
+        const forward = dx * this.forwardDirection.x + dy * this.forwardDirection.y >= 0;
+
+        const roll = {
+            distance: (this.RELEASE_SPEED * this.RELEASE_SPEED) / (2 * rollout.deceleration),
+            deceleration: rollout.deceleration,
+            direction: forward ? 'forward' : 'back'
+        };
+        this.rolls.push(roll);
+        console.log(`Stimp roll ${this.rolls.length} (${roll.direction}): ` +
+            `deceleration ${roll.deceleration.toFixed(3)} m/s^2, ${roll.distance.toFixed(2)} m`);
+        return roll;
+    }
+
+    /**
+     * Forget all rolls
+     */
+    reset() {
+        this.rolls = [];
+        this.forwardDirection = null;
+    }
+
+    /**
+     * Mean and spread of the rolls in one direction
+     * @param {string} direction - 'forward' or 'back'
+     * @returns {Object} {count, distance (m), deceleration (m/s^2), spreadCm}; distance and
+     *                   deceleration are null without rolls
+     */
+    getDirectionSummary(direction) {
+        const rolls = this.rolls.filter(roll => roll.direction === direction);
+        if (rolls.length === 0) {
+            return { count: 0, distance: null, deceleration: null, spreadCm: null };
+        }
+        const distances = rolls.map(roll => roll.distance);
+        const deceleration = rolls.reduce((sum, roll) => sum + roll.deceleration, 0) / rolls.length;
+        return {
+            count: rolls.length,
+            // Distance at the mean deceleration, so it agrees with the reading
+            distance: (this.RELEASE_SPEED * this.RELEASE_SPEED) / (2 * deceleration),
+            deceleration: deceleration,
+            spreadCm: (Math.max(...distances) - Math.min(...distances)) * 100
+        };
+    }
+
+    /**
+     * Green speed from the rolls so far
+     * @returns {Object|null} {stimpFeet, stimpMetres, deceleration, forward, back, complete, consistent},
+     *                        or null until there is a roll in each direction
+     */
+    getReading() {
+        const forward = this.getDirectionSummary('forward');
+        const back = this.getDirectionSummary('back');
+        if (forward.count === 0 || back.count === 0) {
+            return null;
+        }
+
+        // Deceleration of a ball on this green, for predicting roll-out
+        const deceleration = (forward.deceleration + back.deceleration) / 2;
+        const stimpMetres = (this.RELEASE_SPEED * this.RELEASE_SPEED) / (2 * deceleration);
+        return {
+            stimpFeet: stimpMetres * this.FEET_PER_METRE,
+            stimpMetres: stimpMetres,
+            deceleration: deceleration,
+            forward: forward,
+            back: back,
+            complete: forward.count >= this.ROLLS_PER_DIRECTION && back.count >= this.ROLLS_PER_DIRECTION,
+            consistent: forward.spreadCm <= this.MAX_SPREAD_CM && back.spreadCm <= this.MAX_SPREAD_CM
+        };
+    }
+}
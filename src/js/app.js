@@ -64,47 +64,153 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Initialize controllers
     const cameraController = new CameraController();
-    const ballDetector = new BallDetector();
+    // Run inference in a worker where supported so the live preview keeps its frame rate
+    const ballDetector = WorkerBallDetector.isSupported() ? new WorkerBallDetector() : new BallDetector();
     const speedCalculator = new SpeedCalculator();
     const uiController = new UIController();
     
+    // Ball positions are mapped onto the green through the tracked markers once they are set up
+    const groundPlane = new GroundPlaneCalibration();
+    speedCalculator.setGroundPlane(groundPlane);
+    uiController.showGroundPlaneState(groundPlane);
+    const puttAnalyzer = new PuttAnalyzer(ballDetector, speedCalculator);
+    
+    // Non-ML detector: keeps measuring when the model can't load, and cross-checks the model in the synthetic test
+    const classicalDetector = new ClassicalBallDetector(ballDetector.debugLogger);
+    ballDetector.fallbackDetector = classicalDetector;
+    const motionTrigger = new MotionTrigger();
+    const markerLocator = new MarkerLocator(ballDetector);
+    
+    // Live marker history: flags (or compensates) putts recorded while the camera moved
+    const stabilityMonitor = new StabilityMonitor();
+    uiController.stabilityMonitor = stabilityMonitor;
+    puttAnalyzer.stabilityMonitor = stabilityMonitor;
+    
+    // Hole target: putts are scored on pace once it is set
+    const paceScorer = new PaceScorer();
+    puttAnalyzer.paceScorer = paceScorer;
+    uiController.showHole(null);
+    
+    // Target line: putts are also analyzed for their start line once it is set
+    const directionAnalyzer = new DirectionAnalyzer();
+    puttAnalyzer.directionAnalyzer = directionAnalyzer;
+    uiController.showTargetLine(null);
+    
+    const modelRegistry = new ModelRegistry();
+    
+    // Named marker setups and practice sessions survive reloads where IndexedDB is available
+    const appDatabase = AppDatabase.isSupported() ? new AppDatabase() : null;
+    const calibrationStore = appDatabase ? new CalibrationStore(appDatabase) : null;
+    
+    // Practice session: the green speed and the putts hit on it, kept across reloads
+    const sessionStore = appDatabase ? new SessionStore(appDatabase) : null;
+    const stimpMeter = new StimpMeter();
+    let stimpMode = false;
+    const sessionReady = sessionStore
+        ? sessionStore.getCurrentSession().then(session => {
+            speedCalculator.setGreenSpeed(session.greenSpeed);
+            uiController.showGreenSpeed(session.greenSpeed);
+            return session;
+        }).catch(error => {
+            console.error('Error opening the practice session:', error);
+            uiController.showGreenSpeed(null, 'Sessions are not saved in this browser');
+            return null;
+        })
+        : Promise.resolve(null);
+    if (!sessionStore) {
+        uiController.showGreenSpeed(null);
+    }
+    
     // Connect UI controller to camera controller for tracking integration
     cameraController.uiController = uiController;
     
+    // Auto-trigger watches the live frames and draws its start zone on the display
+    cameraController.motionTrigger = motionTrigger;
+    uiController.motionTrigger = motionTrigger;
+    let autoArmEnabled = false;
+    
     // Make camera controller globally accessible for UI controller
     window.cameraController = cameraController;
     
     // DOM elements
     const startCameraBtn = document.getElementById('start-camera');
     const captureBtn = document.getElementById('capture-button');
+    const recordBtn = document.getElementById('record-button');
+    const setZoneBtn = document.getElementById('set-zone-button');
+    const autoArmBtn = document.getElementById('auto-arm-button');
     const newCaptureBtn = document.getElementById('new-capture-button');
     const backToLiveBtn = document.getElementById('back-to-live-button');
     const analyzeBtn = document.getElementById('analyze-button');
     const loadSampleBtn = document.getElementById('load-sample-button');
+    const loadVideoBtn = document.getElementById('load-video-button');
+    const videoFileInput = document.getElementById('video-file-input');
     const clearDebugLogBtn = document.getElementById('clear-debug-log');
+    const syntheticTestBtn = document.getElementById('synthetic-test-button');
+    
+    // Camera settings elements
+    const cameraDeviceSelect = document.getElementById('camera-device-select');
+    const cameraResolutionSelect = document.getElementById('camera-resolution-select');
+    const cameraFpsSelect = document.getElementById('camera-fps-select');
+    const lockCameraBtn = document.getElementById('lock-camera-button');
+    const modelSelect = document.getElementById('model-select');
+    const markerLayoutWidthInput = document.getElementById('marker-layout-width');
+    const markerLayoutHeightInput = document.getElementById('marker-layout-height');
+    
+    // Calibration profile elements
+    const saveProfileBtn = document.getElementById('save-profile-button');
+    const restoreProfileBtn = document.getElementById('restore-profile-button');
+    const deleteProfileBtn = document.getElementById('delete-profile-button');
+    const stimpModeBtn = document.getElementById('stimp-mode-button');
+    
+    // Hole elements
+    const holeDistanceInput = document.getElementById('hole-distance-input');
+    const setHoleBtn = document.getElementById('set-hole-button');
+    const setTargetLineBtn = document.getElementById('set-target-line-button');
+    const markerTargetLineBtn = document.getElementById('marker-target-line-button');
     
     // Setup mode elements
     const setupMarkersBtn = document.getElementById('setup-markers-button');
     const recalibrateBtn = document.getElementById('recalibrate-button');
     const confirmSetupBtn = document.getElementById('confirm-setup-button');
     const cancelSetupBtn = document.getElementById('cancel-setup-button');
+    const autoSetupBtn = document.getElementById('auto-setup-button');
     const setupInstructionsContainer = document.getElementById('setup-instructions-container');
     
     console.log('Elements found:', {
         startCameraBtn,
         captureBtn,
+        recordBtn,
+        setZoneBtn,
+        autoArmBtn,
         newCaptureBtn,
         backToLiveBtn,
         analyzeBtn,
         loadSampleBtn,
+        loadVideoBtn,
         clearDebugLogBtn,
         setupMarkersBtn,
         recalibrateBtn,
         confirmSetupBtn,
         cancelSetupBtn,
+        autoSetupBtn,
         setupInstructionsContainer
     });
     
+    // Discover the shipped models and select the default before anything loads one
+    const modelsReady = modelRegistry.discover().then(models => {
+        const model = modelRegistry.getDefault();
+        if (!model) {
+            console.error('No detection models found');
+            ballDetector.debugLogger.log('No detection models found', 'error');
+            return;
+        }
+        ballDetector.setModelConfig(model);
+        uiController.showModelOptions(models, model.id);
+        uiController.showModelState(model, false);
+    }).catch(error => {
+        console.error('Error discovering detection models:', error);
+    });
+    
     // Initialize event listeners
     startCameraBtn.addEventListener('click', async () => {
         console.log('Start camera button clicked');
@@ -125,11 +231,17 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Animation loop started');
             
             captureBtn.disabled = false;
+            recordBtn.disabled = false;
+            setZoneBtn.disabled = false;
+            autoArmBtn.disabled = false;
             startCameraBtn.disabled = true;
             console.log('Buttons updated - camera startup complete');
             
+            await refreshCameraSettings();
+            await offerLastProfile();
+            
             // Start loading the detection model in the background
-            ballDetector.initialize().then(() => {
+            modelsReady.then(() => ballDetector.initialize()).then(() => {
                 console.log('Model preloaded and ready for use');
             }).catch(err => {
                 console.error('Error preloading model:', err);
@@ -154,6 +266,493 @@ document.addEventListener('DOMContentLoaded', () => {
         uiController.showCapturedImage(frame);
     });
     
+    /**
+     * Refresh the camera settings panel from the active track
+     */
+    async function refreshCameraSettings() {
+        try {
+            const devices = await cameraController.cameraSettings.listDevices();
+            uiController.showCameraSettings(
+                devices,
+                cameraController.getCameraInfo(),
+                cameraController.cameraSettings.locks
+            );
+        } catch (error) {
+            console.error('Error reading camera settings:', error);
+        }
+    }
+    
+    /**
+     * Apply the camera selection from the settings panel and restart the live view
+     */
+    async function applyCameraSelection() {
+        const selection = uiController.getCameraSelection();
+        console.log('Applying camera selection:', selection);
+        
+        try {
+            await cameraController.updateCameraSettings(selection);
+            uiController.showLiveView();
+            cameraController.animate();
+        } catch (error) {
+            console.error('Failed to apply camera settings:', error);
+            alert(`Could not apply camera settings: ${error.message}`);
+        }
+        
+        await refreshCameraSettings();
+    }
+    
+    cameraDeviceSelect.addEventListener('change', applyCameraSelection);
+    cameraResolutionSelect.addEventListener('change', applyCameraSelection);
+    cameraFpsSelect.addEventListener('change', applyCameraSelection);
+    
+    modelSelect.addEventListener('change', async () => {
+        const model = modelRegistry.getModel(modelSelect.value);
+        if (!model) return;
+        
+        console.log('Switching detection model:', model);
+        uiController.showModelState(model, true);
+        
+        try {
+            await ballDetector.loadModel(model);
+        } catch (error) {
+            console.error('Failed to load detection model:', error);
+            alert(`Could not load model ${model.id}: ${error.message}`);
+        }
+        
+        uiController.showModelState(model, false);
+    });
+    
+    lockCameraBtn.addEventListener('click', async () => {
+        const locks = cameraController.cameraSettings.locks;
+        const lock = !(locks.focus || locks.exposure || locks.whiteBalance);
+        console.log(`${lock ? 'Locking' : 'Unlocking'} focus/exposure/white balance`);
+        
+        try {
+            await cameraController.setCameraLocks({ focus: lock, exposure: lock, whiteBalance: lock });
+        } catch (error) {
+            console.error('Failed to change camera locks:', error);
+            alert(`Could not change camera locks: ${error.message}`);
+        }
+        
+        await refreshCameraSettings();
+    });
+    
+    /**
+     * Compute the ground-plane homography from the current marker positions and layout.
+     * Without tracked markers the calculator falls back to its pixel-to-cm ratio.
+     */
+    function updateGroundPlane() {
+        const markers = uiController.getCurrentMarkerPositions();
+        const layout = uiController.getMarkerLayout();
+        if (!markers || !layout) {
+            groundPlane.reset();
+        } else {
+            try {
+                groundPlane.setMarkers(markers, layout);
+            } catch (error) {
+                console.warn('Could not calibrate the ground plane:', error.message);
+                groundPlane.reset();
+            }
+        }
+        uiController.showGroundPlaneState(groundPlane, layout ? null : 'Enter both marker distances in cm to measure on the green');
+    }
+    
+    holeDistanceInput.addEventListener('change', () => {
+        const distance = uiController.getHoleDistance();
+        try {
+            paceScorer.setHoleDistance(distance);
+            uiController.showHole(distance !== null ? { distance } : null);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    
+    setHoleBtn.addEventListener('click', () => {
+        console.log('Set hole button clicked');
+        updateGroundPlane();
+        if (!groundPlane.isCalibrated()) {
+            alert('Set up the markers first so the hole can be placed on the green, or enter the hole distance.');
+            return;
+        }
+        uiController.startHoleSelection(position => {
+            paceScorer.setHolePoint(groundPlane.imageToGround(position));
+            uiController.showHole({ position });
+        });
+    });
+    
+    setTargetLineBtn.addEventListener('click', () => {
+        console.log('Set target line button clicked');
+        updateGroundPlane();
+        if (!groundPlane.isCalibrated()) {
+            alert('Set up the markers first so the target line can be placed on the green.');
+            return;
+        }
+        uiController.startTargetLineSelection(points => {
+            try {
+                directionAnalyzer.setTargetLine(groundPlane.imageToGround(points[0]), groundPlane.imageToGround(points[1]));
+                uiController.showTargetLine({ source: 'taps', points });
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    });
+    
+    markerTargetLineBtn.addEventListener('click', () => {
+        console.log('Marker target line button clicked');
+        // Green x runs from marker 1 to marker 2 only once the ground plane is calibrated
+        updateGroundPlane();
+        if (!groundPlane.isCalibrated()) {
+            alert('Set up the markers first so the target line can follow them.');
+            return;
+        }
+        directionAnalyzer.setMarkerTargetLine();
+        uiController.showTargetLine({ source: 'markers' });
+    });
+    
+    markerLayoutWidthInput.addEventListener('change', updateGroundPlane);
+    markerLayoutHeightInput.addEventListener('change', updateGroundPlane);
+    
+    /**
+     * Reload the saved profile list
+     * @param {string} selectedName - Profile to select
+     * @returns {Promise<Array>} The saved profiles
+     */
+    async function refreshProfiles(selectedName = null) {
+        if (!calibrationStore) return [];
+        try {
+            const profiles = await calibrationStore.listProfiles();
+            uiController.showProfiles(profiles, selectedName);
+            return profiles;
+        } catch (error) {
+            console.error('Error reading calibration profiles:', error);
+            uiController.showProfileInfo('Saved profiles are not available in this browser session');
+            return [];
+        }
+    }
+    
+    /**
+     * Offer the last used profile once the camera is running
+     */
+    async function offerLastProfile() {
+        const profiles = await refreshProfiles();
+        if (profiles.length > 0) {
+            uiController.showProfileOffer(profiles[0]);
+        }
+    }
+    
+    if (calibrationStore) {
+        refreshProfiles();
+    } else {
+        uiController.hideProfiles();
+    }
+    
+    saveProfileBtn.addEventListener('click', async () => {
+        console.log('Save profile button clicked');
+        const name = uiController.getProfileName();
+        if (!name) {
+            alert('Please enter a name for the calibration profile.');
+            return;
+        }
+        if (!uiController.isTrackingActive()) {
+            alert('Set up the markers before saving a calibration profile.');
+            return;
+        }
+        const layoutCm = uiController.getMarkerLayout();
+        if (!layoutCm) {
+            alert('Please enter both marker distances in cm.');
+            return;
+        }
+        
+        try {
+            await calibrationStore.saveProfile({
+                name: name,
+                ...uiController.getMarkerSetup(),
+                layoutCm: layoutCm,
+                scale: speedCalculator.getScale()
+            });
+            await refreshProfiles(name);
+            uiController.showProfileInfo(`Saved "${name}"`);
+        } catch (error) {
+            console.error('Error saving calibration profile:', error);
+            uiController.showProfileInfo(`Could not save "${name}": ${error.message}`);
+        }
+    });
+    
+    restoreProfileBtn.addEventListener('click', async () => {
+        console.log('Restore profile button clicked');
+        const name = uiController.getSelectedProfileName();
+        if (!name) return;
+        if (!cameraController.isStreaming) {
+            uiController.showProfileInfo('Start the camera before restoring a profile');
+            return;
+        }
+        
+        try {
+            const profile = await calibrationStore.getProfile(name);
+            if (!profile) {
+                throw new Error('Profile not found');
+            }
+            
+            // Only trust the saved markers if they are still where the camera sees them
+            const check = uiController.restoreMarkerSetup(profile);
+            if (!check.verified) {
+                uiController.showProfileInfo(`Could not restore "${name}": ${check.reason}. Set up the markers again.`);
+                return;
+            }
+            
+            if (profile.scale) {
+                speedCalculator.setScale(profile.scale);
+            }
+            updateGroundPlane();
+            await calibrationStore.markUsed(name);
+            await refreshProfiles(name);
+            uiController.showProfileInfo(`Restored "${name}"`);
+        } catch (error) {
+            console.error('Error restoring calibration profile:', error);
+            uiController.showProfileInfo(`Could not restore "${name}": ${error.message}`);
+        }
+    });
+    
+    deleteProfileBtn.addEventListener('click', async () => {
+        console.log('Delete profile button clicked');
+        const name = uiController.getSelectedProfileName();
+        if (!name || !confirm(`Delete the calibration profile "${name}"?`)) return;
+        
+        try {
+            await calibrationStore.deleteProfile(name);
+            await refreshProfiles();
+            uiController.showProfileInfo(`Deleted "${name}"`);
+        } catch (error) {
+            console.error('Error deleting calibration profile:', error);
+            uiController.showProfileInfo(`Could not delete "${name}": ${error.message}`);
+        }
+    });
+    
+    /**
+     * Calibrate an imported video from the markers in its own first frame
+     * @param {Array} frames - Decoded video frames
+     * @returns {Promise<GroundPlaneCalibration|null>} Calibration, or null if the markers weren't found
+     */
+    async function calibrateVideo(frames) {
+        const layout = uiController.getMarkerLayout();
+        if (!layout) return null;
+        
+        try {
+            const markers = await markerLocator.locate(frames[0].image);
+            const calibration = new GroundPlaneCalibration();
+            calibration.setMarkers(markers, layout);
+            console.log('Imported video calibrated from its markers');
+            return calibration;
+        } catch (error) {
+            console.warn('Could not calibrate the imported video from its markers:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Run a recorded frame sequence through the analysis pipeline and show the result
+     * @param {Array} frames - Recorded frames
+     * @param {Object} options - {fromFile}: true for an imported video rather than the live camera
+     */
+    async function analyzeRecording(frames, options = {}) {
+        const { fromFile = false } = options;
+        if (frames.length < 2) {
+            alert('Recording too short to analyze. Please record the whole putt.');
+            FrameBuffer.releaseFrames(frames);
+            return;
+        }
+        
+        try {
+            await modelsReady;
+            if (fromFile) {
+                // The live markers belong to the camera, not to wherever the video was filmed;
+                // without markers in the video the speed calculator falls back to the pixel ratio
+                speedCalculator.setGroundPlane(await calibrateVideo(frames));
+            } else {
+                // Markers may have moved with the camera since setup; use where they are now
+                updateGroundPlane();
+            }
+            const result = await puttAnalyzer.analyze(frames, (processed, total) => {
+                uiController.showAnalysisProgress(processed, total);
+            });
+            console.log('Putt analysis complete:', result);
+            uiController.showPuttResult(result);
+            if (stimpMode) {
+                recordStimpRoll(result.measurement);
+            } else {
+                await savePutt(result);
+            }
+        } catch (error) {
+            console.error('Error analyzing recording:', error);
+            alert('Error analyzing the recording. Please try again.');
+        } finally {
+            speedCalculator.setGroundPlane(groundPlane);
+            FrameBuffer.releaseFrames(frames);
+            uiController.showAnalysisProgress(frames.length, frames.length);
+        }
+    }
+    
+    /**
+     * Add a recording made in green-speed mode to the Stimp reading
+     * @param {Object} measurement - Measurement of the roll
+     */
+    function recordStimpRoll(measurement) {
+        try {
+            const roll = stimpMeter.addRoll(measurement);
+            uiController.showStimpMode(true, stimpMeter, `Roll ${stimpMeter.rolls.length}: ${roll.distance.toFixed(2)} m`);
+        } catch (error) {
+            console.warn('Stimp roll not used:', error.message);
+            uiController.showStimpMode(true, stimpMeter, `Roll not used: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Add a measured putt to the practice session
+     * @param {Object} result - Putt analysis result
+     */
+    async function savePutt(result) {
+        const measurement = result.measurement;
+        const session = await sessionReady;
+        if (!session || !measurement.measured) return;
+        
+        try {
+            await sessionStore.addPutt(session, {
+                initialSpeed: measurement.initialSpeed,
+                averageSpeed: measurement.averageSpeed,
+                rollDistance: measurement.rollout.rollDistance,
+                stopPoint: measurement.rollout.stopPoint,
+                stimpFeet: session.greenSpeed ? session.greenSpeed.stimpFeet : null,
+                pace: result.pace
+                    ? { classification: result.pace.classification, finishPastHole: result.pace.finishPastHole, score: result.pace.score }
+                    : null,
+                reliable: result.reliable
+            });
+        } catch (error) {
+            console.error('Error saving the putt to the session:', error);
+        }
+    }
+    
+    stimpModeBtn.addEventListener('click', async () => {
+        console.log('Green speed button clicked');
+        if (!stimpMode) {
+            stimpMode = true;
+            stimpMeter.reset();
+            uiController.showStimpMode(true, stimpMeter);
+            return;
+        }
+        
+        const reading = stimpMeter.getReading();
+        if (reading && !reading.complete &&
+            !confirm(`The standard procedure uses ${stimpMeter.ROLLS_PER_DIRECTION} rolls each way. Use the rolls so far?`)) {
+            return;
+        }
+        stimpMode = false;
+        uiController.showStimpMode(false, stimpMeter);
+        if (!reading) {
+            uiController.showGreenSpeed(speedCalculator.greenSpeed, 'Green speed needs a roll in each direction');
+            return;
+        }
+        
+        speedCalculator.setGreenSpeed(reading);
+        uiController.showGreenSpeed(reading);
+        const session = await sessionReady;
+        if (session) {
+            try {
+                await sessionStore.setGreenSpeed(session, reading);
+            } catch (error) {
+                console.error('Error saving the green speed:', error);
+            }
+        }
+    });
+    
+    recordBtn.addEventListener('click', async () => {
+        if (!cameraController.isRecording) {
+            console.log('Record button clicked - starting recording');
+            try {
+                cameraController.startRecording();
+                uiController.hidePuttResult();
+                uiController.showRecordingState(true);
+            } catch (error) {
+                console.error('Failed to start recording:', error);
+                alert('Could not start recording. Please start the camera first.');
+            }
+            return;
+        }
+        
+        console.log('Record button clicked - stopping recording');
+        const frames = cameraController.stopRecording();
+        uiController.showRecordingState(false);
+        await analyzeRecording(frames);
+    });
+    
+    setZoneBtn.addEventListener('click', () => {
+        console.log('Set start zone button clicked');
+        uiController.startZoneSelection(zone => {
+            motionTrigger.setStartZone(zone);
+        });
+    });
+    
+    /**
+     * Arm the motion trigger and keep the ring buffer filling so the putt has pre-roll
+     */
+    function armAutoTrigger() {
+        motionTrigger.arm();
+        cameraController.startRecording();
+        uiController.showAutoArmState(true, motionTrigger.state);
+    }
+    
+    /**
+     * Turn auto-arm mode off and discard anything buffered
+     */
+    function disarmAutoTrigger() {
+        autoArmEnabled = false;
+        motionTrigger.disarm();
+        FrameBuffer.releaseFrames(cameraController.stopRecording());
+        uiController.showAutoArmState(false, motionTrigger.state);
+    }
+    
+    motionTrigger.onTrigger = () => {
+        cameraController.pinRecording(motionTrigger.triggerTime - motionTrigger.PRE_ROLL_MS);
+        uiController.hidePuttResult();
+        uiController.showAutoArmState(true, motionTrigger.state);
+    };
+    
+    motionTrigger.onStop = async (reason) => {
+        console.log(`Auto-recorded putt finished (${reason}), analyzing...`);
+        const frames = motionTrigger.trimToPutt(cameraController.stopRecording());
+        uiController.showAutoArmState(autoArmEnabled, motionTrigger.state);
+        
+        await analyzeRecording(frames);
+        
+        // Stay armed for the next putt unless the user turned auto mode off meanwhile
+        if (autoArmEnabled && cameraController.stream) {
+            armAutoTrigger();
+        }
+    };
+    
+    autoArmBtn.addEventListener('click', () => {
+        if (autoArmEnabled) {
+            console.log('Auto arm button clicked - disarming');
+            disarmAutoTrigger();
+            return;
+        }
+        
+        if (!motionTrigger.startZone) {
+            alert('Please set a start zone around the ball first.');
+            return;
+        }
+        
+        console.log('Auto arm button clicked - arming');
+        try {
+            autoArmEnabled = true;
+            armAutoTrigger();
+        } catch (error) {
+            console.error('Failed to arm auto trigger:', error);
+            disarmAutoTrigger();
+            alert('Could not arm the auto trigger. Please start the camera first.');
+        }
+    });
+    
     newCaptureBtn.addEventListener('click', () => {
         console.log('New capture button clicked');
         // Capture a new frame
@@ -187,7 +786,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const canvas = document.getElementById('display-canvas');
             
             // Run detection on the captured frame
-            const detections = await ballDetector.detectObjects(canvas);
+            await modelsReady;
+            const detections = await ballDetector.detectObjects(canvas, null, { queue: true });
             
             console.log('Analysis complete:', detections);
             
@@ -245,7 +845,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Create frame data
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
         const frame = {
-            timestamp: Date.now(),
+            timestamp: performance.now(),
             imageData: imageData
         };
         
@@ -255,6 +855,48 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Sample image loaded');
     });
     
+    loadVideoBtn.addEventListener('click', () => {
+        console.log('Load video button clicked');
+        videoFileInput.click();
+    });
+    
+    videoFileInput.addEventListener('change', async () => {
+        const files = Array.from(videoFileInput.files);
+        // Reset the input so choosing the same file again still fires a change event
+        videoFileInput.value = '';
+        if (files.length === 0) return;
+        
+        uiController.hidePuttResult();
+        
+        // Several stills are an image sequence in file-name order; otherwise load the first video
+        const images = files.filter(file => file.type.startsWith('image/'))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const onProgress = (currentTime, duration) => {
+            uiController.showVideoLoadProgress(currentTime, duration);
+        };
+        
+        let frames;
+        try {
+            if (images.length > 1) {
+                frames = await cameraController.loadImageSequence(images, onProgress);
+            } else {
+                const video = files.find(file => file.type.startsWith('video/'));
+                if (!video) {
+                    throw new Error('Choose a video, or at least two images of the putt');
+                }
+                frames = await cameraController.loadVideoFile(video, onProgress);
+            }
+        } catch (error) {
+            console.error('Failed to load video:', error);
+            uiController.showVideoLoadProgress(1, 1);
+            alert(`Could not load video: ${error.message}`);
+            return;
+        }
+        
+        uiController.showImportedVideoView(Boolean(cameraController.stream));
+        await analyzeRecording(frames, { fromFile: true });
+    });
+    
     // Setup mode event listeners
     setupMarkersBtn.addEventListener('click', () => {
         console.log('Setup markers button clicked');
@@ -274,11 +916,42 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Call the UI controller's confirmSetup method
         uiController.confirmSetup();
+        updateGroundPlane();
         
         // Hide setup instructions
         setupInstructionsContainer.style.display = 'none';
     });
     
+    autoSetupBtn.addEventListener('click', async () => {
+        console.log('Auto setup button clicked');
+        uiController.setAutoSetupBusy(true);
+        
+        try {
+            await modelsReady;
+            // The display canvas carries overlays (start zone, hole, target line); use the raw frame
+            const imageData = uiController.getSetupImageData();
+            if (!imageData) {
+                throw new Error('No frame to find the markers in');
+            }
+            const image = await createImageBitmap(imageData);
+            let markers;
+            try {
+                markers = await markerLocator.locate(image);
+            } finally {
+                image.close();
+            }
+            uiController.applyDetectedMarkers(markers);
+            updateGroundPlane();
+            setupInstructionsContainer.style.display = 'none';
+        } catch (error) {
+            // Ambiguous or missing markers: stay in setup mode so they can be tapped by hand
+            console.warn('Automatic marker setup failed:', error.message);
+            uiController.showAutoSetupFailure(error.message);
+        } finally {
+            uiController.setAutoSetupBusy(false);
+        }
+    });
+    
     cancelSetupBtn.addEventListener('click', () => {
         console.log('Cancel setup button clicked');
         uiController.endSetupMode();
@@ -293,5 +966,87 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    syntheticTestBtn.addEventListener('click', async () => {
+        console.log('Synthetic test button clicked');
+        syntheticTestBtn.disabled = true;
+        
+        const source = new SyntheticFrameSource();
+        const truth = source.getGroundTruthSummary();
+        
+        // Use a separate calculator calibrated from the rendered markers so the user's calibration is untouched
+        const calculator = new SpeedCalculator();
+        const syntheticGroundPlane = new GroundPlaneCalibration();
+        syntheticGroundPlane.setMarkers(truth.markerPositions, truth.markerLayoutCm);
+        calculator.setGroundPlane(syntheticGroundPlane);
+        const analyzer = new PuttAnalyzer(ballDetector, calculator);
+        analyzer.crossCheckDetector = classicalDetector;
+        
+        try {
+            await modelsReady;
+            const result = await analyzer.analyzeSource(source, {
+                onProgress: (processed, total) => uiController.showAnalysisProgress(processed, total)
+            });
+            
+            // Compare against the true speed where the fit starts and the true mean speed over the fit
+            const measurement = result.measurement;
+            if (measurement.measured) {
+                const expected = source.getGroundTruth(measurement.startTimestamp).speed;
+                const expectedAverage = source.getAverageSpeed(measurement.startTimestamp, measurement.endTimestamp);
+                const error = measurement.initialSpeed - expected;
+                const { low, high } = measurement.confidenceInterval;
+                
+                ballDetector.debugLogger.log(
+                    `Synthetic putt: measured ${measurement.initialSpeed.toFixed(3)} m/s ` +
+                    `[${low.toFixed(3)}, ${high.toFixed(3)}], expected ${expected.toFixed(3)} m/s ` +
+                    `(error ${error >= 0 ? '+' : ''}${error.toFixed(3)} m/s, ball found in ${result.detectedCount}/${result.frameCount} frames)`,
+                    expected >= low && expected <= high ? 'success' : 'warning'
+                );
+                ballDetector.debugLogger.log(
+                    `Synthetic putt: average ${measurement.averageSpeed.toFixed(3)} m/s, expected ${expectedAverage.toFixed(3)} m/s; ` +
+                    `deceleration ${measurement.deceleration !== null ? measurement.deceleration.toFixed(3) : 'n/a'} m/s^2, ` +
+                    `expected ${truth.deceleration.toFixed(3)} m/s^2`,
+                    'info'
+                );
+                // The synthetic ball rolls from the start, so no skid should be found
+                const launch = measurement.launch;
+                ballDetector.debugLogger.log(
+                    launch.detected
+                        ? `Synthetic putt: skid of ${launch.skidDistance.toFixed(3)} m found where the ball only rolls`
+                        : `Synthetic putt: no skid phase (${launch.reason})`,
+                    launch.detected ? 'warning' : 'success'
+                );
+                const rollout = measurement.rollout;
+                const rollError = rollout.rollDistance - truth.stopDistanceCm / 100;
+                ballDetector.debugLogger.log(
+                    `Synthetic putt: ${rollout.stoppedInView ? 'rolled' : 'predicted roll'} ${rollout.rollDistance.toFixed(3)} m ` +
+                    `\u00b1 ${rollout.rollDistanceStd.toFixed(3)}, expected ${(truth.stopDistanceCm / 100).toFixed(3)} m ` +
+                    `(${rollout.decelerationSource} deceleration)`,
+                    Math.abs(rollError) <= calculator.CONFIDENCE_Z * rollout.rollDistanceStd ? 'success' : 'warning'
+                );
+            } else {
+                ballDetector.debugLogger.log(
+                    `Synthetic putt: no measurement (${measurement.reason}), ball found in ${result.detectedCount}/${result.frameCount} frames`,
+                    'warning'
+                );
+            }
+            if (result.crossCheck) {
+                const { compared, agreed, meanOffsetPx } = result.crossCheck;
+                ballDetector.debugLogger.log(
+                    `Classical cross-check: agreed on ${agreed}/${compared} frames` +
+                    (meanOffsetPx !== null ? `, mean offset ${meanOffsetPx.toFixed(1)} px` : ''),
+                    agreed === compared ? 'success' : 'warning'
+                );
+            }
+            uiController.showPuttResult(result);
+            FrameBuffer.releaseFrames(result.frames);
+        } catch (error) {
+            console.error('Synthetic test failed:', error);
+            ballDetector.debugLogger.log(`Synthetic test failed: ${error.message}`, 'error');
+        } finally {
+            uiController.showAnalysisProgress(1, 1);
+            syntheticTestBtn.disabled = false;
+        }
+    });
+    
     console.log('All event listeners initialized');
 }); 
\ No newline at end of file
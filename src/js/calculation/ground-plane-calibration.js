@@ -0,0 +1,225 @@
+/**
+ * Ground Plane Calibration
+ * Maps image pixels to centimeters on the green with a homography computed from the four
+ * tracked markers and the real-world size of the marker rectangle. Unlike a single
+ * pixel-to-cm ratio this holds for a camera at any angle to the green.
+ */
+
+class GroundPlaneCalibration {
+    constructor() {
+        // Marker rectangle on the green; markers are set up clockwise from the top-left,
+        // which becomes the origin of the green coordinates
+        this.DEFAULT_LAYOUT_CM = { width: 200, height: 100 };
+        this.layoutCm = { ...this.DEFAULT_LAYOUT_CM };
+
+        this.imagePoints = null;        // Marker centers in image pixels
+        this.homography = null;         // 3x3, image pixels -> green cm
+        this.inverseHomography = null;  // 3x3, green cm -> image pixels
+    }
+
+    /**
+     * Set the real-world size of the marker rectangle
+     * @param {Object} layoutCm - {width, height} in cm between marker centers
+     */
+    setLayout(layoutCm) {
+        if (!layoutCm || !(layoutCm.width > 0) || !(layoutCm.height > 0) ||
+            !Number.isFinite(layoutCm.width) || !Number.isFinite(layoutCm.height)) {
+            throw new Error('Marker layout width and height must be greater than zero');
+        }
+        this.layoutCm = { width: layoutCm.width, height: layoutCm.height };
+
+        // Recompute for the new layout if markers are already set
+        if (this.imagePoints) {
+            this.setMarkers(this.imagePoints);
+        }
+    }
+
+    /**
+     * Compute the homography from the four marker positions in the image
+     * @param {Array} imagePoints - Four {x, y} marker centers in image pixels, clockwise from the top-left
+     * @param {Object} layoutCm - Optional {width, height} marker rectangle in cm
+     * @throws {Error} If the layout isn't a positive size or the points don't form a usable quadrilateral
+     */
+    setMarkers(imagePoints, layoutCm = null) {
+        if (layoutCm) {
+            // Without markers yet, setLayout only validates and stores the layout
+            const previous = this.imagePoints;
+            this.imagePoints = null;
+            try {
+                this.setLayout(layoutCm);
+            } finally {
+                this.imagePoints = previous;
+            }
+        }
+        if (!imagePoints || imagePoints.length !== 4) {
+            throw new Error('Exactly 4 marker points required');
+        }
+        if (!GroundPlaneCalibration.isConvex(imagePoints)) {
+            throw new Error('Marker points must form a convex quadrilateral in setup order');
+        }
+
+        const { width, height } = this.layoutCm;
+        const groundPoints = [
+            { x: 0, y: 0 },
+            { x: width, y: 0 },
+            { x: width, y: height },
+            { x: 0, y: height }
+        ];
+
+        this.homography = GroundPlaneCalibration.computeHomography(imagePoints, groundPoints);
+        this.inverseHomography = Matrix.inverse(this.homography);
+        this.imagePoints = imagePoints.map(point => ({ x: point.x, y: point.y }));
+
+        const center = {
+            x: imagePoints.reduce((sum, point) => sum + point.x, 0) / 4,
+            y: imagePoints.reduce((sum, point) => sum + point.y, 0) / 4
+        };
+        console.log(`Ground plane calibrated for a ${width}x${height} cm marker layout ` +
+            `(${this.getCmPerPixel(center).toFixed(4)} cm/px at the center)`);
+    }
+
+    /**
+     * Forget the calibration
+     */
+    reset() {
+        this.imagePoints = null;
+        this.homography = null;
+        this.inverseHomography = null;
+    }
+
+    /**
+     * Whether a homography is available
+     * @returns {boolean}
+     */
+    isCalibrated() {
+        return this.homography !== null;
+    }
+
+    /**
+     * Map an image point onto the green
+     * @param {Object} point - {x, y} in image pixels
+     * @returns {Object} {x, y} in cm on the green
+     */
+    imageToGround(point) {
+        return GroundPlaneCalibration.applyHomography(this.homography, point);
+    }
+
+    /**
+     * Map a point on the green into the image
+     * @param {Object} point - {x, y} in cm on the green
+     * @returns {Object} {x, y} in image pixels
+     */
+    groundToImage(point) {
+        return GroundPlaneCalibration.applyHomography(this.inverseHomography, point);
+    }
+
+    /**
+     * Local scale of the mapping: how many cm on the green one image pixel covers
+     * around a point. Used to convert pixel uncertainties to cm.
+     * @param {Object} point - {x, y} in image pixels
+     * @returns {number} cm per pixel (geometric mean over both axes)
+     */
+    getCmPerPixel(point) {
+        const origin = this.imageToGround(point);
+        const right = this.imageToGround({ x: point.x + 1, y: point.y });
+        const down = this.imageToGround({ x: point.x, y: point.y + 1 });
+
+        // Area of the mapped pixel
+        const area = Math.abs(
+            (right.x - origin.x) * (down.y - origin.y) - (right.y - origin.y) * (down.x - origin.x)
+        );
+        return Math.sqrt(area);
+    }
+
+    /**
+     * Apply a homography to a point
+     * @param {Array<Array<number>>} homography - 3x3 matrix
+     * @param {Object} point - {x, y}
+     * @returns {Object} Mapped {x, y}
+     */
+    static applyHomography(homography, point) {
+        if (!homography) {
+            throw new Error('Ground plane is not calibrated');
+        }
+        const h = homography;
+        const w = h[2][0] * point.x + h[2][1] * point.y + h[2][2];
+        return {
+            x: (h[0][0] * point.x + h[0][1] * point.y + h[0][2]) / w,
+            y: (h[1][0] * point.x + h[1][1] * point.y + h[1][2]) / w
+        };
+    }
+
+    /**
+     * Homography mapping four source points exactly onto four destination points (direct
+     * linear transform with h33 = 1). Source points are normalized first so pixel
+     * coordinates in the thousands don't make the system ill-conditioned.
+     * @param {Array} source - Four {x, y} points
+     * @param {Array} destination - Four corresponding {x, y} points
+     * @returns {Array<Array<number>>} 3x3 matrix
+     * @throws {Error} If three of the points are collinear
+     */
+    static computeHomography(source, destination) {
+        const normalize = GroundPlaneCalibration.getNormalization(source);
+        const normalized = source.map(point => GroundPlaneCalibration.applyHomography(normalize, point));
+
+        const rows = [];
+        const values = [];
+        normalized.forEach((s, i) => {
+            const d = destination[i];
+            rows.push([s.x, s.y, 1, 0, 0, 0, -d.x * s.x, -d.x * s.y]);
+            values.push(d.x);
+            rows.push([0, 0, 0, s.x, s.y, 1, -d.y * s.x, -d.y * s.y]);
+            values.push(d.y);
+        });
+
+        const h = Matrix.multiply(Matrix.inverse(rows), Matrix.column(values)).map(row => row[0]);
+        const normalizedHomography = [
+            [h[0], h[1], h[2]],
+            [h[3], h[4], h[5]],
+            [h[6], h[7], 1]
+        ];
+
+        // Undo the normalization: H = Hn * N
+        return Matrix.multiply(normalizedHomography, normalize);
+    }
+
+    /**
+     * Similarity transform moving the points' centroid to the origin with mean distance sqrt(2)
+     * @param {Array} points - {x, y} points
+     * @returns {Array<Array<number>>} 3x3 matrix
+     */
+    static getNormalization(points) {
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const meanDistance = points.reduce((sum, point) => sum + Math.hypot(point.x - meanX, point.y - meanY), 0) / points.length;
+        const scale = meanDistance > 0 ? Math.SQRT2 / meanDistance : 1;
+
+        return [
+            [scale, 0, -scale * meanX],
+            [0, scale, -scale * meanY],
+            [0, 0, 1]
+        ];
+    }
+
+    /**
+     * Whether four points, in order, form a convex quadrilateral (all turns the same way)
+     * @param {Array} points - Four {x, y} points
+     * @returns {boolean}
+     */
+    static isConvex(points) {
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const c = points[(i + 2) % points.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (Math.abs(cross) < 1e-6) return false;
+            if (sign === 0) {
+                sign = Math.sign(cross);
+            } else if (Math.sign(cross) !== sign) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
@@ -12,6 +12,45 @@ class SpeedCalculator {
         this.COIN_DIAMETER_CM = 2.4;
         
         this.calibrated = false;
+        
+        // Marker homography; when calibrated it replaces the single pixel-to-cm ratio
+        this.groundPlane = null;
+        
+        // Refined ball centers below this fit quality fall back to the detection box center
+        this.MIN_CENTER_QUALITY = 0.4;
+        
+        // Position uncertainty for frames without a tracked detection
+        this.REFINED_STD_PX = 0.5;
+        this.BOX_STD_PX = 3;
+        this.MIN_STD_PX = 0.1;
+        
+        // Trajectory fit
+        this.MIN_FIT_POINTS = 3;              // Fewer usable positions gives no measurement
+        this.MIN_QUADRATIC_POINTS = 5;        // Fit deceleration from this many positions on
+        this.REST_TOLERANCE_CM = 0.5;         // Movement below this counts as the ball at rest
+        this.CONFIDENCE_LEVEL = 0.95;
+        this.CONFIDENCE_Z = 1.96;
+        
+        // Roll-out prediction: rolling resistance slows the ball at a constant rate along its path
+        this.GRAVITY = 9.81;                      // m/s^2
+        this.DEFAULT_DECELERATION = 0.55;         // m/s^2, a Stimp ~10 ft green (1.83 m/s rolls 3.05 m)
+        this.DEFAULT_DECELERATION_REL_STD = 0.3;  // Greens from Stimp 7 to 13 ft
+        this.MIN_DECELERATION = 0.1;              // m/s^2; fitted values outside this range are implausible
+        this.MAX_DECELERATION = 3;
+        this.MAX_DECELERATION_REL_STD = 0.5;      // Fitted deceleration must be at least this precise to be used
+        this.MIN_STOPPED_MS = 200;                // A ball this long within the rest tolerance has stopped; shorter is just slow
+        this.GREEN_DECELERATION_REL_STD = 0.1;    // Uncertainty of a deceleration from a Stimp reading
+        
+        // Skid/roll segmentation: constant deceleration per phase, transition found by a search
+        this.MIN_PHASE_POINTS = 3;                // Samples needed on each side of the transition
+        this.SKID_TIME_TOLERANCE_S = 0.001;       // Transition time resolution
+        // Chi-squared gain needed to keep a skid. Above the 11.8 of 2 extra parameters at 3 sigma,
+        // since the transition search tries every split: simulated pure rolls at 30-240 fps reach
+        // 11.8 about 1 time in 200 and this about 1 in 2000
+        this.SKID_MIN_CHI2_GAIN = 16;
+        
+        // Measured speed of the green being putted on (Stimp reading), or null
+        this.greenSpeed = null;
     }
     
     /**
@@ -31,67 +70,700 @@ class SpeedCalculator {
     }
     
     /**
-     * Calculate the speed of the ball from captured frames
+     * Current pixel-to-cm scale, for saving with a calibration profile
+     * @returns {Object} {pixelToCmRatio, calibrated}
+     */
+    getScale() {
+        return {
+            pixelToCmRatio: this.PIXEL_TO_CM_RATIO,
+            calibrated: this.calibrated
+        };
+    }
+    
+    /**
+     * Restore a saved pixel-to-cm scale
+     * @param {Object} scale - {pixelToCmRatio, calibrated} from getScale()
+     */
+    setScale(scale) {
+        if (!scale || !(scale.pixelToCmRatio > 0)) {
+            throw new Error('Pixel-to-cm ratio must be greater than zero');
+        }
+        
+        this.PIXEL_TO_CM_RATIO = scale.pixelToCmRatio;
+        this.calibrated = !!scale.calibrated;
+        
+        console.log(`Scale restored: 1 pixel = ${this.PIXEL_TO_CM_RATIO.toFixed(4)} cm`);
+    }
+    
+    /**
+     * Use a measured green speed for roll-out predictions the putt itself can't determine
+     * @param {Object} greenSpeed - {stimpFeet, deceleration} from StimpMeter.getReading(), or null
+     */
+    setGreenSpeed(greenSpeed) {
+        this.greenSpeed = greenSpeed;
+        if (greenSpeed) {
+            console.log(`Green speed set: Stimp ${greenSpeed.stimpFeet.toFixed(1)} ft (${greenSpeed.deceleration.toFixed(3)} m/s^2)`);
+        }
+    }
+    
+    /**
+     * Map ball positions onto the green with a marker homography
+     * @param {GroundPlaneCalibration} groundPlane - Calibration to use, or null for the pixel-to-cm ratio
+     */
+    setGroundPlane(groundPlane) {
+        this.groundPlane = groundPlane;
+    }
+    
+    /**
+     * Whether ball positions are mapped through the ground-plane homography
+     * @returns {boolean}
+     */
+    usesGroundPlane() {
+        return !!(this.groundPlane && this.groundPlane.isCalibrated());
+    }
+    
+    /**
+     * Convert an image position and its uncertainty to cm on the green
+     * @param {Object} position - {x, y} in image pixels
+     * @param {number} stdPx - Position standard deviation in pixels
+     * @param {GroundPlaneCalibration} frameGroundPlane - Optional calibration for this frame only (camera moved)
+     * @returns {Object} {x, y, std} in cm
+     */
+    toGround(position, stdPx, frameGroundPlane = null) {
+        const groundPlane = frameGroundPlane || (this.usesGroundPlane() ? this.groundPlane : null);
+        if (groundPlane) {
+            const point = groundPlane.imageToGround(position);
+            return {
+                x: point.x,
+                y: point.y,
+                std: stdPx * groundPlane.getCmPerPixel(position)
+            };
+        }
+        return {
+            x: position.x * this.PIXEL_TO_CM_RATIO,
+            y: position.y * this.PIXEL_TO_CM_RATIO,
+            std: stdPx * this.PIXEL_TO_CM_RATIO
+        };
+    }
+    
+    /**
+     * Measure the putt from captured frames by fitting a motion model to the whole trajectory
      * @param {Array} frames - Array of frame data objects with positions and timestamps
-     * @returns {number} - Speed in meters per second
+     * @returns {Object} - Measurement from fitTrajectory(), or from noMeasurement() when the
+     *                     frames don't support one. Speeds are in m/s, deceleration in m/s^2.
      */
     calculateSpeed(frames) {
         if (!frames || frames.length < 2) {
             console.warn('Insufficient frame data to calculate speed');
-            return 0;
+            return this.noMeasurement('Not enough frames were captured', 0);
+        }
+        
+        if (!this.usesGroundPlane()) {
+            console.warn('Ground plane not calibrated; using the pixel-to-cm ratio, which assumes an overhead camera');
         }
         
-        // Extract positions from frames where ball was detected
-        const positions = [];
+        const samples = this.collectSamples(frames);
+        if (samples.length < this.MIN_FIT_POINTS) {
+            console.warn('Ball not detected in enough frames');
+            return this.noMeasurement('Ball not detected in enough frames', samples.length);
+        }
+        
+        const moving = this.trimStationary(samples);
+        if (moving.length < this.MIN_FIT_POINTS) {
+            console.warn('Ball did not move enough to measure');
+            return this.noMeasurement('Ball did not move during the recording', moving.length);
+        }
+        
+        // Where the ball was seen at rest before the stroke and after it stopped, if it was
+        const lastMoving = moving[moving.length - 1];
+        const last = samples[samples.length - 1];
+        const rest = {
+            start: moving[0] !== samples[0] ? samples[0] : null,
+            stop: last.timestamp - lastMoving.timestamp >= this.MIN_STOPPED_MS ? last : null
+        };
+        
+        try {
+            return this.fitTrajectory(moving, rest);
+        } catch (error) {
+            console.warn('Trajectory fit failed:', error.message);
+            return this.noMeasurement('Ball positions could not be fitted', moving.length);
+        }
+    }
+    
+    /**
+     * Ball positions on the green with their uncertainty, one per usable frame
+     * @param {Array} frames - Analyzed frames
+     * @returns {Array} Samples {timestamp, x, y, std} with x, y and std in cm
+     */
+    collectSamples(frames) {
+        // When the ball tracker produced a trajectory, use only the detections it linked to the
+        // ball so other objects and outliers are left out. Not its smoothed positions: smoothing
+        // correlates neighbouring points and rounds off the sudden changes at impact and at the
+        // end of a skid, which the fits below model explicitly
+        const useTrack = frames.some(frame => frame.trackPoint);
+        const samples = [];
         
         for (const frame of frames) {
-            // For now, we assume the position is already extracted
-            // In a real implementation, this would come from the ball detector
-            if (frame.ballPosition) {
-                positions.push({
-                    x: frame.ballPosition.x,
-                    y: frame.ballPosition.y,
-                    timestamp: frame.timestamp
-                });
+            // A duplicated frame repeats an earlier exposure and carries no new timing
+            if (frame.isDuplicate) continue;
+            
+            let position;
+            let stdPx;
+            if (useTrack) {
+                position = frame.trackPoint && frame.trackPoint.measurement;
+                stdPx = position && position.std;
+            } else {
+                position = this.getBallPosition(frame);
+                stdPx = position === frame.ballCenter ? this.REFINED_STD_PX : this.BOX_STD_PX;
             }
+            if (!position) continue;
+            
+            const ground = this.toGround(position, Math.max(stdPx, this.MIN_STD_PX), frame.groundPlane);
+            samples.push({
+                timestamp: frame.timestamp,
+                x: ground.x,
+                y: ground.y,
+                std: ground.std
+            });
         }
         
-        // If we don't have enough positions, return placeholder value
-        if (positions.length < 2) {
-            console.warn('Ball not detected in enough frames');
-            // Return a simulated speed for demonstration
-            return this.getSimulatedSpeed();
+        return samples;
+    }
+    
+    /**
+     * Drop the samples where the ball rests before the stroke and after it stops,
+     * so the motion model is only fitted to the roll
+     * @param {Array} samples - Samples from collectSamples()
+     * @returns {Array} Samples of the moving ball
+     */
+    trimStationary(samples) {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const distance = (a, b) => this.calculateDistance(a.x, a.y, b.x, b.y);
+        
+        const moved = samples.findIndex(sample => distance(sample, first) > this.REST_TOLERANCE_CM);
+        if (moved === -1) return [];
+        // Moving by the second sample means the ball was already rolling at the first one
+        const start = moved === 1 ? 0 : moved;
+        
+        let end = samples.length - 1;
+        while (end > start && distance(samples[end - 1], last) <= this.REST_TOLERANCE_CM) {
+            end--;
         }
         
-        // Calculate speed based on the first and last detected positions
-        const firstPosition = positions[0];
-        const lastPosition = positions[positions.length - 1];
+        return samples.slice(start, end + 1);
+    }
+    
+    /**
+     * Weighted least-squares fit of x(t) and y(t). With enough points the model has constant
+     * deceleration (quadratic in time); otherwise it is constant velocity and the deceleration
+     * is unknown. The confidence interval comes from the fit covariance, scaled up when the
+     * residuals are larger than the position uncertainty explains. When a skid phase is found,
+     * the initial speed is the launch speed of the two-phase fit instead, since the single fit
+     * averages the fast skid with the slower roll.
+     * @param {Array} samples - Samples of the moving ball, in time order
+     * @param {Object} rest - {start, stop}: samples of the ball at rest before and after the roll, or null
+     * @returns {Object} {measured, reason, initialSpeed, averageSpeed, deceleration, standardError,
+     *                    confidenceInterval: {low, high, level}, singlePhaseSpeed, singlePhaseSpeedStd, model, pointCount,
+     *                    startTimestamp, endTimestamp, reducedChiSquared, launchDirection,
+     *                    launchDirectionStd, launch, rollout}
+     */
+    fitTrajectory(samples, rest = { start: null, stop: null }) {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const durationSec = (last.timestamp - first.timestamp) / 1000;
+        if (durationSec <= 0) {
+            throw new Error('Invalid time difference');
+        }
         
-        // Calculate distance in pixels
-        const distancePixels = this.calculateDistance(
-            firstPosition.x, firstPosition.y,
-            lastPosition.x, lastPosition.y
+        const quadratic = samples.length >= this.MIN_QUADRATIC_POINTS;
+        const design = samples.map(sample => {
+            const t = (sample.timestamp - first.timestamp) / 1000;
+            return quadratic ? [1, t, t * t] : [1, t];
+        });
+        const weights = samples.map(sample => 1 / (sample.std * sample.std));
+        const fitX = Matrix.leastSquares(design, samples.map(sample => sample.x), weights);
+        const fitY = Matrix.leastSquares(design, samples.map(sample => sample.y), weights);
+        
+        const degreesOfFreedom = 2 * (samples.length - design[0].length);
+        const reducedChiSquared = degreesOfFreedom > 0
+            ? (fitX.chiSquared + fitY.chiSquared) / degreesOfFreedom
+            : null;
+        const varianceScale = Math.max(1, reducedChiSquared || 1);
+        
+        // Velocity at the first sample and its uncertainty along the direction of travel
+        const vx = fitX.coefficients[1];
+        const vy = fitY.coefficients[1];
+        const initialSpeed = Math.hypot(vx, vy);
+        if (initialSpeed === 0) {
+            throw new Error('Fitted speed is zero');
+        }
+        const dirX = vx / initialSpeed;
+        const dirY = vy / initialSpeed;
+        const standardError = Math.sqrt(
+            varianceScale * (dirX * dirX * fitX.covariance[1][1] + dirY * dirY * fitY.covariance[1][1])
         );
+        // Launch direction uncertainty from the velocity error across the direction of travel
+        const launchDirectionStd = Math.sqrt(
+            varianceScale * (dirY * dirY * fitX.covariance[1][1] + dirX * dirX * fitY.covariance[1][1])
+        ) / initialSpeed;
+        
+        // Positive when the ball slows down
+        const deceleration = quadratic
+            ? -2 * (fitX.coefficients[2] * dirX + fitY.coefficients[2] * dirY)
+            : null;
+        const decelerationStd = quadratic
+            ? 2 * Math.sqrt(varianceScale * (dirX * dirX * fitX.covariance[2][2] + dirY * dirY * fitY.covariance[2][2]))
+            : null;
+        
+        // Mean speed between the fitted start and end positions
+        const position = (fit, t) => fit.coefficients.reduce((sum, c, power) => sum + c * Math.pow(t, power), 0);
+        const averageSpeed = this.calculateDistance(
+            position(fitX, 0), position(fitY, 0),
+            position(fitX, durationSec), position(fitY, durationSec)
+        ) / durationSec;
+        
+        // Impact/skid and rolling phases; once the ball rolls, the rolling phase alone predicts the roll-out
+        const skid = this.fitSkidPhase(samples, { x: dirX, y: dirY }, rest.start);
+        const origin = { x: fitX.coefficients[0], y: fitY.coefficients[0] };
+        const rolloutFit = {
+            start: origin,
+            startStd: first.std,
+            origin: origin,
+            originTime: 0,
+            direction: { x: dirX, y: dirY },
+            speed: initialSpeed,
+            speedStd: standardError,
+            deceleration: deceleration,
+            decelerationStd: decelerationStd
+        };
+        if (skid.detected) {
+            rolloutFit.origin = {
+                x: first.x + dirX * skid.rollStart,
+                y: first.y + dirY * skid.rollStart
+            };
+            rolloutFit.originTime = skid.rollTime;
+            rolloutFit.speed = skid.rollSpeed;
+            rolloutFit.speedStd = skid.rollSpeedStd;
+            rolloutFit.deceleration = skid.rollDeceleration;
+            rolloutFit.decelerationStd = skid.rollDecelerationStd;
+        }
+        
+        // The headline speed is the speed off the putter: the launch speed once a skid is found
+        const speed = skid.detected ? skid.launchSpeed : initialSpeed;
+        const speedStd = skid.detected ? skid.launchSpeedStd : standardError;
+        
+        const toMetres = value => value / 100;
+        const margin = this.CONFIDENCE_Z * speedStd;
+        const measurement = {
+            measured: true,
+            reason: null,
+            initialSpeed: toMetres(speed),
+            averageSpeed: toMetres(averageSpeed),
+            // From the single-phase fit, so an average over skid and roll when launch.detected
+            deceleration: deceleration !== null ? toMetres(deceleration) : null,
+            standardError: toMetres(speedStd),
+            confidenceInterval: {
+                low: toMetres(Math.max(0, speed - margin)),
+                high: toMetres(speed + margin),
+                level: this.CONFIDENCE_LEVEL
+            },
+            // Speed at the first moving sample from one constant-deceleration fit over the whole
+            // roll; it averages over any skid, so it reads low when launch.detected
+            singlePhaseSpeed: toMetres(initialSpeed),
+            singlePhaseSpeedStd: toMetres(standardError),
+            model: quadratic ? 'quadratic' : 'linear',
+            pointCount: samples.length,
+            startTimestamp: first.timestamp,
+            endTimestamp: last.timestamp,
+            reducedChiSquared: reducedChiSquared,
+            // Unit vector on the green at the first moving sample, and its uncertainty in degrees
+            launchDirection: { x: dirX, y: dirY },
+            launchDirectionStd: launchDirectionStd * 180 / Math.PI,
+            // Speed off the putter face and the skid before the ball rolls; speeds in m/s,
+            // distances in m, times in s after impact (the first moving sample if impact wasn't seen)
+            launch: skid.detected ? {
+                detected: true,
+                reason: null,
+                launchSpeed: toMetres(skid.launchSpeed),
+                launchSpeedStd: toMetres(skid.launchSpeedStd),
+                skidDistance: toMetres(skid.skidDistance),
+                skidDistanceStd: toMetres(skid.skidDistanceStd),
+                transitionTime: skid.transitionTime,
+                transitionTimeStd: skid.transitionTimeStd,
+                skidDeceleration: toMetres(skid.skidDeceleration),
+                rollDeceleration: toMetres(skid.rollDeceleration)
+            } : {
+                detected: false,
+                reason: skid.reason,
+                launchSpeed: toMetres(initialSpeed),
+                launchSpeedStd: toMetres(standardError),
+                skidDistance: null,
+                skidDistanceStd: null,
+                transitionTime: null,
+                transitionTimeStd: null,
+                skidDeceleration: null,
+                rollDeceleration: null
+            },
+            rollout: this.predictRollout(rolloutFit, rest)
+        };
+        
+        console.log(
+            `Speed fit (${measurement.model}, ${samples.length} points): ` +
+            `initial ${measurement.initialSpeed.toFixed(3)} m/s ` +
+            `[${measurement.confidenceInterval.low.toFixed(3)}, ${measurement.confidenceInterval.high.toFixed(3)}]` +
+            (skid.detected ? ` from the launch (single-phase ${measurement.singlePhaseSpeed.toFixed(3)} m/s)` : '') +
+            `, average ${measurement.averageSpeed.toFixed(3)} m/s` +
+            (deceleration !== null ? `, deceleration ${measurement.deceleration.toFixed(3)} m/s^2` : '')
+        );
+        
+        return measurement;
+    }
+    
+    /**
+     * Split the roll into a skid phase after impact and a rolling phase. A struck ball first
+     * slides, losing speed quickly to friction until it rolls, then slows at the much lower
+     * rolling rate. Distance along the launch direction is fitted with a constant deceleration
+     * per phase, continuous in position and speed; for a fixed transition time that model is
+     * linear, and its normal equations follow from prefix sums of the weighted time moments, so
+     * each trial transition costs one 4x4 solve. The lowest chi-squared is bracketed at the
+     * sample times and refined by golden-section search. The split is only kept when it beats a
+     * single phase clearly. Each metric's uncertainty combines the fit covariance at the best
+     * transition with its spread over transitions within one (scaled) chi-squared unit of the best.
+     * @param {Array} samples - Samples of the moving ball, in time order
+     * @param {Object} direction - Launch direction, unit {x, y} on the green
+     * @param {Object} restStart - Sample of the ball at rest before the stroke, or null
+     * @returns {Object} {detected, reason} and, when detected, launchSpeed, skidDistance, transitionTime,
+     *                   rollTime, rollStart, rollSpeed, skidDeceleration, rollDeceleration, each but rollTime
+     *                   with a *Std. In cm and s; from impact, except rollTime and rollStart (first sample).
+     */
+    fitSkidPhase(samples, direction, restStart) {
+        const count = samples.length;
+        if (count < 2 * this.MIN_PHASE_POINTS + 2) {
+            return { detected: false, reason: 'Too few positions to separate skid and roll' };
+        }
+        
+        const first = samples[0];
+        const times = samples.map(sample => (sample.timestamp - first.timestamp) / 1000);
+        const travelled = samples.map(sample => (sample.x - first.x) * direction.x + (sample.y - first.y) * direction.y);
+        const weights = samples.map(sample => 1 / (sample.std * sample.std));
+        
+        const single = Matrix.leastSquares(times.map(t => [1, t, -0.5 * t * t]), travelled, weights);
+        
+        // The two-phase model contains the single phase, so fit what the single phase leaves over
+        // and add it back: the sums below stay small and the chi-squared doesn't lose its precision
+        // to cancellation at high frame rates
+        const [singleS0, singleV0, singleA] = single.coefficients;
+        const distances = travelled.map((distance, i) => distance - (singleS0 + singleV0 * times[i] - 0.5 * singleA * times[i] * times[i]));
+        
+        // Weighted moments of [1, t, t^2] and of the distance over the first k samples
+        const prefixMoments = [Matrix.zeros(3, 3)];
+        const prefixRhs = [[0, 0, 0]];
+        let weightedSquares = 0;
+        times.forEach((t, i) => {
+            const powers = [1, t, t * t];
+            prefixMoments.push(prefixMoments[i].map((row, a) => row.map((value, b) => value + weights[i] * powers[a] * powers[b])));
+            prefixRhs.push(prefixRhs[i].map((value, a) => value + weights[i] * powers[a] * distances[i]));
+            weightedSquares += weights[i] * distances[i] * distances[i];
+        });
+        
+        // s(t) = s0 + v0 t - a1 * skidTerm(t) - a2 * rollTerm(t). Each design row is a fixed
+        // combination of [1, t, t^2]: one for skid samples, one depending on the transition for the rest
+        const skidRows = [[1, 0, 0], [0, 1, 0], [0, 0, -0.5], [0, 0, 0]];
+        const fitAt = transition => {
+            let split = 0;
+            while (split < count && times[split] < transition) split++;
+            const rollRows = [
+                [1, 0, 0],
+                [0, 1, 0],
+                [0.5 * transition * transition, -transition, 0],
+                [-0.5 * transition * transition, transition, -0.5]
+            ];
+            const rollMoments = Matrix.subtract(prefixMoments[count], prefixMoments[split]);
+            const rollRhs = prefixRhs[count].map((value, a) => value - prefixRhs[split][a]);
+            const normal = Matrix.add(
+                Matrix.multiply(Matrix.multiply(skidRows, prefixMoments[split]), Matrix.transpose(skidRows)),
+                Matrix.multiply(Matrix.multiply(rollRows, rollMoments), Matrix.transpose(rollRows))
+            );
+            const rhs = skidRows.map((row, i) => row.reduce((sum, value, a) => sum + value * prefixRhs[split][a], 0) +
+                rollRows[i].reduce((sum, value, a) => sum + value * rollRhs[a], 0));
+            const covariance = Matrix.inverse(normal);
+            const correction = covariance.map(row => row.reduce((sum, value, j) => sum + value * rhs[j], 0));
+            const chiSquared = Math.max(0, weightedSquares - correction.reduce((sum, value, i) => sum + value * rhs[i], 0));
+            const coefficients = [singleS0, singleV0, singleA, singleA].map((value, i) => value + correction[i]);
+            return { transition, coefficients, covariance, chiSquared };
+        };
+        const tryFit = transition => {
+            try {
+                return fitAt(transition);
+            } catch (error) {
+                // Singular at this transition
+                return { transition, chiSquared: Infinity };
+            }
+        };
+        
+        // Coarse pass at the sample times, then refine between the neighbours of the best one
+        const coarse = times
+            .slice(this.MIN_PHASE_POINTS - 1, count - this.MIN_PHASE_POINTS + 1)
+            .map(tryFit);
+        const bestIndex = coarse.reduce((bestSoFar, candidate, i) =>
+            (candidate.chiSquared < coarse[bestSoFar].chiSquared ? i : bestSoFar), 0);
+        if (!Number.isFinite(coarse[bestIndex].chiSquared)) {
+            return { detected: false, reason: 'Skid and roll could not be fitted' };
+        }
+        const best = this.goldenSectionMinimum(tryFit,
+            coarse[Math.max(0, bestIndex - 1)].transition,
+            coarse[Math.min(coarse.length - 1, bestIndex + 1)].transition,
+            coarse[bestIndex]);
+        const scale = Math.max(1, best.chiSquared / Math.max(1, count - 5));
+        const [, , skidDeceleration, rollDeceleration] = best.coefficients;
+        if ((single.chiSquared - best.chiSquared) / scale < this.SKID_MIN_CHI2_GAIN) {
+            return { detected: false, reason: 'No separate skid phase found' };
+        }
+        if (!(skidDeceleration > rollDeceleration) || !(skidDeceleration > 0)) {
+            return { detected: false, reason: 'Deceleration did not drop when the ball started rolling' };
+        }
+        
+        // Impact: extrapolate back to where the ball rested, but no further than the rest sample
+        const restTime = restStart ? (restStart.timestamp - first.timestamp) / 1000 : 0;
+        const restDistance = restStart
+            ? (restStart.x - first.x) * direction.x + (restStart.y - first.y) * direction.y
+            : null;
+        
+        const impactOf = ([s0, v0]) => (restStart ? Math.min(0, Math.max(restTime, (restDistance - s0) / v0)) : 0);
+        
+        const metrics = candidate => {
+            const [s0, v0, a1, a2] = candidate.coefficients;
+            const tc = candidate.transition;
+            const impact = impactOf(candidate.coefficients);
+            const launchSpeed = v0 - a1 * impact;
+            const skidTime = tc - impact;
+            return {
+                launchSpeed: launchSpeed,
+                skidDistance: launchSpeed * skidTime - 0.5 * a1 * skidTime * skidTime,
+                transitionTime: skidTime,
+                rollTime: tc,
+                rollStart: s0 + v0 * tc - 0.5 * a1 * tc * tc,
+                rollSpeed: v0 - a1 * tc,
+                skidDeceleration: a1,
+                rollDeceleration: a2
+            };
+        };
         
-        // Convert to cm using calibration ratio
-        const distanceCm = distancePixels * this.PIXEL_TO_CM_RATIO;
+        // Fit covariance at the best transition, propagated to each metric through its gradient
+        // in [s0, v0, a1, a2]. Impact depends on s0 and v0 too, unless it is clamped to the rest sample
+        const tc = best.transition;
+        const c = Matrix.scale(best.covariance, scale);
+        const quadratic = gradient => Math.sqrt(Math.max(0,
+            gradient.reduce((sum, gi, i) => sum + gi * gradient.reduce((inner, gj, j) => inner + c[i][j] * gj, 0), 0)));
+        const [, bestV0, bestA1] = best.coefficients;
+        const impact = impactOf(best.coefficients);
+        const impactFree = impact < 0 && impact > restTime;
+        const impactGradient = impactFree ? [-1 / bestV0, -impact / bestV0, 0, 0] : [0, 0, 0, 0];
+        const launchGradient = [-bestA1 * impactGradient[0], 1 - bestA1 * impactGradient[1], -impact, 0];
+        // skidDistance = launchSpeed * skidTime - a1 skidTime^2 / 2 with skidTime = tc - impact
+        const skidTime = tc - impact;
+        const speedAtRoll = bestV0 - bestA1 * tc;
+        const skidGradient = launchGradient.map((value, i) => skidTime * value - speedAtRoll * impactGradient[i] -
+            (i === 2 ? 0.5 * skidTime * skidTime : 0));
+        const fitStd = {
+            launchSpeed: quadratic(launchGradient),
+            skidDistance: quadratic(skidGradient),
+            transitionTime: 0,
+            rollStart: quadratic([1, tc, -0.5 * tc * tc, 0]),
+            rollSpeed: quadratic([0, 1, -tc, 0]),
+            skidDeceleration: Math.sqrt(c[2][2]),
+            rollDeceleration: Math.sqrt(c[3][3])
+        };
         
-        // Calculate time difference in seconds
-        const timeDiffMs = lastPosition.timestamp - firstPosition.timestamp;
-        const timeDiffSec = timeDiffMs / 1000;
+        // Spread over the transitions the data can't tell apart from the best one: the coarse
+        // points inside that range and its two edges, each found by bisection
+        const isPlausible = candidate => (candidate.chiSquared - best.chiSquared) / scale <= 1;
+        const findEdge = step => {
+            let inside = best;
+            let index = step > 0 ? bestIndex + 1 : bestIndex - 1;
+            while (index >= 0 && index < coarse.length && isPlausible(coarse[index])) {
+                inside = coarse[index];
+                index += step;
+            }
+            if (index < 0 || index >= coarse.length) return inside;
+            let outside = coarse[index];
+            while (Math.abs(outside.transition - inside.transition) > this.SKID_TIME_TOLERANCE_S) {
+                const middle = tryFit((inside.transition + outside.transition) / 2);
+                if (isPlausible(middle)) {
+                    inside = middle;
+                } else {
+                    outside = middle;
+                }
+            }
+            return inside;
+        };
+        const plausible = [best, findEdge(-1), findEdge(1), ...coarse.filter(isPlausible)].map(metrics);
+        const result = { detected: true, reason: null, ...metrics(best) };
+        Object.keys(fitStd).forEach(key => {
+            const values = plausible.map(value => value[key]);
+            const halfRange = key === 'transitionTime'
+                ? Math.max(this.SKID_TIME_TOLERANCE_S, Math.max(...values) - Math.min(...values)) / 2
+                : (Math.max(...values) - Math.min(...values)) / 2;
+            result[`${key}Std`] = Math.hypot(fitStd[key], halfRange);
+        });
         
-        if (timeDiffSec <= 0) {
-            console.warn('Invalid time difference');
-            return 0;
+        console.log(
+            `Skid/roll fit: launch ${(result.launchSpeed / 100).toFixed(3)} m/s, skid ${(result.skidDistance / 100).toFixed(3)} m ` +
+            `over ${result.transitionTime.toFixed(3)} s, deceleration ${(skidDeceleration / 100).toFixed(2)} then ` +
+            `${(rollDeceleration / 100).toFixed(2)} m/s^2`
+        );
+        return result;
+    }
+
+    /**
+     * Golden-section search for the transition with the lowest chi-squared in [low, high]
+     * @param {Function} fit - Fits one transition time, returning a candidate with chiSquared
+     * @param {number} low - Start of the bracket (s)
+     * @param {number} high - End of the bracket (s)
+     * @param {Object} fallback - Candidate already fitted in the bracket, returned if none beats it
+     * @returns {Object} Best candidate found
+     */
+    goldenSectionMinimum(fit, low, high, fallback) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = low;
+        let b = high;
+        let left = fit(b - ratio * (b - a));
+        let right = fit(a + ratio * (b - a));
+        let best = fallback;
+        while (b - a > this.SKID_TIME_TOLERANCE_S) {
+            if (left.chiSquared < best.chiSquared) best = left;
+            if (right.chiSquared < best.chiSquared) best = right;
+            if (left.chiSquared <= right.chiSquared) {
+                b = right.transition;
+                right = left;
+                left = fit(b - ratio * (b - a));
+            } else {
+                a = left.transition;
+                left = right;
+                right = fit(a + ratio * (b - a));
+            }
         }
+        if (left.chiSquared < best.chiSquared) best = left;
+        if (right.chiSquared < best.chiSquared) best = right;
+        return best;
+    }
+
+    /**
+     * Predict where the ball stops. Rolling resistance gives a constant deceleration a along
+     * the path, so a ball at p0 moving at v0 in direction d stops v0 / a seconds later,
+     * v0^2 / (2a) further along d - also when it leaves the frame first. The fitted
+     * deceleration is used when it is plausible and well determined, otherwise the measured
+     * green speed, otherwise a typical green's. A stop seen in the recording replaces the prediction.
+     * @param {Object} fit - {start, startStd, origin, originTime, direction, speed, speedStd, deceleration,
+     *                       decelerationStd} in cm and s; the model starts at origin, the roll at start
+     * @param {Object} rest - {start, stop}: samples of the ball at rest before and after the roll, or null
+     * @returns {Object} {deceleration, decelerationStd, decelerationSource ('fit' | 'green' | 'default'),
+     *                    rollingResistance, stopTime, rollDistance, rollDistanceStd, startPoint, stopPoint,
+     *                    stoppedInView, greenStimpFeet}.
+     *                    Distances in m, stopTime in s after the fit start, points in cm on the green.
+     */
+    predictRollout(fit, rest) {
+        const fitted = fit.deceleration !== null &&
+            fit.deceleration >= this.MIN_DECELERATION * 100 &&
+            fit.deceleration <= this.MAX_DECELERATION * 100 &&
+            fit.decelerationStd <= this.MAX_DECELERATION_REL_STD * fit.deceleration;
+        
+        let deceleration;
+        let decelerationStd;
+        let decelerationSource;
+        if (fitted) {
+            deceleration = fit.deceleration;
+            decelerationStd = fit.decelerationStd;
+            decelerationSource = 'fit';
+        } else if (this.greenSpeed) {
+            deceleration = this.greenSpeed.deceleration * 100;
+            decelerationStd = deceleration * this.GREEN_DECELERATION_REL_STD;
+            decelerationSource = 'green';
+        } else {
+            deceleration = this.DEFAULT_DECELERATION * 100;
+            decelerationStd = deceleration * this.DEFAULT_DECELERATION_REL_STD;
+            decelerationSource = 'default';
+        }
+        
+        const stopTime = fit.originTime + fit.speed / deceleration;
+        const remaining = (fit.speed * fit.speed) / (2 * deceleration);
+        // First-order error propagation; the speed/deceleration correlation is ignored
+        const remainingStd = Math.hypot(
+            (fit.speed / deceleration) * fit.speedStd,
+            (remaining / deceleration) * decelerationStd
+        );
         
-        // Calculate speed in cm/s
-        const speedCmPerSec = distanceCm / timeDiffSec;
+        const startPoint = rest.start ? { x: rest.start.x, y: rest.start.y } : { ...fit.start };
+        const startStd = rest.start ? rest.start.std : fit.startStd;
+        const stopPoint = rest.stop
+            ? { x: rest.stop.x, y: rest.stop.y }
+            : { x: fit.origin.x + fit.direction.x * remaining, y: fit.origin.y + fit.direction.y * remaining };
+        const stopStd = rest.stop ? rest.stop.std : remainingStd;
+        const rollDistance = this.calculateDistance(startPoint.x, startPoint.y, stopPoint.x, stopPoint.y);
         
-        // Convert to m/s
-        const speedMPerSec = speedCmPerSec / 100;
+        const rollout = {
+            deceleration: deceleration / 100,
+            decelerationStd: decelerationStd / 100,
+            decelerationSource: decelerationSource,
+            rollingResistance: deceleration / 100 / this.GRAVITY,
+            stopTime: stopTime,
+            rollDistance: rollDistance / 100,
+            rollDistanceStd: Math.hypot(startStd, stopStd) / 100,
+            startPoint: startPoint,
+            stopPoint: stopPoint,
+            stoppedInView: !!rest.stop,
+            greenStimpFeet: this.greenSpeed ? this.greenSpeed.stimpFeet : null
+        };
         
-        return speedMPerSec;
+        console.log(
+            `Roll-out (${rollout.decelerationSource} deceleration ${rollout.deceleration.toFixed(3)} m/s^2): ` +
+            `${rollout.rollDistance.toFixed(2)} m, ${rollout.stoppedInView ? 'stopped' : 'predicted to stop'} ` +
+            `at (${stopPoint.x.toFixed(1)}, ${stopPoint.y.toFixed(1)}) cm`
+        );
+        return rollout;
+    }
+    
+    /**
+     * Result for frames that don't support a speed measurement
+     * @param {string} reason - Why there is no measurement, shown to the user
+     * @param {number} pointCount - Usable ball positions found
+     * @returns {Object} Measurement with measured = false and no speed values
+     */
+    noMeasurement(reason, pointCount) {
+        return {
+            measured: false,
+            reason: reason,
+            initialSpeed: null,
+            averageSpeed: null,
+            deceleration: null,
+            standardError: null,
+            confidenceInterval: null,
+            singlePhaseSpeed: null,
+            singlePhaseSpeedStd: null,
+            model: null,
+            pointCount: pointCount,
+            startTimestamp: null,
+            endTimestamp: null,
+            reducedChiSquared: null,
+            launchDirection: null,
+            launchDirectionStd: null,
+            launch: null,
+            rollout: null
+        };
+    }
+    
+    /**
+     * Best available per-frame ball position without a track: the refined edge-fit center
+     * when its fit is good, otherwise the center of the detection box
+     * @param {Object} frame - Frame with ballPosition and optional ballCenter
+     * @returns {Object|null} {x, y} in pixels
+     */
+    getBallPosition(frame) {
+        if (frame.ballCenter && frame.ballCenter.quality >= this.MIN_CENTER_QUALITY) {
+            return frame.ballCenter;
+        }
+        return frame.ballPosition || null;
     }
     
     /**
@@ -107,13 +779,4 @@ class SpeedCalculator {
             Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2)
         );
     }
-    
-    /**
-     * Get a simulated speed for demonstration purposes
-     * @returns {number} - Simulated speed in m/s
-     */
-    getSimulatedSpeed() {
-        // Generate random speed between 1-3 m/s (typical putting speeds)
-        return 1 + Math.random() * 2;
-    }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -18,15 +18,32 @@ class CameraController {
             displayCanvas: this.displayCanvas
         });
         
+        this.cameraSource = null;  // Live camera FrameSource; owns the stream
         this.stream = null;
+        this.videoTrack = null;
         this.video = null;
         this.frameCapture = null;
         this.frameCallback = null;
         this.CAPTURE_INTERVAL = 100; // ms between frames
         this.capturedFrame = null;
         this.isStreaming = false;
+        this.cameraSettings = new CameraSettings();
+        this.motionTrigger = null; // Set by the app to enable auto-recording
+
+        // Putt recording state
+        this.RECORDING_WINDOW_MS = 8500;  // Time kept in the ring buffer without a motion trigger
+        this.DEFAULT_FRAME_RATE = 30;     // Used when the track doesn't report its frame rate
+        this.FRAME_MEMORY_BUDGET = 512 * 1024 * 1024; // Bytes of decoded RGBA frames held at once
+        this.frameBuffer = new FrameBuffer(240);
+        this.isRecording = false;
+        this.recordingSession = 0;        // Lets a stale read loop notice that its recording ended
+        this.captureClock = new FrameClock();
+
+        // Video file import limits
+        this.VIDEO_MAX_FRAMES = 600;      // Upper bound on decoded frames; FRAME_MEMORY_BUDGET also applies
+        this.VIDEO_FALLBACK_FPS = 30;     // Seek step when per-frame callbacks are unavailable
     }
-    
+
     /**
      * Start the camera and get user media stream
      */
@@ -37,69 +54,45 @@ class CameraController {
         console.log('Display canvas:', this.displayCanvas);
         
         try {
-            const constraints = {
-                video: {
-                    facingMode: 'environment', // Use rear camera on mobile
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                }
-            };
+            const constraints = this.cameraSettings.buildConstraints();
             
             console.log('Requesting user media with constraints:', constraints);
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video = this.videoElement; // Make sure we have the video reference
-            
-            console.log('Stream acquired:', this.stream);
-            console.log('Setting video srcObject...');
-            this.video.srcObject = this.stream;
             this.isStreaming = false; // Will be set to true when video loads
             
-            // Start playing the video
-            this.video.play();
+            // The source plays the stream in the preview element, so the preview and
+            // the recording see the same frames
+            this.cameraSource = new CameraFrameSource(null, constraints, this.videoElement);
+            await this.cameraSource.open();
+            this.stream = this.cameraSource.stream;
+            this.videoTrack = this.cameraSource.getVideoTrack();
+            this.video = this.videoElement;
             
-            console.log('Camera stream acquired, waiting for video to be playable...');
+            console.log('Stream acquired:', this.stream);
+            await this.cameraSettings.applyFrameRate(this.videoTrack);
+            console.log('Video track settings:', this.videoTrack.getSettings());
             
-            // Wait for video to be ready
-            return new Promise((resolve, reject) => {
-                // Add timeout to catch if metadata never loads
-                const timeout = setTimeout(() => {
-                    console.error('Timeout waiting for video to become playable');
-                    reject(new Error('Timeout waiting for video to become playable'));
-                }, 10000); // 10 second timeout
-                
-                this.video.oncanplay = () => {
-                    clearTimeout(timeout);
-                    console.log('Video is now playable (oncanplay event fired)');
-                    console.log('Video dimensions:', {
-                        width: this.video.videoWidth,
-                        height: this.video.videoHeight
-                    });
-                    
-                    // Set canvas dimensions to match video
-                    this.processingCanvas.width = this.video.videoWidth;
-                    this.processingCanvas.height = this.video.videoHeight;
-                    this.displayCanvas.width = this.video.videoWidth;
-                    this.displayCanvas.height = this.video.videoHeight;
-                    
-                    console.log('Canvas dimensions set:', {
-                        processing: { width: this.processingCanvas.width, height: this.processingCanvas.height },
-                        display: { width: this.displayCanvas.width, height: this.displayCanvas.height }
-                    });
-                    
-                    // Set streaming flag
-                    this.isStreaming = true;
-                    
-                    console.log('Camera ready for streaming');
-                    resolve();
-                };
-                
-                this.video.onerror = (error) => {
-                    clearTimeout(timeout);
-                    console.error('Video error:', error);
-                    reject(error);
-                };
+            // Set canvas dimensions to match video
+            this.processingCanvas.width = this.video.videoWidth;
+            this.processingCanvas.height = this.video.videoHeight;
+            this.displayCanvas.width = this.video.videoWidth;
+            this.displayCanvas.height = this.video.videoHeight;
+            
+            console.log('Canvas dimensions set:', {
+                processing: { width: this.processingCanvas.width, height: this.processingCanvas.height },
+                display: { width: this.displayCanvas.width, height: this.displayCanvas.height }
             });
+            
+            // Set streaming flag
+            this.isStreaming = true;
+            
+            console.log('Camera ready for streaming');
         } catch (error) {
+            if (this.cameraSource) {
+                this.cameraSource.close();
+                this.cameraSource = null;
+            }
+            this.stream = null;
+            this.videoTrack = null;
             console.error('Error accessing camera:', error);
             console.error('Error details:', {
                 name: error.name,
@@ -113,6 +106,54 @@ class CameraController {
     
 
     
+    /**
+     * Get capabilities and current settings of the active camera track
+     * @returns {Object|null} Track info from CameraSettings.getTrackInfo() or null if no camera is running
+     */
+    getCameraInfo() {
+        if (!this.videoTrack) {
+            return null;
+        }
+        return this.cameraSettings.getTrackInfo(this.videoTrack);
+    }
+    
+    /**
+     * Change device, resolution or frame rate. Restarts the stream if the camera is running.
+     * @param {Object} selection - Partial selection {deviceId, width, height, frameRate}
+     */
+    async updateCameraSettings(selection) {
+        this.cameraSettings.setSelection(selection);
+        
+        if (!this.stream) {
+            return;
+        }
+        
+        if (this.isRecording) {
+            throw new Error('Cannot change camera settings while recording');
+        }
+        
+        // A new device needs a new stream; the locks belong to the old track
+        this.stopCamera();
+        await this.startCamera();
+        
+        const locks = this.cameraSettings.locks;
+        if (locks.focus || locks.exposure || locks.whiteBalance) {
+            await this.setCameraLocks(locks);
+        }
+    }
+    
+    /**
+     * Lock or unlock focus, exposure and white balance on the active camera
+     * @param {Object} locks - Partial lock state {focus, exposure, whiteBalance}
+     * @returns {Promise<Object>} Lock state actually applied
+     */
+    async setCameraLocks(locks) {
+        if (!this.videoTrack) {
+            throw new Error('Camera must be started before locking focus or exposure');
+        }
+        return this.cameraSettings.applyLocks(this.videoTrack, locks);
+    }
+    
     /**
      * Capture a single frame from the video feed
      * @returns {Object} The captured frame data
@@ -128,9 +169,9 @@ class CameraController {
             this.processingCanvas.height
         );
         
-        // Get frame data
+        // Get frame data, stamped with the media time of the frame being shown
         const frame = {
-            timestamp: Date.now(),
+            timestamp: FrameClock.getMediaTime(this.video),
             imageData: this.processingContext.getImageData(
                 0, 
                 0, 
@@ -163,10 +204,11 @@ class CameraController {
         console.log('Stopping camera');
         this.isStreaming = false;
         
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
+        if (this.cameraSource) {
+            this.cameraSource.close();
+            this.cameraSource = null;
             this.stream = null;
-            this.video.srcObject = null;
+            this.videoTrack = null;
             console.log('Camera stream stopped');
         }
     }
@@ -177,6 +219,7 @@ class CameraController {
      */
     startFrameCapture(callback) {
         this.frameCallback = callback;
+        this.captureClock.reset();
         
         this.frameCapture = setInterval(() => {
             // Draw current video frame to processing canvas
@@ -188,9 +231,13 @@ class CameraController {
                 this.processingCanvas.height
             );
             
-            // Get frame data
+            // Get frame data. The interval is not tied to the video clock, so the
+            // same frame can be sampled twice or frames can be skipped in between.
+            const timing = this.captureClock.stampFromVideo(this.video);
             const frameData = {
-                timestamp: Date.now(),
+                timestamp: timing.timestamp,
+                droppedBefore: timing.droppedBefore,
+                isDuplicate: timing.isDuplicate,
                 imageData: this.processingContext.getImageData(
                     0, 
                     0, 
@@ -215,6 +262,118 @@ class CameraController {
             this.frameCapture = null;
         }
     }
+
+    /**
+     * Start recording frames into the ring buffer at the camera's native frame rate
+     */
+    startRecording() {
+        if (!this.cameraSource || !this.cameraSource.isOpen) {
+            throw new Error('Camera must be started before recording');
+        }
+
+        if (this.isRecording) {
+            console.warn('Recording already in progress');
+            return;
+        }
+
+        console.log('Starting putt recording');
+        this.frameBuffer.clear();
+        const capacity = this.getRecordingCapacity();
+        if (capacity !== this.frameBuffer.capacity) {
+            this.frameBuffer = new FrameBuffer(capacity);
+        }
+        this.cameraSource.resetClock();
+        this.isRecording = true;
+        this.recordFrames(++this.recordingSession);
+    }
+
+    /**
+     * Number of frames the recording buffer needs: the motion trigger's whole window (pre-roll
+     * plus the longest recording) at the negotiated frame rate, capped by the memory budget
+     * @returns {number} Buffer capacity in frames
+     */
+    getRecordingCapacity() {
+        const settings = this.videoTrack ? this.videoTrack.getSettings() : {};
+        const frameRate = settings.frameRate || this.DEFAULT_FRAME_RATE;
+        const windowMs = this.motionTrigger
+            ? this.motionTrigger.PRE_ROLL_MS + this.motionTrigger.MAX_RECORD_MS
+            : this.RECORDING_WINDOW_MS;
+        const needed = Math.ceil(frameRate * windowMs / 1000);
+
+        const frameBytes = this.video.videoWidth * this.video.videoHeight * 4;
+        const affordable = frameBytes > 0 ? Math.floor(this.FRAME_MEMORY_BUDGET / frameBytes) : needed;
+        const capacity = Math.max(1, Math.min(needed, affordable));
+        if (capacity < needed) {
+            console.warn(
+                `Recording buffer limited to ${capacity} frames (${(capacity / frameRate).toFixed(1)} s at ` +
+                `${frameRate.toFixed(0)} fps, ${this.video.videoWidth}x${this.video.videoHeight}) by the memory budget`
+            );
+        }
+        return capacity;
+    }
+
+    /**
+     * Keep the recording from a point in time on, so the pre-roll and launch frames survive
+     * when the buffer can't hold the whole putt
+     * @param {number} fromTime - Earliest frame arrival time to keep (performance.now() clock)
+     */
+    pinRecording(fromTime) {
+        if (!this.isRecording) return;
+        this.frameBuffer.pinFrom(fromTime);
+        console.log(`Recording pinned: ${this.frameBuffer.length} frames kept from the pre-roll on`);
+    }
+
+    /**
+     * Stop recording and hand over the recorded frames
+     * @returns {Array} Recorded frames, oldest first. The caller owns the frame images.
+     */
+    stopRecording() {
+        if (!this.isRecording) {
+            return [];
+        }
+
+        this.isRecording = false;
+        if (this.cameraSource) {
+            this.cameraSource.cancelPendingFrame();
+        }
+
+        const evicted = this.frameBuffer.evictedCount;
+        const dropped = this.frameBuffer.droppedCount;
+        const frames = this.frameBuffer.drain();
+
+        // Bitmaps are created asynchronously, so make sure the sequence is in clock order
+        frames.sort((a, b) => a.timestamp - b.timestamp);
+
+        const stats = this.cameraSource ? this.cameraSource.getClockStats() : null;
+        console.log(`Recording stopped: ${frames.length} frames buffered (${evicted} older frames discarded, ` +
+            `${dropped} later frames dropped with the buffer full)`, stats);
+        return frames;
+    }
+
+    /**
+     * Read frames from the camera source into the ring buffer until the recording stops
+     * @param {number} session - Recording this loop belongs to
+     */
+    async recordFrames(session) {
+        const isCurrent = () => this.isRecording && this.recordingSession === session;
+        while (isCurrent()) {
+            let frame;
+            try {
+                frame = await this.cameraSource.nextFrame();
+            } catch (error) {
+                console.error('Error recording frame:', error);
+                continue;
+            }
+            if (!frame) break;
+
+            // Recording may have stopped while the bitmap was being created
+            if (!isCurrent()) {
+                frame.image.close();
+                break;
+            }
+            this.frameBuffer.push(frame);
+        }
+    }
     
     /**
      * Draw current frame to display canvas
@@ -231,6 +390,11 @@ class CameraController {
             // Get image data
             const imageData = this.processingContext.getImageData(0, 0, this.processingCanvas.width, this.processingCanvas.height);
             
+            // Feed the auto-trigger before drawing so the overlay shows the latest state
+            if (this.motionTrigger && this.motionTrigger.isActive()) {
+                this.motionTrigger.processFrame(imageData, performance.now());
+            }
+            
             // Use UI controller's drawFrame method (includes tracking overlays)
             if (this.uiController && this.uiController.drawFrame) {
                 this.uiController.drawFrame(imageData);
@@ -269,6 +433,7 @@ class CameraController {
      */
     reset() {
         console.log('Resetting camera controller');
+        FrameBuffer.releaseFrames(this.stopRecording());
         this.stopCamera();
         this.stopFrameCapture();
         this.capturedFrame = null;
@@ -299,9 +464,10 @@ class CameraController {
                 // Draw the image to the processing canvas
                 this.processingContext.drawImage(img, 0, 0, img.width, img.height);
                 
-                // Get frame data
+                // Get frame data. A still image has no video clock, so use the
+                // monotonic page clock rather than wall-clock time.
                 const frame = {
-                    timestamp: Date.now(),
+                    timestamp: performance.now(),
                     imageData: this.processingContext.getImageData(
                         0, 
                         0, 
@@ -331,6 +497,78 @@ class CameraController {
             img.src = 'assets/images/0fe53e23-IMG_3884.JPG';
         });
     }
+
+    /**
+     * Load a local video file and decode its frames for analysis
+     * @param {File} file - MP4 or WebM video file
+     * @param {Function} onProgress - Optional callback (currentTime, duration) in seconds
+     * @returns {Promise<Array>} Decoded frames with media timestamps. The caller owns the frame images.
+     */
+    async loadVideoFile(file, onProgress = null) {
+        console.log('Loading video file:', file.name, file.type);
+        const source = new VideoFileFrameSource(file, { fallbackFrameRate: this.VIDEO_FALLBACK_FPS });
+        return this.loadFrameSource(source, file.name, onProgress);
+    }
+
+    /**
+     * Load still images (e.g. a burst exported from a high-speed camera) as a frame sequence.
+     * Stills carry no capture clock, so they are spaced at the selected camera frame rate.
+     * @param {Array<File>} files - Image files, in capture order
+     * @param {Function} onProgress - Optional callback (currentTime, duration) in seconds
+     * @returns {Promise<Array>} Decoded frames. The caller owns the frame images.
+     */
+    async loadImageSequence(files, onProgress = null) {
+        const frameRate = this.cameraSettings.selection.frameRate || this.DEFAULT_FRAME_RATE;
+        console.log(`Loading ${files.length} images as a sequence at ${frameRate} fps`);
+        const source = new ImageSequenceFrameSource(files, { frameRate: frameRate });
+        return this.loadFrameSource(source, `${files.length} images`, onProgress);
+    }
+
+    /**
+     * Decode every frame of a file-based source onto the display for analysis
+     * @param {FrameSource} source - Source with a duration in seconds
+     * @param {string} label - What is being loaded, for logging
+     * @param {Function} onProgress - Optional callback (currentTime, duration) in seconds
+     * @returns {Promise<Array>} Decoded frames. The caller owns the frame images.
+     */
+    async loadFrameSource(source, label, onProgress = null) {
+        try {
+            await source.open();
+
+            // Stop the live preview so it doesn't draw over the imported frames
+            this.isStreaming = false;
+
+            // Set canvas dimensions to match the video
+            this.processingCanvas.width = source.width;
+            this.processingCanvas.height = source.height;
+            this.displayCanvas.width = source.width;
+            this.displayCanvas.height = source.height;
+
+            // Full-resolution bitmaps add up fast (8 MB per 1080p frame), so bound decoding by bytes
+            const frameBytes = source.width * source.height * 4;
+            const maxFrames = Math.max(1, Math.min(this.VIDEO_MAX_FRAMES, Math.floor(this.FRAME_MEMORY_BUDGET / frameBytes)));
+            if (maxFrames < this.VIDEO_MAX_FRAMES) {
+                console.warn(`Decoding at most ${maxFrames} frames of ${source.width}x${source.height} to stay within the memory budget`);
+            }
+
+            const frames = await source.readAll(maxFrames, frame => {
+                this.displayContext.drawImage(frame.image, 0, 0, this.displayCanvas.width, this.displayCanvas.height);
+                if (onProgress) {
+                    onProgress(frame.timestamp / 1000, source.duration);
+                }
+            });
+
+            console.log(`Decoded ${frames.length} frames from ${label}`);
+
+            if (onProgress) {
+                onProgress(source.duration, source.duration);
+            }
+
+            return frames;
+        } finally {
+            source.close();
+        }
+    }
     
     /**
      * Animation loop for live camera feed
@@ -0,0 +1,250 @@
+/**
+ * Camera Settings
+ * Lists camera devices, reads track capabilities and builds/apply constraints
+ * for resolution, frame rate and focus/exposure/white-balance locks
+ */
+
+class CameraSettings {
+    constructor() {
+        // Candidate resolutions offered to the user (filtered by track capabilities)
+        this.RESOLUTIONS = [
+            { width: 640, height: 480 },
+            { width: 1280, height: 720 },
+            { width: 1920, height: 1080 },
+            { width: 3840, height: 2160 }
+        ];
+
+        // Candidate frame rates; putts benefit from the highest rate the camera can sustain
+        this.FRAME_RATES = [30, 60, 120, 240];
+        this.FRAME_RATE_TOLERANCE = 1;    // fps; 29.97 counts as 30
+
+        // Current user selection (null deviceId = rear camera via facingMode)
+        this.selection = {
+            deviceId: null,
+            width: 1280,
+            height: 720,
+            frameRate: 60
+        };
+
+        // Lock state for the 3A (auto focus/exposure/white balance) controls
+        this.locks = {
+            focus: false,
+            exposure: false,
+            whiteBalance: false
+        };
+    }
+
+    /**
+     * List available video input devices
+     * @returns {Promise<Array>} Array of {deviceId, label}
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            console.warn('Device enumeration not supported in this browser');
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                // Labels are empty until camera permission has been granted
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    /**
+     * Update the current selection
+     * @param {Object} selection - Partial selection {deviceId, width, height, frameRate}
+     */
+    setSelection(selection) {
+        this.selection = { ...this.selection, ...selection };
+        console.log('Camera selection updated:', this.selection);
+    }
+
+    /**
+     * Build getUserMedia constraints from the current selection
+     * @returns {MediaStreamConstraints} Constraints object
+     */
+    buildConstraints() {
+        const video = {
+            width: { ideal: this.selection.width },
+            height: { ideal: this.selection.height }
+        };
+
+        if (this.selection.deviceId) {
+            video.deviceId = { exact: this.selection.deviceId };
+        } else {
+            video.facingMode = 'environment'; // Use rear camera on mobile
+        }
+
+        if (this.selection.frameRate) {
+            video.frameRate = { ideal: this.selection.frameRate };
+        }
+
+        return { video };
+    }
+
+    /**
+     * Make sure the track runs at the selected frame rate, as far as the camera allows.
+     * getUserMedia only treats the rate as a hint, so when the track falls short it is asked
+     * again with an exact rate, which unlocks high-speed modes on some devices.
+     * @param {MediaStreamTrack} track - Video track
+     * @returns {Promise<Object>} {requested, delivered} in fps; delivered is null if the browser doesn't report it
+     */
+    async applyFrameRate(track) {
+        const requested = this.selection.frameRate;
+        let delivered = track.getSettings().frameRate;
+
+        if (requested && delivered && delivered < requested - this.FRAME_RATE_TOLERANCE) {
+            try {
+                // applyConstraints replaces the whole constraint set, so restate the resolution
+                await track.applyConstraints({
+                    width: { ideal: this.selection.width },
+                    height: { ideal: this.selection.height },
+                    frameRate: { exact: requested }
+                });
+            } catch (error) {
+                console.warn(`Camera refused ${requested} fps:`, error.message || error.name);
+            }
+            delivered = track.getSettings().frameRate;
+        }
+
+        if (requested && delivered && delivered < requested - this.FRAME_RATE_TOLERANCE) {
+            console.warn(`Requested ${requested} fps, camera delivers ${delivered.toFixed(0)} fps`);
+        }
+        return { requested: requested, delivered: delivered || null };
+    }
+
+    /**
+     * Get capabilities and current settings of a video track
+     * @param {MediaStreamTrack} track - Video track
+     * @returns {Object} {label, capabilities, settings, resolutions, frameRates, requestedFrameRate,
+     *                    frameRateShortfall, lockSupport}
+     */
+    getTrackInfo(track) {
+        // getCapabilities() is missing in some browsers (e.g. older Firefox)
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const settings = track.getSettings();
+
+        return {
+            label: track.label,
+            capabilities: capabilities,
+            settings: settings,
+            resolutions: this.getSupportedResolutions(capabilities),
+            frameRates: this.getSupportedFrameRates(capabilities),
+            requestedFrameRate: this.selection.frameRate,
+            // True when the track runs slower than selected (false if the browser doesn't say)
+            frameRateShortfall: !!(this.selection.frameRate && settings.frameRate &&
+                settings.frameRate < this.selection.frameRate - this.FRAME_RATE_TOLERANCE),
+            lockSupport: {
+                focus: this.supportsMode(capabilities.focusMode),
+                exposure: this.supportsMode(capabilities.exposureMode),
+                whiteBalance: this.supportsMode(capabilities.whiteBalanceMode)
+            }
+        };
+    }
+
+    /**
+     * Filter candidate resolutions by track capabilities
+     * @param {Object} capabilities - MediaTrackCapabilities
+     * @returns {Array} Array of {width, height}
+     */
+    getSupportedResolutions(capabilities) {
+        if (!capabilities.width || !capabilities.height) {
+            return [...this.RESOLUTIONS];
+        }
+        return this.RESOLUTIONS.filter(res =>
+            res.width <= capabilities.width.max && res.height <= capabilities.height.max
+        );
+    }
+
+    /**
+     * Filter candidate frame rates by track capabilities
+     * @param {Object} capabilities - MediaTrackCapabilities
+     * @returns {Array} Array of frame rates
+     */
+    getSupportedFrameRates(capabilities) {
+        if (!capabilities.frameRate) {
+            return [...this.FRAME_RATES];
+        }
+        return this.FRAME_RATES.filter(fps => fps <= capabilities.frameRate.max);
+    }
+
+    /**
+     * Check whether a 3A mode capability can be locked
+     * @param {Array|undefined} modes - Supported modes (e.g. capabilities.focusMode)
+     * @returns {boolean}
+     */
+    supportsMode(modes) {
+        return Array.isArray(modes) && (modes.includes('manual') || modes.includes('single-shot'));
+    }
+
+    /**
+     * Lock or unlock focus, exposure and white balance on a track.
+     * Locking holds the values the camera has currently settled on.
+     * @param {MediaStreamTrack} track - Video track
+     * @param {Object} locks - Partial lock state {focus, exposure, whiteBalance}
+     * @returns {Promise<Object>} Lock state actually applied
+     */
+    async applyLocks(track, locks) {
+        const requested = { ...this.locks, ...locks };
+        const info = this.getTrackInfo(track);
+        const { capabilities, settings } = info;
+        const constraint = {};
+        const applied = { focus: false, exposure: false, whiteBalance: false };
+
+        if (info.lockSupport.focus) {
+            constraint.focusMode = requested.focus ? this.getLockMode(capabilities.focusMode) : this.getAutoMode(capabilities.focusMode);
+            if (requested.focus && constraint.focusMode === 'manual' && settings.focusDistance !== undefined) {
+                constraint.focusDistance = settings.focusDistance;
+            }
+            applied.focus = requested.focus;
+        }
+
+        if (info.lockSupport.exposure) {
+            constraint.exposureMode = requested.exposure ? this.getLockMode(capabilities.exposureMode) : this.getAutoMode(capabilities.exposureMode);
+            if (requested.exposure && constraint.exposureMode === 'manual' && settings.exposureTime !== undefined) {
+                constraint.exposureTime = settings.exposureTime;
+            }
+            applied.exposure = requested.exposure;
+        }
+
+        if (info.lockSupport.whiteBalance) {
+            constraint.whiteBalanceMode = requested.whiteBalance ? this.getLockMode(capabilities.whiteBalanceMode) : this.getAutoMode(capabilities.whiteBalanceMode);
+            if (requested.whiteBalance && constraint.whiteBalanceMode === 'manual' && settings.colorTemperature !== undefined) {
+                constraint.colorTemperature = settings.colorTemperature;
+            }
+            applied.whiteBalance = requested.whiteBalance;
+        }
+
+        if (Object.keys(constraint).length === 0) {
+            console.warn('Camera does not support focus/exposure/white balance locks');
+            return applied;
+        }
+
+        console.log('Applying camera lock constraints:', constraint);
+        await track.applyConstraints({ advanced: [constraint] });
+        this.locks = applied;
+        return applied;
+    }
+
+    /**
+     * Pick the mode used to lock a 3A control
+     * @param {Array} modes - Supported modes
+     * @returns {string} 'manual' if available, otherwise 'single-shot'
+     */
+    getLockMode(modes) {
+        return modes.includes('manual') ? 'manual' : 'single-shot';
+    }
+
+    /**
+     * Pick the mode used to hand a 3A control back to the camera
+     * @param {Array} modes - Supported modes
+     * @returns {string} 'continuous' if available, otherwise the first supported mode
+     */
+    getAutoMode(modes) {
+        return modes.includes('continuous') ? 'continuous' : modes[0];
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Frame Buffer
+ * Bounded ring buffer holding the most recent recorded frames
+ */
+
+class FrameBuffer {
+    /**
+     * @param {number} capacity - Maximum number of frames kept before the oldest is evicted
+     */
+    constructor(capacity = 240) {
+        if (capacity <= 0) {
+            throw new Error('Frame buffer capacity must be greater than zero');
+        }
+
+        this.capacity = capacity;
+        this.frames = new Array(capacity);
+        this.start = 0;     // Index of the oldest frame
+        this.length = 0;    // Number of frames currently held
+        this.evictedCount = 0;
+        this.droppedCount = 0;
+        this.isPinned = false;  // When pinned, a full buffer drops new frames instead of evicting old ones
+    }
+
+    /**
+     * Add a frame, evicting the oldest one when the buffer is full
+     * @param {Object} frame - Frame object ({timestamp, image, ...})
+     */
+    push(frame) {
+        if (this.length < this.capacity) {
+            this.frames[(this.start + this.length) % this.capacity] = frame;
+            this.length++;
+            return;
+        }
+
+        if (this.isPinned) {
+            FrameBuffer.releaseFrame(frame);
+            this.droppedCount++;
+            return;
+        }
+
+        // Buffer is full - overwrite the oldest slot and release its image
+        FrameBuffer.releaseFrame(this.frames[this.start]);
+        this.frames[this.start] = frame;
+        this.start = (this.start + 1) % this.capacity;
+        this.evictedCount++;
+    }
+
+    /**
+     * Keep the frames from a point in time on: older frames are released now and, once the
+     * buffer is full, later frames are dropped instead of evicting the kept ones
+     * @param {number} fromTime - Earliest receivedAt (performance.now() clock) to keep
+     */
+    pinFrom(fromTime) {
+        const frames = this.drain();
+        frames.forEach(frame => {
+            if (frame.receivedAt >= fromTime) {
+                this.frames[this.length++] = frame;
+            } else {
+                FrameBuffer.releaseFrame(frame);
+            }
+        });
+        this.isPinned = true;
+    }
+
+    /**
+     * Get the frames in chronological order without removing them
+     * @returns {Array} Array of frame objects, oldest first
+     */
+    toArray() {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            result.push(this.frames[(this.start + i) % this.capacity]);
+        }
+        return result;
+    }
+
+    /**
+     * Remove and return all frames. Ownership of the frame images passes to the caller.
+     * @returns {Array} Array of frame objects, oldest first
+     */
+    drain() {
+        const result = this.toArray();
+        this.frames = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+        this.isPinned = false;
+        return result;
+    }
+
+    /**
+     * Remove all frames and release their images
+     */
+    clear() {
+        this.drain().forEach(frame => FrameBuffer.releaseFrame(frame));
+        this.evictedCount = 0;
+        this.droppedCount = 0;
+    }
+
+    /**
+     * Check whether the buffer has reached capacity
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.length === this.capacity;
+    }
+
+    /**
+     * Release the image held by a frame (ImageBitmaps hold GPU memory until closed)
+     * @param {Object} frame - Frame object
+     */
+    static releaseFrame(frame) {
+        if (frame && frame.image && typeof frame.image.close === 'function') {
+            frame.image.close();
+        }
+    }
+
+    /**
+     * Release the images held by a list of frames
+     * @param {Array} frames - Array of frame objects
+     */
+    static releaseFrames(frames) {
+        if (!frames) return;
+        frames.forEach(frame => FrameBuffer.releaseFrame(frame));
+    }
+}
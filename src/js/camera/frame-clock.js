@@ -0,0 +1,143 @@
+/**
+ * Frame Clock
+ * Stamps video frames with their presentation/media time and detects dropped or duplicated frames
+ */
+
+class FrameClock {
+    constructor() {
+        this.INTERVAL_HISTORY = 15; // Recent frame intervals used to estimate the frame period
+        this.reset();
+    }
+
+    /**
+     * Reset clock state before a new sequence
+     */
+    reset() {
+        this.timeSource = null;          // 'captureTime', 'mediaTime' or 'currentTime'
+        this.lastTimestamp = null;
+        this.lastFrameNumber = null;
+        this.recentIntervals = [];
+        this.frameCount = 0;
+        this.droppedFrames = 0;
+        this.duplicateFrames = 0;
+    }
+
+    /**
+     * Stamp a frame using requestVideoFrameCallback metadata
+     * @param {Object} metadata - VideoFrameCallbackMetadata
+     * @returns {Object} Frame timing {timestamp, frameNumber, droppedBefore, isDuplicate}
+     */
+    stampFromMetadata(metadata) {
+        // Camera streams expose the capture (exposure) time; files only have media time.
+        // The source is fixed on the first frame so a sequence never mixes clocks.
+        if (this.timeSource === null) {
+            this.timeSource = typeof metadata.captureTime === 'number' ? 'captureTime' : 'mediaTime';
+        }
+
+        const timestamp = this.timeSource === 'captureTime'
+            ? metadata.captureTime
+            : metadata.mediaTime * 1000;
+
+        return this.stamp(timestamp, metadata.presentedFrames);
+    }
+
+    /**
+     * Stamp a frame from a video element's current media time (no per-frame metadata available)
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {Object} Frame timing {timestamp, frameNumber, droppedBefore, isDuplicate}
+     */
+    stampFromVideo(video) {
+        if (this.timeSource === null) {
+            this.timeSource = 'currentTime';
+        }
+        return this.stamp(FrameClock.getMediaTime(video), null);
+    }
+
+    /**
+     * Stamp a frame and update drop/duplicate statistics
+     * @param {number} timestamp - Frame time in ms
+     * @param {number|null} frameNumber - Presented frame counter, if known
+     * @returns {Object} Frame timing {timestamp, frameNumber, droppedBefore, isDuplicate}
+     */
+    stamp(timestamp, frameNumber = null) {
+        const isDuplicate = this.lastTimestamp !== null && timestamp <= this.lastTimestamp;
+        let droppedBefore = 0;
+
+        if (isDuplicate) {
+            this.duplicateFrames++;
+        } else if (this.lastTimestamp !== null) {
+            const interval = timestamp - this.lastTimestamp;
+
+            if (frameNumber !== null && this.lastFrameNumber !== null) {
+                // The browser counts presented frames, so gaps are exact
+                droppedBefore = Math.max(0, frameNumber - this.lastFrameNumber - 1);
+            } else {
+                // Otherwise estimate from how many frame periods fit in the gap
+                const period = this.getFramePeriod();
+                if (period) {
+                    droppedBefore = Math.max(0, Math.round(interval / period) - 1);
+                }
+            }
+
+            // Only learn the period from intervals that were not gaps
+            if (droppedBefore === 0) {
+                this.recentIntervals.push(interval);
+                if (this.recentIntervals.length > this.INTERVAL_HISTORY) {
+                    this.recentIntervals.shift();
+                }
+            }
+
+            this.droppedFrames += droppedBefore;
+        }
+
+        if (!isDuplicate) {
+            this.lastTimestamp = timestamp;
+            this.frameCount++;
+        }
+        if (frameNumber !== null) {
+            this.lastFrameNumber = frameNumber;
+        }
+
+        return {
+            timestamp: timestamp,
+            frameNumber: frameNumber,
+            droppedBefore: droppedBefore,
+            isDuplicate: isDuplicate
+        };
+    }
+
+    /**
+     * Estimate the frame period from recent intervals (median, robust to jitter)
+     * @returns {number|null} Frame period in ms, or null if not enough history
+     */
+    getFramePeriod() {
+        if (this.recentIntervals.length < 3) {
+            return null;
+        }
+        const sorted = [...this.recentIntervals].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Get timing statistics for the current sequence
+     * @returns {Object} {frameCount, droppedFrames, duplicateFrames, framePeriod, timeSource}
+     */
+    getStats() {
+        return {
+            frameCount: this.frameCount,
+            droppedFrames: this.droppedFrames,
+            duplicateFrames: this.duplicateFrames,
+            framePeriod: this.getFramePeriod(),
+            timeSource: this.timeSource
+        };
+    }
+
+    /**
+     * Get the media time of the frame a video element is currently showing
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {number} Media time in ms
+     */
+    static getMediaTime(video) {
+        return video.currentTime * 1000;
+    }
+}
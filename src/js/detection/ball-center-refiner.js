@@ -0,0 +1,242 @@
+/**
+ * Ball Center Refiner
+ * Fits a circle to the ball edge inside a detection box to get a sub-pixel center,
+ * radius and fit quality. Box centers from the detector jitter by several pixels;
+ * the fitted edge is far more stable from frame to frame.
+ * Works on the main thread and in the detection worker (no DOM access).
+ */
+
+class BallCenterRefiner {
+    constructor() {
+        this.MARGIN = 0.35;              // Extra context around the box, as a fraction of its size
+        this.RAY_COUNT = 32;             // Rays cast from the box center to find the edge
+        this.SEARCH_MIN = 0.5;           // Search along each ray from this fraction of the box radius...
+        this.SEARCH_MAX = 1.5;           // ...out to this fraction
+        this.RAY_STEP = 0.5;             // px between samples along a ray
+        this.MIN_EDGE_STRENGTH = 12;     // Min luminance change across an edge sample pair
+        this.OUTLIER_PX = 1.5;           // Edge points further than this from the fit are dropped
+        this.MIN_EDGE_POINTS = 8;
+
+        this.canvas = null;
+        this.context = null;
+    }
+
+    /**
+     * Refine a ball detection
+     * @param {CanvasImageSource} image - Full frame the box refers to
+     * @param {Object} bbox - Detection box {x, y, width, height} in image pixels
+     * @returns {Object|null} {x, y, radius, quality (0-1)} or null if no edge was found
+     */
+    refine(image, bbox) {
+        if (!bbox || bbox.width < 4 || bbox.height < 4) return null;
+
+        const margin = Math.max(bbox.width, bbox.height) * this.MARGIN;
+        const left = Math.max(0, Math.floor(bbox.x - margin));
+        const top = Math.max(0, Math.floor(bbox.y - margin));
+        const right = Math.min(image.width, Math.ceil(bbox.x + bbox.width + margin));
+        const bottom = Math.min(image.height, Math.ceil(bbox.y + bbox.height + margin));
+        if (right - left < 4 || bottom - top < 4) return null;
+
+        const patch = this.readLuminance(image, { x: left, y: top, width: right - left, height: bottom - top });
+
+        // Work in patch coordinates from here on
+        const centerX = bbox.x + bbox.width / 2 - left;
+        const centerY = bbox.y + bbox.height / 2 - top;
+        const boxRadius = (bbox.width + bbox.height) / 4;
+
+        let points = this.findEdgePoints(patch, centerX, centerY, boxRadius);
+        if (points.length < this.MIN_EDGE_POINTS) return null;
+
+        // Fit, drop edge points that belong to shadows or grass, and fit again
+        let circle = BallCenterRefiner.fitCircle(points);
+        for (let pass = 0; pass < 2 && circle; pass++) {
+            const inliers = points.filter(point =>
+                Math.abs(Math.hypot(point.x - circle.x, point.y - circle.y) - circle.radius) <= this.OUTLIER_PX
+            );
+            if (inliers.length < this.MIN_EDGE_POINTS || inliers.length === points.length) break;
+            points = inliers;
+            circle = BallCenterRefiner.fitCircle(points);
+        }
+        if (!circle) return null;
+
+        // The fit must stay near the box it came from
+        const drift = Math.hypot(circle.x - centerX, circle.y - centerY);
+        if (drift > boxRadius || circle.radius < boxRadius * this.SEARCH_MIN || circle.radius > boxRadius * this.SEARCH_MAX) {
+            return null;
+        }
+
+        const coverage = points.length / this.RAY_COUNT;
+        const quality = Math.min(1, coverage) / (1 + circle.rms);
+
+        return {
+            x: circle.x + left,
+            y: circle.y + top,
+            radius: circle.radius,
+            quality: quality
+        };
+    }
+
+    /**
+     * Read a region of the image as luminance
+     * @param {CanvasImageSource} image - Source image
+     * @param {Object} region - Integer {x, y, width, height}
+     * @returns {Object} {width, height, data: Float32Array}
+     */
+    readLuminance(image, region) {
+        if (!this.canvas) {
+            this.canvas = typeof document === 'undefined'
+                ? new OffscreenCanvas(region.width, region.height)
+                : document.createElement('canvas');
+        }
+        if (this.canvas.width < region.width || this.canvas.height < region.height) {
+            this.canvas.width = Math.max(this.canvas.width, region.width);
+            this.canvas.height = Math.max(this.canvas.height, region.height);
+            this.context = null;
+        }
+        if (!this.context) {
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        this.context.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+        const rgba = this.context.getImageData(0, 0, region.width, region.height).data;
+
+        const data = new Float32Array(region.width * region.height);
+        for (let i = 0, p = 0; p < data.length; i += 4, p++) {
+            data[p] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+        }
+        return { width: region.width, height: region.height, data: data };
+    }
+
+    /**
+     * Bilinear luminance sample
+     * @param {Object} patch - Luminance patch from readLuminance()
+     * @param {number} x - X in patch pixels (pixel centers at +0.5)
+     * @param {number} y - Y in patch pixels
+     * @returns {number|null} Luminance, or null outside the patch
+     */
+    sample(patch, x, y) {
+        const px = x - 0.5;
+        const py = y - 0.5;
+        if (px < 0 || py < 0 || px >= patch.width - 1 || py >= patch.height - 1) return null;
+
+        const x0 = Math.floor(px);
+        const y0 = Math.floor(py);
+        const fx = px - x0;
+        const fy = py - y0;
+        const i = y0 * patch.width + x0;
+        const d = patch.data;
+
+        return (d[i] * (1 - fx) + d[i + 1] * fx) * (1 - fy) +
+            (d[i + patch.width] * (1 - fx) + d[i + patch.width + 1] * fx) * fy;
+    }
+
+    /**
+     * Find the strongest edge along rays cast from the box center, with sub-pixel interpolation
+     * @param {Object} patch - Luminance patch
+     * @param {number} centerX - Box center x in patch pixels
+     * @param {number} centerY - Box center y in patch pixels
+     * @param {number} boxRadius - Half the mean box side
+     * @returns {Array} Edge points {x, y} in patch pixels
+     */
+    findEdgePoints(patch, centerX, centerY, boxRadius) {
+        const points = [];
+        const start = boxRadius * this.SEARCH_MIN;
+        const end = boxRadius * this.SEARCH_MAX;
+
+        for (let ray = 0; ray < this.RAY_COUNT; ray++) {
+            const angle = (2 * Math.PI * ray) / this.RAY_COUNT;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+
+            // Luminance profile along the ray
+            const profile = [];
+            for (let t = start - this.RAY_STEP; t <= end + this.RAY_STEP; t += this.RAY_STEP) {
+                profile.push(this.sample(patch, centerX + dx * t, centerY + dy * t));
+            }
+
+            // Central-difference gradient; keep the strongest transition
+            let bestIndex = -1;
+            let bestStrength = this.MIN_EDGE_STRENGTH;
+            const gradients = new Array(profile.length).fill(0);
+            for (let i = 1; i < profile.length - 1; i++) {
+                if (profile[i - 1] === null || profile[i + 1] === null) continue;
+                gradients[i] = Math.abs(profile[i - 1] - profile[i + 1]);
+                if (gradients[i] > bestStrength) {
+                    bestStrength = gradients[i];
+                    bestIndex = i;
+                }
+            }
+            if (bestIndex < 2 || bestIndex > profile.length - 3) continue;
+
+            // Parabola through the peak and its neighbors gives the sub-sample offset
+            const g0 = gradients[bestIndex - 1];
+            const g1 = gradients[bestIndex];
+            const g2 = gradients[bestIndex + 1];
+            const denominator = g0 - 2 * g1 + g2;
+            const offset = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (g0 - g2) / denominator)) : 0;
+
+            const t = start - this.RAY_STEP + (bestIndex + offset) * this.RAY_STEP;
+            points.push({ x: centerX + dx * t, y: centerY + dy * t });
+        }
+
+        return points;
+    }
+
+    /**
+     * Algebraic (Kasa) least-squares circle fit: x^2 + y^2 + D*x + E*y + F = 0
+     * @param {Array} points - Points {x, y}
+     * @returns {Object|null} {x, y, radius, rms} or null if the fit is degenerate
+     */
+    static fitCircle(points) {
+        if (points.length < 3) return null;
+
+        // Center the points for numerical stability
+        let meanX = 0;
+        let meanY = 0;
+        points.forEach(point => {
+            meanX += point.x;
+            meanY += point.y;
+        });
+        meanX /= points.length;
+        meanY /= points.length;
+
+        let sxx = 0, sxy = 0, syy = 0, sxz = 0, syz = 0, sz = 0;
+        points.forEach(point => {
+            const x = point.x - meanX;
+            const y = point.y - meanY;
+            const z = x * x + y * y;
+            sxx += x * x;
+            sxy += x * y;
+            syy += y * y;
+            sxz += x * z;
+            syz += y * z;
+            sz += z;
+        });
+
+        // With centered points the normal equations decouple: solve for D and E, then F
+        const det = sxx * syy - sxy * sxy;
+        if (Math.abs(det) < 1e-9) return null;
+        const D = (-sxz * syy + syz * sxy) / det;
+        const E = (-syz * sxx + sxz * sxy) / det;
+        const F = -sz / points.length;
+
+        const centerX = -D / 2;
+        const centerY = -E / 2;
+        const radiusSquared = centerX * centerX + centerY * centerY - F;
+        if (radiusSquared <= 0) return null;
+        const radius = Math.sqrt(radiusSquared);
+
+        let sumSquares = 0;
+        points.forEach(point => {
+            const distance = Math.hypot(point.x - meanX - centerX, point.y - meanY - centerY) - radius;
+            sumSquares += distance * distance;
+        });
+
+        return {
+            x: centerX + meanX,
+            y: centerY + meanY,
+            radius: radius,
+            rms: Math.sqrt(sumSquares / points.length)
+        };
+    }
+}
@@ -8,15 +8,17 @@ class BallDetector {
         this.model = null;
         this.isModelLoaded = false;
         this.modelLoading = false;
+        this.loadFailed = false;
+        this.fallbackDetector = null; // Optional non-ML detector used when the model can't load
         this.detectionThreshold = 0.6; // Higher threshold to only get high confidence detections
-        this.modelPath = './my_model_web_model_6/model.json';
-        this.classNames = {
-            0: 'ball_golf',
-            1: 'coin',
-            2: 'marker_blue',
-            3: 'marker_green',
-            4: 'marker_red'
-        };
+        
+        // Model-specific settings, applied from a ModelRegistry config via setModelConfig()
+        this.modelPath = null;
+        this.classNames = {};
+        this.inputWidth = null; // YOLO model input size, from metadata imgsz or the model signature
+        this.inputHeight = null;
+        this.stride = 32; // Largest feature map stride; anchors come from strides stride/4, stride/2, stride
+        
         this.colors = {
             'ball_golf': '#FF0000', // Red for golf balls
             'coin': '#FFD700',      // Gold for coins
@@ -24,7 +26,15 @@ class BallDetector {
             'marker_green': '#00FF00', // Green for green markers
             'marker_red': '#FF00FF'   // Magenta for red markers (to distinguish from golf balls)
         };
-        this.inputSize = 640; // YOLO model input size
+        // Colors handed out to classes a model introduces that have no color above
+        this.CLASS_COLOR_PALETTE = ['#00BCD4', '#FF9800', '#9C27B0', '#8BC34A', '#E91E63', '#3F51B5'];
+        this.nmsIouThreshold = 0.45; // Per-class overlap above which the weaker box is suppressed
+        this.maxDetections = 50; // Upper bound on boxes kept per class
+        
+        // Sub-pixel center refinement for ball boxes
+        this.centerRefiner = new BallCenterRefiner();
+        this.refineClasses = ['ball_golf'];
+        this.outputIsNormalized = null; // Whether box outputs are 0-1 rather than input pixels; detected on first decode
         
         // Add debug logger
         this.debugLogger = this.getDebugLogger();
@@ -35,7 +45,8 @@ class BallDetector {
      * @returns {Object} Debug logger object
      */
     getDebugLogger() {
-        const logElement = document.getElementById('debug-log');
+        // Inside a worker there is no DOM; the worker script installs its own logger
+        const logElement = typeof document !== 'undefined' ? document.getElementById('debug-log') : null;
         
         if (!logElement) {
             console.warn('Debug log element not found');
@@ -87,6 +98,12 @@ class BallDetector {
             return;
         }
         
+        if (!this.modelPath) {
+            this.debugLogger.log('No detection model selected, cannot load', 'error');
+            this.loadFailed = true;
+            return;
+        }
+        
         this.modelLoading = true;
         this.debugLogger.log('Starting to load YOLO detection model...', 'info');
         
@@ -100,8 +117,10 @@ class BallDetector {
             
             this.debugLogger.log(`Model loaded in ${loadTime}ms, warming up...`, 'info');
             
+            this.resolveInputSize();
+            
             // Warm up the model by running a prediction on a dummy tensor
-            const dummyInput = tf.zeros([1, this.inputSize, this.inputSize, 3]);
+            const dummyInput = tf.zeros([1, this.inputHeight, this.inputWidth, 3]);
             this.debugLogger.log('Created dummy input tensor', 'info');
             
             const warmupStartTime = performance.now();
@@ -131,18 +150,193 @@ class BallDetector {
         } catch (error) {
             this.debugLogger.log(`Error loading model: ${error.message}`, 'error');
             console.error('Error loading YOLO detection model:', error);
-            alert('Failed to load the detection model. Please check your internet connection and try again.');
+            this.loadFailed = true;
+            if (this.fallbackDetector) {
+                this.debugLogger.log('Falling back to classical ball detection', 'warning');
+            } else if (typeof alert === 'function') {
+                alert('Failed to load the detection model. Please check your internet connection and try again.');
+            }
         } finally {
             this.modelLoading = false;
         }
     }
     
+    /**
+     * Apply a model config (from ModelRegistry). A different model path unloads the current model,
+     * so the next initialize() or detectObjects() loads the new one.
+     * @param {Object} config - {modelPath, classNames, inputWidth, inputHeight, stride}
+     */
+    setModelConfig(config) {
+        if (config.modelPath !== this.modelPath && this.model) {
+            this.model.dispose();
+            this.model = null;
+            this.isModelLoaded = false;
+        }
+        
+        this.modelPath = config.modelPath;
+        this.loadFailed = false;
+        this.classNames = { ...config.classNames };
+        this.inputWidth = config.inputWidth || null;
+        this.inputHeight = config.inputHeight || null;
+        this.stride = config.stride || this.stride;
+        this.outputIsNormalized = null;
+        
+        Object.values(this.classNames).forEach((className, index) => {
+            if (!this.colors[className]) {
+                this.colors[className] = this.CLASS_COLOR_PALETTE[index % this.CLASS_COLOR_PALETTE.length];
+            }
+        });
+        
+        this.debugLogger.log(`Model set to ${config.modelPath}: ${Object.values(this.classNames).join(', ')} @ ${this.inputWidth}x${this.inputHeight}`, 'info');
+    }
+    
+    /**
+     * Switch to another model and load it
+     * @param {Object} config - Model config from ModelRegistry
+     */
+    async loadModel(config) {
+        this.setModelConfig(config);
+        await this.initialize();
+    }
+    
+    /**
+     * Current model settings, in the shape setModelConfig() accepts
+     * @returns {Object} {modelPath, classNames, inputWidth, inputHeight, stride}
+     */
+    getModelConfig() {
+        return {
+            modelPath: this.modelPath,
+            classNames: { ...this.classNames },
+            inputWidth: this.inputWidth,
+            inputHeight: this.inputHeight,
+            stride: this.stride
+        };
+    }
+    
+    /**
+     * Fill in the input size from the loaded model's signature when metadata didn't give one,
+     * and warn when the two disagree
+     */
+    resolveInputSize() {
+        const inputShape = this.model.inputs && this.model.inputs[0] ? this.model.inputs[0].shape : null; // [1, H, W, 3]
+        const signatureHeight = inputShape && inputShape[1] > 0 ? inputShape[1] : null;
+        const signatureWidth = inputShape && inputShape[2] > 0 ? inputShape[2] : null;
+        
+        if (!this.inputWidth || !this.inputHeight) {
+            if (!signatureWidth || !signatureHeight) {
+                throw new Error('Model input size unknown: add imgsz to the model metadata.yaml');
+            }
+            this.inputWidth = signatureWidth;
+            this.inputHeight = signatureHeight;
+            this.debugLogger.log(`Using input size from model signature: ${this.inputWidth}x${this.inputHeight}`, 'info');
+        } else if (signatureWidth && signatureHeight &&
+            (signatureWidth !== this.inputWidth || signatureHeight !== this.inputHeight)) {
+            this.debugLogger.log(`Metadata input size ${this.inputWidth}x${this.inputHeight} differs from model signature ${signatureWidth}x${signatureHeight}`, 'warning');
+        }
+    }
+    
+    /**
+     * Number of anchor points a YOLOv8 head produces for the current input size
+     * @returns {number} Anchors over the three detection strides
+     */
+    getAnchorCount() {
+        return [this.stride / 4, this.stride / 2, this.stride].reduce((total, stride) => {
+            return total + Math.ceil(this.inputWidth / stride) * Math.ceil(this.inputHeight / stride);
+        }, 0);
+    }
+    
+    /**
+     * Whether detection currently runs on the fallback detector because the model failed to load
+     * @returns {boolean}
+     */
+    isUsingFallback() {
+        return this.loadFailed && !this.isModelLoaded && this.fallbackDetector !== null;
+    }
+    
+    /**
+     * Prepare for analyzing a recorded sequence. Only the fallback detector needs this:
+     * it builds a background frame from the recording.
+     * @param {Array} frames - Frames with {image}
+     */
+    async prepareBackground(frames) {
+        if (!this.isModelLoaded && !this.loadFailed) {
+            await this.initialize();
+        }
+        if (this.isUsingFallback()) {
+            await this.fallbackDetector.prepareBackground(frames);
+        }
+    }
+    
+    /**
+     * Shift detection boxes by a crop origin
+     * @param {Array} detections - Detections in crop coordinates (modified in place)
+     * @param {Object} roi - Crop {x, y}
+     * @returns {Array} The same detections, in full-image coordinates
+     */
+    offsetDetections(detections, roi) {
+        detections.forEach(detection => {
+            detection.bbox.x += roi.x;
+            detection.bbox.y += roi.y;
+            if (detection.center) {
+                detection.center.x += roi.x;
+                detection.center.y += roi.y;
+            }
+        });
+        return detections;
+    }
+    
+    /**
+     * Add a refined center {x, y, radius, quality} to each ball detection
+     * @param {CanvasImageSource} image - Image the detections were found in
+     * @param {Array} detections - Detections in image coordinates (modified in place)
+     */
+    refineBallCenters(image, detections) {
+        detections.forEach(detection => {
+            if (this.refineClasses.includes(detection.class)) {
+                detection.center = this.centerRefiner.refine(image, detection.bbox);
+            }
+        });
+    }
+    
+    /**
+     * Display color for a class
+     * @param {string} className - Class name
+     * @returns {string} CSS color
+     */
+    getClassColor(className) {
+        return this.colors[className] || '#FF0000';
+    }
+    
+    /**
+     * Create a canvas for preprocessing (OffscreenCanvas when there is no DOM, e.g. in a worker)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
     /**
      * Process an image using the YOLO model to detect balls and coins
      * @param {HTMLCanvasElement|HTMLImageElement} imageElement - The image to process
+     * @param {Object} roi - Optional {x, y, width, height} crop to search instead of the whole image.
+     *     Boxes are still returned in full-image coordinates.
+     * @param {Object} options - {queue}; main-thread inference never drops frames, so it is only
+     *     used by WorkerBallDetector
      * @returns {Promise<Array>} - Array of detection objects with class, confidence and bounding box
      */
-    async detectObjects(imageElement) {
+    async detectObjects(imageElement, roi = null, options = {}) {
+        if (this.isUsingFallback()) {
+            return this.fallbackDetector.detectObjects(imageElement, roi);
+        }
+        
         if (!this.isModelLoaded) {
             try {
                 this.debugLogger.log('Model not loaded yet, initializing...', 'warning');
@@ -155,6 +349,9 @@ class BallDetector {
         }
         
         if (!this.isModelLoaded) {
+            if (this.isUsingFallback()) {
+                return this.fallbackDetector.detectObjects(imageElement, roi);
+            }
             this.debugLogger.log('Model failed to load, cannot perform detection', 'error');
             console.warn('Model not loaded yet, cannot perform detection');
             return [];
@@ -164,46 +361,45 @@ class BallDetector {
             this.debugLogger.log('Starting object detection...', 'info');
             
             // Create a temporary canvas to properly resize and format the image
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = this.inputSize;
-            tempCanvas.height = this.inputSize;
+            const tempCanvas = this.createCanvas(this.inputWidth, this.inputHeight);
             const tempCtx = tempCanvas.getContext('2d');
             
             // Log image dimensions to help with debugging
             this.debugLogger.log(`Original image dimensions: ${imageElement.width}x${imageElement.height}`, 'info');
             
+            // Region to search: the ROI crop, or the whole image
+            const region = roi || { x: 0, y: 0, width: imageElement.width, height: imageElement.height };
+            if (roi) {
+                this.debugLogger.log(`Searching ROI ${roi.width}x${roi.height} at (${roi.x},${roi.y})`, 'info');
+            }
+            
             // Draw the image on the temporary canvas with proper dimension handling
             // This preserves aspect ratio by fitting the image within the input size dimensions
-            const imgAspectRatio = imageElement.width / imageElement.height;
-            let renderWidth, renderHeight, offsetX = 0, offsetY = 0;
-            
-            if (imgAspectRatio > 1) {
-                // Image is wider than tall
-                renderWidth = this.inputSize;
-                renderHeight = this.inputSize / imgAspectRatio;
-                offsetY = (this.inputSize - renderHeight) / 2;
-            } else {
-                // Image is taller than wide or square
-                renderHeight = this.inputSize;
-                renderWidth = this.inputSize * imgAspectRatio;
-                offsetX = (this.inputSize - renderWidth) / 2;
-            }
+            const fitScale = Math.min(this.inputWidth / region.width, this.inputHeight / region.height);
+            const renderWidth = region.width * fitScale;
+            const renderHeight = region.height * fitScale;
+            const offsetX = (this.inputWidth - renderWidth) / 2;
+            const offsetY = (this.inputHeight - renderHeight) / 2;
             
             // Clear the canvas first
             tempCtx.fillStyle = '#000000';
-            tempCtx.fillRect(0, 0, this.inputSize, this.inputSize);
+            tempCtx.fillRect(0, 0, this.inputWidth, this.inputHeight);
             
             // Draw the image centered with proper aspect ratio
             tempCtx.drawImage(
                 imageElement,
+                region.x,
+                region.y,
+                region.width,
+                region.height,
                 offsetX,
                 offsetY,
                 renderWidth,
                 renderHeight
             );
             
-            // Debug visualization (optional)
-            const debugContainer = document.getElementById('debug-log-container');
+            // Debug visualization (optional, main thread only)
+            const debugContainer = typeof document !== 'undefined' ? document.getElementById('debug-log-container') : null;
             if (debugContainer) {
                 // Create a small preview of the processed image
                 const previewCanvas = document.createElement('canvas');
@@ -217,8 +413,8 @@ class BallDetector {
                 previewCtx.drawImage(tempCanvas, 0, 0, 150, 150);
                 
                 // Draw a red border around the actual image area (non-padding)
-                const previewScaleX = 150 / this.inputSize;
-                const previewScaleY = 150 / this.inputSize;
+                const previewScaleX = 150 / this.inputWidth;
+                const previewScaleY = 150 / this.inputHeight;
                 previewCtx.strokeStyle = 'red';
                 previewCtx.lineWidth = 2;
                 previewCtx.strokeRect(
@@ -253,10 +449,14 @@ class BallDetector {
             
             this.debugLogger.log(`Processed image: ${Math.round(renderWidth)}x${Math.round(renderHeight)} with offsets (${Math.round(offsetX)},${Math.round(offsetY)})`, 'info');
             
-            // Create a tensor from the properly formatted image
+            // Create a tensor from the properly formatted image. OffscreenCanvas is read
+            // back as ImageData, which fromPixels accepts in every tfjs backend.
+            const pixels = typeof OffscreenCanvas !== 'undefined' && tempCanvas instanceof OffscreenCanvas
+                ? tempCtx.getImageData(0, 0, this.inputWidth, this.inputHeight)
+                : tempCanvas;
             const imageTensor = tf.tidy(() => {
                 // Convert the canvas to a tensor and normalize to [0,1]
-                return tf.browser.fromPixels(tempCanvas)
+                return tf.browser.fromPixels(pixels)
                     .div(255.0)
                     .expandDims(0);
             });
@@ -280,18 +480,17 @@ class BallDetector {
                 this.debugLogger.log(`Result shape: ${result.shape}`, 'info');
             }
             
-            // Process the result to get detections
-            let detections = await this.processOutput(result, imageElement.width, imageElement.height, offsetX, offsetY, renderWidth, renderHeight);
+            // Process the result to get detections (non-maximum suppression is applied per output format)
+            const detections = await this.processOutput(result, region.width, region.height, offsetX, offsetY, renderWidth, renderHeight);
             
-            // Apply Non-Maximum Suppression to remove duplicate detections
-            if (detections.length > 1) {
-                const originalCount = detections.length;
-                detections = this.applyNMS(detections, 0.3); // Use a lower threshold to be more aggressive
-                if (detections.length < originalCount) {
-                    this.debugLogger.log(`NMS removed ${originalCount - detections.length} duplicate detections`, 'success');
-                }
+            // Move boxes from crop coordinates back to the full image
+            if (roi) {
+                this.offsetDetections(detections, roi);
             }
             
+            // Fit the ball edge inside each ball box for a sub-pixel center
+            this.refineBallCenters(imageElement, detections);
+            
             this.debugLogger.log(`Detection complete: found ${detections.length} objects`, detections.length > 0 ? 'success' : 'warning');
             
             // Clean up tensors to prevent memory leaks
@@ -303,7 +502,9 @@ class BallDetector {
             }
             
             // Clean up the temporary canvas
-            tempCanvas.remove();
+            if (typeof tempCanvas.remove === 'function') {
+                tempCanvas.remove();
+            }
             
             return detections;
         } catch (error) {
@@ -326,176 +527,17 @@ class BallDetector {
      */
     async processOutput(output, originalWidth, originalHeight, offsetX, offsetY, renderWidth, renderHeight) {
         try {
-            // Handle the specific output shape [1,6,8400] (YOLOv8 format)
-            if (!Array.isArray(output) && output.shape.length === 3 && output.shape[2] === 8400) {
+            // Handle the YOLOv8 output shape [1, 4 + classes, anchors], e.g. [1,9,8400] at 640x640
+            if (!Array.isArray(output) && output.shape.length === 3 && output.shape[2] === this.getAnchorCount()) {
                 this.debugLogger.log(`Processing YOLOv8 style output with shape: ${output.shape}`, 'info');
                 
-                // Get the tensor data
-                const predictions = await output.array();
-                
-                // For YOLOv8, the tensor is [1, 6, 8400] where:
-                // - First dimension is batch (1)
-                // - Second dimension is [xywh + num_classes] (4 box coords + 2 classes in our case)
-                // - Third dimension is the number of anchor points
-                
-                const numClasses = predictions[0].length - 4; // Subtract 4 for x,y,w,h
-                this.debugLogger.log(`Found ${numClasses} classes in model output`, 'info');
-                
-                const detections = [];
-                let lowConfidenceCount = 0;
-                
-                // Transpose the predictions to make processing easier
-                // From [1, 6, 8400] to [8400, 6]
-                const transposed = [];
-                for (let i = 0; i < predictions[0][0].length; i++) {
-                    const item = [];
-                    for (let j = 0; j < predictions[0].length; j++) {
-                        item.push(predictions[0][j][i]);
-                    }
-                    transposed.push(item);
-                }
-                
-                this.debugLogger.log(`Processed ${transposed.length} potential detections`, 'info');
-                
-                // Store raw detections for visualization
-                const rawDetections = [];
-                
-                // Now process each detection
-                for (let i = 0; i < transposed.length; i++) {
-                    // Find the class with highest confidence
-                    let maxClassScore = 0;
-                    let detectedClass = -1;
-                    
-                    for (let j = 4; j < 4 + numClasses; j++) {
-                        if (transposed[i][j] > maxClassScore) {
-                            maxClassScore = transposed[i][j];
-                            detectedClass = j - 4; // Adjust to get 0-based class index
-                        }
-                    }
-                    
-                    // Skip if no class detected or confidence is too low
-                    if (detectedClass === -1 || maxClassScore < 0.3) { // Use a lower threshold for visualization
-                        continue;
-                    }
-                    
-                    try {
-                        // Get box coordinates and explicitly parse them to ensure they're numbers
-                        const boxX = parseFloat(transposed[i][0]); // center x
-                        const boxY = parseFloat(transposed[i][1]); // center y
-                        const boxWidth = parseFloat(transposed[i][2]); // width
-                        const boxHeight = parseFloat(transposed[i][3]); // height
-                        
-                        // Check if the model's output are NOT normalized coordinates (some versions of YOLO output pixel coordinates)
-                        // This handles values like 209.0804443359375 which are clearly not in 0-1 range
-                        const isAlreadyInPixelSpace = boxX > 10 || boxY > 10; // If any coordinate > 10, assume not normalized
-                        
-                        this.debugLogger.log(`Detection ${i} raw coords: x=${boxX.toFixed(3)}, y=${boxY.toFixed(3)}, w=${boxWidth.toFixed(3)}, h=${boxHeight.toFixed(3)}, isPixelSpace=${isAlreadyInPixelSpace}`, 'info');
-                        
-                        // Add to raw detections for visualization
-                        rawDetections.push({
-                            class: detectedClass,
-                            confidence: maxClassScore,
-                            bbox: {
-                                x: boxX,
-                                y: boxY,
-                                width: boxWidth,
-                                height: boxHeight,
-                                isPixelSpace: isAlreadyInPixelSpace
-                            }
-                        });
-                        
-                        // Skip if confidence is below our actual detection threshold
-                        if (maxClassScore < this.detectionThreshold) {
-                            if (maxClassScore > 0.01) { // Log only somewhat significant detections to avoid noise
-                                lowConfidenceCount++;
-                                this.debugLogger.log(`Low confidence detection: class=${detectedClass in this.classNames ? this.classNames[detectedClass] : 'unknown'}, score=${maxClassScore.toFixed(3)} (below threshold)`, 'warning');
-                            }
-                            continue;
-                        }
-                        
-                        // Log detection details
-                        const className = this.classNames[detectedClass] || `unknown_${detectedClass}`;
-                        this.debugLogger.log(`Potential ${className}: x=${boxX.toFixed(3)}, y=${boxY.toFixed(3)}, w=${boxWidth.toFixed(3)}, h=${boxHeight.toFixed(3)}, conf=${maxClassScore.toFixed(3)}`, 'info');
-                        
-                        // Check if we have a valid detection
-                        if (detectedClass in this.classNames) {
-                            const inputSize = 640; // Standard YOLO input size
-                            let centerX, centerY, widthPx, heightPx;
-                            
-                            // Handle coordinates differently based on if they're already in pixel space
-                            if (isAlreadyInPixelSpace) {
-                                // Model already output pixel coordinates - use them directly
-                                centerX = boxX;
-                                centerY = boxY;
-                                widthPx = boxWidth;
-                                heightPx = boxHeight;
-                                this.debugLogger.log(`Using direct pixel coordinates: center=(${centerX.toFixed(1)}, ${centerY.toFixed(1)})`, 'info');
-                            } else {
-                                // These are normalized coordinates (0-1) - convert to pixels
-                                centerX = boxX * inputSize;
-                                centerY = boxY * inputSize;
-                                widthPx = boxWidth * inputSize;
-                                heightPx = boxHeight * inputSize;
-                                this.debugLogger.log(`Converted normalized to pixel: center=(${centerX.toFixed(1)}, ${centerY.toFixed(1)})`, 'info');
-                            }
-                            
-                            // 2. Calculate top-left in input space
-                            const inputLeft = centerX - (widthPx / 2);
-                            const inputTop = centerY - (heightPx / 2);
-                            
-                            // 3. Adjust to get image space coordinates (accounting for letterboxing)
-                            const imageSpaceX = inputLeft - offsetX;
-                            const imageSpaceY = inputTop - offsetY;
-                            
-                            // 4. Log the coordinates with limited precision
-                            this.debugLogger.log(`Detection ${i} pixel coords: center=(${centerX.toFixed(1)}, ${centerY.toFixed(1)}), size=${widthPx.toFixed(1)}x${heightPx.toFixed(1)}`, 'info');
-                            this.debugLogger.log(`Detection ${i} image coords after offset: pos=(${imageSpaceX.toFixed(1)}, ${imageSpaceY.toFixed(1)})`, 'info');
-                            
-                            // 5. Check if detection is completely outside the image area
-                            if ((imageSpaceX + widthPx < 0) || 
-                                (imageSpaceX > renderWidth) || 
-                                (imageSpaceY + heightPx < 0) || 
-                                (imageSpaceY > renderHeight)) {
-                                this.debugLogger.log(`Detection ${i} (${this.classNames[detectedClass]}) outside image area, skipping`, 'warning');
-                                continue;
-                            }
-                            
-                            // 6. Scale coordinates to original image dimensions
-                            const xScale = originalWidth / renderWidth;
-                            const yScale = originalHeight / renderHeight;
-                            
-                            const finalX = imageSpaceX * xScale;
-                            const finalY = imageSpaceY * yScale;
-                            const finalWidth = widthPx * xScale;
-                            const finalHeight = heightPx * yScale;
-                            
-                            // 7. Add to final detections
-                            detections.push({
-                                class: this.classNames[detectedClass],
-                                confidence: maxClassScore, 
-                                bbox: {
-                                    x: Math.max(0, finalX),
-                                    y: Math.max(0, finalY),
-                                    width: finalWidth,
-                                    height: finalHeight
-                                }
-                            });
-                            
-                            this.debugLogger.log(`Valid detection ${i}: class=${this.classNames[detectedClass]}, conf=${maxClassScore.toFixed(3)}`, 'success');
-                        }
-                    } catch (err) {
-                        // Log any errors in processing this detection and continue with the next one
-                        this.debugLogger.log(`Error processing detection ${i}: ${err.message}`, 'error');
-                        continue;
-                    }
-                }
-                
-                // Visualize raw detections in the debug preview
-                this.visualizeRawDetections(rawDetections);
+                const detections = await this.decodeYoloV8Output(output, {
+                    originalWidth, originalHeight, offsetX, offsetY, renderWidth, renderHeight
+                });
                 
-                if (lowConfidenceCount > 0) {
-                    this.debugLogger.log(`Found ${lowConfidenceCount} low-confidence detections below threshold (${this.detectionThreshold})`, 'warning');
-                }
+                // Visualize the surviving boxes in the debug preview (model input space)
+                this.visualizeRawDetections(detections.map(detection => detection.inputBox));
+                detections.forEach(detection => delete detection.inputBox);
                 
                 return detections;
             }
@@ -594,7 +636,6 @@ class BallDetector {
                             
                             // Check if we have a valid detection
                             if (detectedClass in this.classNames) {
-                                const inputSize = 640; // Standard YOLO input size
                                 let centerX, centerY, widthPx, heightPx;
                                 
                                 // Handle coordinates differently based on if they're already in pixel space
@@ -607,10 +648,10 @@ class BallDetector {
                                     this.debugLogger.log(`Using direct pixel coordinates: center=(${centerX.toFixed(1)}, ${centerY.toFixed(1)})`, 'info');
                                 } else {
                                     // These are normalized coordinates (0-1) - convert to pixels
-                                    centerX = boxX * inputSize;
-                                    centerY = boxY * inputSize;
-                                    widthPx = boxWidth * inputSize;
-                                    heightPx = boxHeight * inputSize;
+                                    centerX = boxX * this.inputWidth;
+                                    centerY = boxY * this.inputHeight;
+                                    widthPx = boxWidth * this.inputWidth;
+                                    heightPx = boxHeight * this.inputHeight;
                                     this.debugLogger.log(`Converted normalized to pixel: center=(${centerX.toFixed(1)}, ${centerY.toFixed(1)})`, 'info');
                                 }
                                 
@@ -672,6 +713,16 @@ class BallDetector {
                         this.debugLogger.log(`Found ${lowConfidenceCount} low-confidence detections below threshold (${this.detectionThreshold})`, 'warning');
                     }
                     
+                    // Apply Non-Maximum Suppression to remove duplicate detections
+                    if (detections.length > 1) {
+                        const originalCount = detections.length;
+                        const filtered = this.applyNMS(detections, 0.3); // Use a lower threshold to be more aggressive
+                        if (filtered.length < originalCount) {
+                            this.debugLogger.log(`NMS removed ${originalCount - filtered.length} duplicate detections`, 'success');
+                        }
+                        return filtered;
+                    }
+                    
                     return detections;
                 } else {
                     this.debugLogger.log('Output array is empty, no predictions available', 'warning');
@@ -692,6 +743,163 @@ class BallDetector {
         return []; // Fallback empty array
     }
     
+    /**
+     * Decode a YOLOv8 [1, 4 + classes, anchors] output on the tensor side.
+     * Class selection, score thresholding, box conversion and per-class NMS all run as
+     * tf ops, so only the surviving boxes are downloaded from the backend.
+     * @param {tf.Tensor} output - Model output tensor
+     * @param {Object} letterbox - {originalWidth, originalHeight, offsetX, offsetY, renderWidth, renderHeight}
+     * @returns {Promise<Array>} - Array of detection objects, each with an extra inputBox
+     *     (center/size in model input pixels) for the debug preview
+     */
+    async decodeYoloV8Output(output, letterbox) {
+        const [, channels, numAnchors] = output.shape;
+        const numClasses = channels - 4;
+        
+        // Some exports emit normalized boxes, others input pixels; check once per model
+        if (this.outputIsNormalized === null) {
+            const maxCoord = tf.tidy(() => output.slice([0, 0, 0], [1, 2, numAnchors]).max());
+            const maxValue = (await maxCoord.data())[0];
+            maxCoord.dispose();
+            this.outputIsNormalized = maxValue <= 10;
+            this.debugLogger.log(`Model outputs ${this.outputIsNormalized ? 'normalized' : 'pixel'} box coordinates`, 'info');
+        }
+        const coordScale = this.outputIsNormalized
+            ? [this.inputWidth, this.inputHeight, this.inputWidth, this.inputHeight]
+            : [1, 1, 1, 1];
+        
+        // [N, 4 + C] -> boxes [N, 4] as (y1, x1, y2, x2), best score [N] and its class [N]
+        const decoded = tf.tidy(() => {
+            const predictions = output.squeeze([0]).transpose();
+            const [cx, cy, w, h] = tf.split(predictions.slice([0, 0], [-1, 4]).mul(tf.tensor1d(coordScale)), 4, 1);
+            const classScores = predictions.slice([0, 4], [-1, numClasses]);
+            const halfW = w.div(2);
+            const halfH = h.div(2);
+            const scores = classScores.max(1);
+            return {
+                boxes: tf.concat([cy.sub(halfH), cx.sub(halfW), cy.add(halfH), cx.add(halfW)], 1),
+                scores: scores,
+                classes: classScores.argMax(1),
+                mask: scores.greaterEqual(this.detectionThreshold)
+            };
+        });
+        
+        const [boxes, scores, classes] = await Promise.all([
+            tf.booleanMaskAsync(decoded.boxes, decoded.mask),
+            tf.booleanMaskAsync(decoded.scores, decoded.mask),
+            tf.booleanMaskAsync(decoded.classes, decoded.mask)
+        ]);
+        tf.dispose(decoded);
+        
+        try {
+            const candidateCount = scores.shape[0];
+            if (candidateCount === 0) {
+                this.debugLogger.log(`No candidates above threshold (${this.detectionThreshold}) among ${numAnchors} anchors`, 'info');
+                return [];
+            }
+            
+            // Run NMS separately for each class so a ball next to a marker is not suppressed
+            const candidateClasses = await classes.data();
+            const byClass = new Map();
+            candidateClasses.forEach((classId, index) => {
+                if (!byClass.has(classId)) byClass.set(classId, []);
+                byClass.get(classId).push(index);
+            });
+            
+            const keptIndices = [];
+            for (const indices of byClass.values()) {
+                const kept = tf.tidy(() => {
+                    const indexTensor = tf.tensor1d(indices, 'int32');
+                    return {
+                        boxes: tf.gather(boxes, indexTensor),
+                        scores: tf.gather(scores, indexTensor)
+                    };
+                });
+                const selected = await tf.image.nonMaxSuppressionAsync(
+                    kept.boxes, kept.scores, this.maxDetections, this.nmsIouThreshold, this.detectionThreshold
+                );
+                const selectedData = await selected.data();
+                selectedData.forEach(i => keptIndices.push(indices[i]));
+                tf.dispose([kept.boxes, kept.scores, selected]);
+            }
+            
+            // Download only the survivors
+            const survivors = tf.tidy(() => {
+                const indexTensor = tf.tensor1d(keptIndices, 'int32');
+                return tf.concat([
+                    tf.gather(boxes, indexTensor),
+                    tf.gather(scores, indexTensor).expandDims(1)
+                ], 1);
+            });
+            const rows = await survivors.array();
+            survivors.dispose();
+            
+            this.debugLogger.log(`Decoded ${candidateCount} candidates, kept ${rows.length} after per-class NMS`, 'info');
+            
+            return this.mapToImageSpace(rows, keptIndices.map(i => candidateClasses[i]), letterbox);
+        } finally {
+            tf.dispose([boxes, scores, classes]);
+        }
+    }
+    
+    /**
+     * Convert decoded boxes from letterboxed model input space to original image space
+     * @param {Array} rows - Rows of [y1, x1, y2, x2, score] in model input pixels
+     * @param {Array<number>} classIds - Class index for each row
+     * @param {Object} letterbox - {originalWidth, originalHeight, offsetX, offsetY, renderWidth, renderHeight}
+     * @returns {Array} - Array of detection objects with an extra inputBox
+     */
+    mapToImageSpace(rows, classIds, letterbox) {
+        const { originalWidth, originalHeight, offsetX, offsetY, renderWidth, renderHeight } = letterbox;
+        const xScale = originalWidth / renderWidth;
+        const yScale = originalHeight / renderHeight;
+        const detections = [];
+        
+        rows.forEach(([y1, x1, y2, x2, score], index) => {
+            const className = this.classNames[classIds[index]];
+            if (!className) return;
+            
+            const widthPx = x2 - x1;
+            const heightPx = y2 - y1;
+            
+            // Remove the letterbox padding
+            const imageSpaceX = x1 - offsetX;
+            const imageSpaceY = y1 - offsetY;
+            
+            // Drop boxes that lie entirely in the padding
+            if ((imageSpaceX + widthPx < 0) || 
+                (imageSpaceX > renderWidth) || 
+                (imageSpaceY + heightPx < 0) || 
+                (imageSpaceY > renderHeight)) {
+                return;
+            }
+            
+            detections.push({
+                class: className,
+                confidence: score,
+                bbox: {
+                    x: Math.max(0, imageSpaceX * xScale),
+                    y: Math.max(0, imageSpaceY * yScale),
+                    width: widthPx * xScale,
+                    height: heightPx * yScale
+                },
+                inputBox: {
+                    class: classIds[index],
+                    confidence: score,
+                    bbox: {
+                        x: x1 + widthPx / 2,
+                        y: y1 + heightPx / 2,
+                        width: widthPx,
+                        height: heightPx,
+                        isPixelSpace: true
+                    }
+                }
+            });
+        });
+        
+        return detections;
+    }
+    
     /**
      * Draw bounding boxes around detected objects
      * @param {CanvasRenderingContext2D} ctx - Canvas context to draw on
@@ -707,9 +915,9 @@ class BallDetector {
             const { x, y, width, height } = bbox;
             
             // Set styling
-            ctx.strokeStyle = this.colors[className] || '#FF0000';
+            ctx.strokeStyle = this.getClassColor(className);
             ctx.lineWidth = 3;
-            ctx.fillStyle = this.colors[className] || '#FF0000';
+            ctx.fillStyle = this.getClassColor(className);
             ctx.font = '16px Arial';
             
             // Draw bounding box
@@ -721,7 +929,7 @@ class BallDetector {
             const label = `${className} (${Math.round(confidence * 100)}%)`;
             const textMetrics = ctx.measureText(label);
             const textHeight = 20; // Approximate height of the text
-            ctx.fillStyle = this.colors[className] || '#FF0000';
+            ctx.fillStyle = this.getClassColor(className);
             ctx.fillRect(x, y - textHeight, textMetrics.width + 10, textHeight);
             
             // Draw label text
@@ -753,6 +961,7 @@ class BallDetector {
      * @param {Array} rawDetections - Array of raw detection objects
      */
     visualizeRawDetections(rawDetections) {
+        if (typeof document === 'undefined') return;
         const previewCanvas = document.getElementById('model-input-preview')?.querySelector('canvas');
         if (!previewCanvas) return;
         
@@ -765,8 +974,8 @@ class BallDetector {
             const previewHeight = previewCanvas.height;
             
             // Calculate scale from model size to preview size
-            const inputSize = 640; // Use literal value instead of this.inputSize
-            const scale = previewWidth / inputSize;
+            const scaleX = previewWidth / this.inputWidth;
+            const scaleY = previewHeight / this.inputHeight;
             
             this.debugLogger.log(`Visualizing ${rawDetections.length} raw detections in ${previewWidth}x${previewHeight} preview`, 'info');
             
@@ -803,16 +1012,16 @@ class BallDetector {
                     
                     if (isPixelSpace) {
                         // These are already pixel coordinates
-                        centerX = boxX * scale; // Scale down to preview size
-                        centerY = boxY * scale;
-                        width = boxWidth * scale;
-                        height = boxHeight * scale;
+                        centerX = boxX * scaleX; // Scale down to preview size
+                        centerY = boxY * scaleY;
+                        width = boxWidth * scaleX;
+                        height = boxHeight * scaleY;
                     } else {
                         // These are normalized coordinates (0-1)
-                        centerX = boxX * inputSize * scale;
-                        centerY = boxY * inputSize * scale;
-                        width = boxWidth * inputSize * scale;
-                        height = boxHeight * inputSize * scale;
+                        centerX = boxX * previewWidth;
+                        centerY = boxY * previewHeight;
+                        width = boxWidth * previewWidth;
+                        height = boxHeight * previewHeight;
                     }
                     
                     // Calculate the top-left corner for drawing
@@ -868,11 +1077,9 @@ class BallDetector {
             let i = 0;
             while (i < sortedDetections.length) {
                 const iou = this.calculateIoU(current.bbox, sortedDetections[i].bbox);
-                this.debugLogger.log(`IoU between detections: ${iou.toFixed(3)}`, 'info');
                 
                 if (iou > iouThreshold) {
                     // Remove detection with lower confidence that overlaps significantly
-                    this.debugLogger.log(`Removing duplicate detection with IoU=${iou.toFixed(3)} (conf: ${sortedDetections[i].confidence.toFixed(3)})`, 'info');
                     sortedDetections.splice(i, 1);
                 } else {
                     i++;
@@ -0,0 +1,335 @@
+/**
+ * Classical Ball Detector
+ * Finds the white golf ball without a model: color thresholding (optionally against a
+ * background frame), connected-component blob analysis and a least-squares circle fit.
+ * Exposes the same detectObjects() interface as BallDetector.
+ */
+
+class ClassicalBallDetector {
+    /**
+     * @param {Object} debugLogger - Optional debug logger to share (e.g. BallDetector's); defaults to the console
+     */
+    constructor(debugLogger = null) {
+        this.isModelLoaded = true; // Nothing to load; kept for interface compatibility
+        this.ballClassName = 'ball_golf';
+
+        // Crop size used for ROI searches; smaller crops are faster to scan
+        this.inputWidth = 320;
+        this.inputHeight = 320;
+
+        // White ball thresholds
+        this.WHITE_MIN = 170;              // Darkest channel must be at least this bright
+        this.WHITE_MAX_SPREAD = 45;        // Max difference between channels (low saturation)
+        this.BACKGROUND_DIFF = 40;         // Min luminance change from the background frame
+
+        // Blob filters
+        this.MIN_AREA = 20;                // px
+        this.MAX_AREA = 20000;             // px
+        this.MAX_ASPECT = 1.6;             // bbox long side / short side
+        this.MIN_FILL = 0.5;               // blob area / bbox area (a disc is ~0.785)
+        this.MAX_FILL = 0.95;
+        this.MIN_CONFIDENCE = 0.5;
+        this.MAX_RESULTS = 5;
+
+        // Background luminance, used to ignore static white objects (lines, marker rings)
+        this.background = null;            // {width, height, luminance: Uint8Array}
+        this.BACKGROUND_SAMPLES = 9;
+
+        this.canvas = null;
+        this.context = null;
+
+        this.debugLogger = debugLogger || {
+            log: (message, type = 'info') => console.log(`[${type.toUpperCase()}] ${message}`),
+            clear: () => {}
+        };
+    }
+
+    /**
+     * Nothing to load; present so the detector can stand in for BallDetector
+     */
+    async initialize() {
+        this.debugLogger.log('Classical ball detector ready', 'info');
+    }
+
+    /**
+     * Use a single frame as the background
+     * @param {CanvasImageSource} image - Frame without the ball (or with it at rest elsewhere)
+     */
+    setBackground(image) {
+        const pixels = this.readPixels(image, { x: 0, y: 0, width: image.width, height: image.height });
+        this.background = {
+            width: image.width,
+            height: image.height,
+            luminance: this.toLuminance(pixels.data)
+        };
+    }
+
+    /**
+     * Build the background as the per-pixel median of frames spread over a recording.
+     * The ball only covers any pixel for a few frames, so the median removes it.
+     * @param {Array} frames - Frames with {image}
+     */
+    setBackgroundFromFrames(frames) {
+        if (!frames || frames.length < 3) {
+            this.background = null;
+            return;
+        }
+
+        const count = Math.min(this.BACKGROUND_SAMPLES, frames.length);
+        const { width, height } = frames[0].image;
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            const frame = frames[Math.round((i * (frames.length - 1)) / (count - 1))];
+            const pixels = this.readPixels(frame.image, { x: 0, y: 0, width, height });
+            samples.push(this.toLuminance(pixels.data));
+        }
+
+        const luminance = new Uint8Array(width * height);
+        const values = new Uint8Array(count);
+        const middle = Math.floor(count / 2);
+        for (let p = 0; p < luminance.length; p++) {
+            for (let i = 0; i < count; i++) {
+                values[i] = samples[i][p];
+            }
+            values.sort();
+            luminance[p] = values[middle];
+        }
+
+        this.background = { width, height, luminance };
+        this.debugLogger.log(`Background built from ${count} frames`, 'info');
+    }
+
+    /**
+     * Prepare for a recorded sequence by building its background
+     * @param {Array} frames - Frames with {image}
+     */
+    async prepareBackground(frames) {
+        this.setBackgroundFromFrames(frames);
+    }
+
+    /**
+     * Forget the background frame
+     */
+    clearBackground() {
+        this.background = null;
+    }
+
+    /**
+     * Detect the golf ball in an image
+     * @param {CanvasImageSource} imageElement - The image to process
+     * @param {Object} roi - Optional {x, y, width, height} crop to search
+     * @returns {Promise<Array>} - Detections {class, confidence, bbox, center} in full-image coordinates
+     */
+    async detectObjects(imageElement, roi = null) {
+        const region = roi || { x: 0, y: 0, width: imageElement.width, height: imageElement.height };
+        const startTime = performance.now();
+
+        try {
+            const pixels = this.readPixels(imageElement, region);
+            const mask = this.buildMask(pixels.data, region, imageElement.width, imageElement.height);
+            const blobs = this.findBlobs(mask, region.width, region.height);
+
+            const detections = [];
+            for (const blob of blobs) {
+                const detection = this.scoreBlob(blob);
+                if (!detection) continue;
+                detection.bbox.x += region.x;
+                detection.bbox.y += region.y;
+                detection.center.x += region.x;
+                detection.center.y += region.y;
+                detections.push(detection);
+            }
+
+            detections.sort((a, b) => b.confidence - a.confidence);
+            const results = detections.slice(0, this.MAX_RESULTS);
+
+            this.debugLogger.log(`Found ${blobs.length} blobs, ${results.length} ball candidates in ${Math.round(performance.now() - startTime)}ms`, results.length > 0 ? 'success' : 'warning');
+            return results;
+        } catch (error) {
+            this.debugLogger.log(`Error during classical detection: ${error.message}`, 'error');
+            console.error('Error during classical detection:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Read the pixels of an image region
+     * @param {CanvasImageSource} image - Source image
+     * @param {Object} region - {x, y, width, height}
+     * @returns {ImageData}
+     */
+    readPixels(image, region) {
+        if (!this.canvas) {
+            this.canvas = typeof document === 'undefined'
+                ? new OffscreenCanvas(region.width, region.height)
+                : document.createElement('canvas');
+        }
+        if (this.canvas.width !== region.width || this.canvas.height !== region.height) {
+            this.canvas.width = region.width;
+            this.canvas.height = region.height;
+            this.context = null;
+        }
+        if (!this.context) {
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        this.context.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+        return this.context.getImageData(0, 0, region.width, region.height);
+    }
+
+    /**
+     * Luminance of RGBA pixels
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @returns {Uint8Array} One luminance value per pixel
+     */
+    toLuminance(data) {
+        const luminance = new Uint8Array(data.length / 4);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            luminance[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+        }
+        return luminance;
+    }
+
+    /**
+     * Mark bright, unsaturated pixels that differ from the background
+     * @param {Uint8ClampedArray} data - RGBA data of the region
+     * @param {Object} region - Region {x, y, width, height} within the image
+     * @param {number} imageWidth - Full image width
+     * @param {number} imageHeight - Full image height
+     * @returns {Uint8Array} 1 for candidate ball pixels
+     */
+    buildMask(data, region, imageWidth, imageHeight) {
+        const mask = new Uint8Array(region.width * region.height);
+        const background = this.background &&
+            this.background.width === imageWidth && this.background.height === imageHeight
+            ? this.background : null;
+
+        for (let y = 0; y < region.height; y++) {
+            for (let x = 0; x < region.width; x++) {
+                const p = y * region.width + x;
+                const i = p * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                const min = Math.min(r, g, b);
+                const max = Math.max(r, g, b);
+                if (min < this.WHITE_MIN || max - min > this.WHITE_MAX_SPREAD) continue;
+
+                if (background) {
+                    const luminance = (r * 77 + g * 150 + b * 29) >> 8;
+                    const backgroundIndex = (y + region.y) * imageWidth + (x + region.x);
+                    if (Math.abs(luminance - background.luminance[backgroundIndex]) < this.BACKGROUND_DIFF) continue;
+                }
+
+                mask[p] = 1;
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Group mask pixels into 4-connected blobs
+     * @param {Uint8Array} mask - Candidate pixel mask
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @returns {Array} Blobs {area, minX, minY, maxX, maxY, boundary: Array<{x, y}>}
+     */
+    findBlobs(mask, width, height) {
+        const visited = new Uint8Array(mask.length);
+        const stack = new Int32Array(mask.length);
+        const blobs = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || visited[start]) continue;
+
+            const blob = { area: 0, minX: width, minY: height, maxX: 0, maxY: 0, boundary: [] };
+            let top = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+
+            while (top > 0) {
+                const p = stack[--top];
+                const x = p % width;
+                const y = (p - x) / width;
+                blob.area++;
+                if (x < blob.minX) blob.minX = x;
+                if (x > blob.maxX) blob.maxX = x;
+                if (y < blob.minY) blob.minY = y;
+                if (y > blob.maxY) blob.maxY = y;
+
+                let isBoundary = false;
+                const neighbors = [
+                    x > 0 ? p - 1 : -1,
+                    x < width - 1 ? p + 1 : -1,
+                    y > 0 ? p - width : -1,
+                    y < height - 1 ? p + width : -1
+                ];
+                for (const n of neighbors) {
+                    if (n === -1 || !mask[n]) {
+                        isBoundary = true;
+                        continue;
+                    }
+                    if (!visited[n]) {
+                        visited[n] = 1;
+                        stack[top++] = n;
+                    }
+                }
+
+                if (isBoundary) {
+                    blob.boundary.push({ x: x + 0.5, y: y + 0.5 });
+                }
+            }
+
+            if (blob.area >= this.MIN_AREA && blob.area <= this.MAX_AREA) {
+                blobs.push(blob);
+            }
+        }
+
+        return blobs;
+    }
+
+    /**
+     * Check a blob's shape and fit a circle to it
+     * @param {Object} blob - Blob from findBlobs()
+     * @returns {Object|null} Detection in region coordinates, or null if it isn't ball-shaped
+     */
+    scoreBlob(blob) {
+        const boxWidth = blob.maxX - blob.minX + 1;
+        const boxHeight = blob.maxY - blob.minY + 1;
+        const aspect = Math.max(boxWidth, boxHeight) / Math.min(boxWidth, boxHeight);
+        const fill = blob.area / (boxWidth * boxHeight);
+        if (aspect > this.MAX_ASPECT || fill < this.MIN_FILL || fill > this.MAX_FILL) {
+            return null;
+        }
+
+        const circle = BallCenterRefiner.fitCircle(blob.boundary);
+        if (!circle || circle.radius <= 0) return null;
+        
+        // Boundary pixel centers sit half a pixel inside the blob edge
+        circle.radius += 0.5;
+
+        // A clean disc has fill pi/4 and boundary points close to the fitted circle
+        const fillScore = Math.max(0, 1 - Math.abs(fill - Math.PI / 4) / (Math.PI / 4));
+        const fitScore = Math.max(0, 1 - circle.rms / Math.max(1, circle.radius * 0.25));
+        const confidence = 0.5 * fillScore + 0.5 * fitScore;
+        if (confidence < this.MIN_CONFIDENCE) return null;
+
+        return {
+            class: this.ballClassName,
+            confidence: confidence,
+            bbox: {
+                x: circle.x - circle.radius,
+                y: circle.y - circle.radius,
+                width: circle.radius * 2,
+                height: circle.radius * 2
+            },
+            // The blob fit is already a sub-pixel center, in the shape BallDetector refines to
+            center: {
+                x: circle.x,
+                y: circle.y,
+                radius: circle.radius,
+                quality: fitScore
+            }
+        };
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Detection Worker
+ * Runs model loading, preprocessing, inference and NMS off the main thread.
+ *
+ * Protocol (all messages carry the request id):
+ *   -> {type: 'init', id, config: {modelPath, classNames, inputWidth, inputHeight, stride, detectionThreshold}}
+ *   <- {type: 'ready', id}
+ *   -> {type: 'detect', id, image: ImageBitmap}   (image is transferred)
+ *   <- {type: 'result', id, detections, inferenceTime}
+ *   <- {type: 'error', id, message}
+ *   <- {type: 'log', message, level}               (debug log forwarding)
+ */
+
+importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.20.0');
+importScripts('ball-center-refiner.js');
+importScripts('ball-detector.js');
+
+let detector = null;
+
+/**
+ * Create the detector and route its debug log to the main thread
+ * @param {Object} config - Detector settings from the main thread
+ * @returns {BallDetector}
+ */
+function createDetector(config) {
+    const workerDetector = new BallDetector();
+    workerDetector.debugLogger = {
+        log: (message, level = 'info') => self.postMessage({ type: 'log', message, level }),
+        clear: () => {}
+    };
+    workerDetector.setModelConfig(config);
+    workerDetector.detectionThreshold = config.detectionThreshold;
+    return workerDetector;
+}
+
+// Requests run one at a time, in the order they arrive
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    queue = queue.then(() => handleMessage(event.data));
+};
+
+/**
+ * Handle one request from the main thread
+ * @param {Object} data - Message data
+ */
+async function handleMessage(data) {
+    const { type, id } = data;
+
+    try {
+        if (type === 'init') {
+            detector = createDetector(data.config);
+            await detector.initialize();
+            if (!detector.isModelLoaded) {
+                throw new Error('Model failed to load in worker');
+            }
+            self.postMessage({ type: 'ready', id });
+            return;
+        }
+
+        if (type === 'detect') {
+            const { image } = data;
+            if (!detector || !detector.isModelLoaded) {
+                image.close();
+                throw new Error('Worker detector is not initialized');
+            }
+
+            const startTime = performance.now();
+            const detections = await detector.detectObjects(image);
+            image.close();
+
+            self.postMessage({
+                type: 'result',
+                id,
+                detections,
+                inferenceTime: Math.round(performance.now() - startTime)
+            });
+            return;
+        }
+
+        throw new Error(`Unknown message type: ${type}`);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Marker Locator
+ * Finds the four setup markers with the detection model and returns their centers in
+ * setup order (clockwise from marker 1), so marker tracking can start without tapping.
+ */
+
+class MarkerLocator {
+    /**
+     * @param {BallDetector} detector - Detector whose model knows the marker classes
+     */
+    constructor(detector) {
+        this.detector = detector;
+        this.centerRefiner = new BallCenterRefiner();
+
+        this.MARKER_CLASSES = ['marker_red', 'marker_green', 'marker_blue'];
+        // Expected colors clockwise from marker 1: green and blue mark corners 2 and 3,
+        // so the red markers on either side of them are 1 and 4
+        this.COLOR_LAYOUT = ['marker_red', 'marker_green', 'marker_blue', 'marker_red'];
+
+        this.MIN_CONFIDENCE = 0.5;
+        this.DUPLICATE_DISTANCE_PX = 20;   // Closer detections are the same marker seen as two classes
+    }
+
+    /**
+     * Detect and order the markers in an image
+     * @param {CanvasImageSource} image - Current frame
+     * @returns {Promise<Array>} Four {x, y, class, confidence} marker centers in setup order
+     * @throws {Error} If the markers can't be identified unambiguously
+     */
+    async locate(image) {
+        // A one-off request: wait for a busy worker rather than lose the frame
+        const detections = (await this.detector.detectObjects(image, null, { queue: true })) || [];
+        const markers = this.selectMarkers(detections);
+
+        if (markers.length !== 4) {
+            throw new Error(`Found ${markers.length} markers, need exactly 4`);
+        }
+
+        const points = markers.map(marker => ({
+            ...this.refineCenter(image, marker),
+            class: marker.class,
+            confidence: marker.confidence
+        }));
+
+        const ordered = this.orderMarkers(points);
+        if (!GroundPlaneCalibration.isConvex(ordered)) {
+            throw new Error('Markers do not form a quadrilateral');
+        }
+
+        console.log('Markers located:', ordered.map((point, index) =>
+            `${index + 1}: ${point.class} (${point.x.toFixed(1)}, ${point.y.toFixed(1)})`).join(', '));
+        return ordered;
+    }
+
+    /**
+     * Keep confident marker detections, one per marker
+     * @param {Array} detections - Detections from the detector
+     * @returns {Array} Marker detections, most confident first
+     */
+    selectMarkers(detections) {
+        const candidates = detections
+            .filter(detection => this.MARKER_CLASSES.includes(detection.class) && detection.confidence >= this.MIN_CONFIDENCE)
+            .sort((a, b) => b.confidence - a.confidence);
+
+        // NMS runs per class, so one marker can survive as two colors
+        const markers = [];
+        for (const candidate of candidates) {
+            const center = this.getBoxCenter(candidate.bbox);
+            const isDuplicate = markers.some(marker => {
+                const other = this.getBoxCenter(marker.bbox);
+                return Math.hypot(center.x - other.x, center.y - other.y) < this.DUPLICATE_DISTANCE_PX;
+            });
+            if (!isDuplicate) {
+                markers.push(candidate);
+            }
+        }
+        return markers;
+    }
+
+    /**
+     * Sub-pixel marker center from its edge, falling back to the box center
+     * @param {CanvasImageSource} image - Frame the detection came from
+     * @param {Object} detection - Marker detection
+     * @returns {Object} {x, y}
+     */
+    refineCenter(image, detection) {
+        const center = this.centerRefiner.refine(image, detection.bbox);
+        return center ? { x: center.x, y: center.y } : this.getBoxCenter(detection.bbox);
+    }
+
+    /**
+     * Put the markers in setup order: clockwise around their centroid, starting from marker 1.
+     * Marker 1 comes from the color layout when the colors match it, otherwise it is the
+     * marker nearest the top-left of the image.
+     * @param {Array} points - Four {x, y, class} markers
+     * @returns {Array} The markers in setup order
+     */
+    orderMarkers(points) {
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const centerY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+        // With y pointing down, increasing angle runs clockwise on screen
+        const clockwise = [...points].sort((a, b) =>
+            Math.atan2(a.y - centerY, a.x - centerX) - Math.atan2(b.y - centerY, b.x - centerX)
+        );
+
+        const rotate = start => clockwise.slice(start).concat(clockwise.slice(0, start));
+
+        for (let start = 0; start < clockwise.length; start++) {
+            const candidate = rotate(start);
+            if (candidate.every((point, index) => point.class === this.COLOR_LAYOUT[index])) {
+                return candidate;
+            }
+        }
+
+        console.warn('Marker colors do not match the expected layout; ordering from the top-left marker');
+        let first = 0;
+        clockwise.forEach((point, index) => {
+            if (point.x + point.y < clockwise[first].x + clockwise[first].y) {
+                first = index;
+            }
+        });
+        return rotate(first);
+    }
+
+    /**
+     * Center of a detection box
+     * @param {Object} bbox - {x, y, width, height}
+     * @returns {Object} {x, y}
+     */
+    getBoxCenter(bbox) {
+        return {
+            x: bbox.x + bbox.width / 2,
+            y: bbox.y + bbox.height / 2
+        };
+    }
+}
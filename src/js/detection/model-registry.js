@@ -0,0 +1,183 @@
+/**
+ * Model Registry
+ * Discovers the exported detection models shipped with the app and reads their
+ * Ultralytics metadata.yaml (class names, input size, stride)
+ */
+
+class ModelRegistry {
+    /**
+     * @param {Array<string>} modelDirs - Candidate model directories, in order of preference
+     */
+    constructor(modelDirs = ['./my_model_web_model_6', './my_model_web_model_5']) {
+        this.modelDirs = modelDirs;
+        this.models = [];
+
+        // Used when a model has no metadata.yaml (or it can't be parsed)
+        this.DEFAULT_INPUT_SIZE = 640;
+        this.DEFAULT_STRIDE = 32;
+    }
+
+    /**
+     * Probe every candidate directory and keep the ones whose model can be found
+     * @returns {Promise<Array>} Available model configs
+     */
+    async discover() {
+        const results = await Promise.all(this.modelDirs.map(dir => this.loadModelInfo(dir)));
+        this.models = results.filter(model => model !== null);
+        console.log(`Model registry: ${this.models.length} model(s) available`, this.models);
+        return this.models;
+    }
+
+    /**
+     * Read a model directory's metadata
+     * @param {string} dir - Model directory
+     * @returns {Promise<Object|null>} Model config, or null if the model isn't there
+     */
+    async loadModelInfo(dir) {
+        const modelPath = `${dir}/model.json`;
+
+        try {
+            const modelResponse = await fetch(modelPath, { method: 'HEAD' });
+            if (!modelResponse.ok) {
+                console.warn(`Model registry: no model at ${modelPath}`);
+                return null;
+            }
+        } catch (error) {
+            console.warn(`Model registry: could not reach ${modelPath}`, error);
+            return null;
+        }
+
+        let metadata = {};
+        try {
+            const response = await fetch(`${dir}/metadata.yaml`);
+            if (response.ok) {
+                metadata = this.parseMetadata(await response.text());
+            } else {
+                console.warn(`Model registry: ${dir} has no metadata.yaml, using defaults`);
+            }
+        } catch (error) {
+            console.warn(`Model registry: could not read metadata for ${dir}, using defaults`, error);
+        }
+
+        return this.buildConfig(dir, modelPath, metadata);
+    }
+
+    /**
+     * Turn parsed metadata into the config BallDetector consumes
+     * @param {string} dir - Model directory
+     * @param {string} modelPath - Path to model.json
+     * @param {Object} metadata - Parsed metadata.yaml
+     * @returns {Object} {id, label, modelPath, classNames, inputWidth, inputHeight, stride, date}
+     */
+    buildConfig(dir, modelPath, metadata) {
+        // Ultralytics writes imgsz as [height, width], or a single number for square inputs
+        let inputHeight = this.DEFAULT_INPUT_SIZE;
+        let inputWidth = this.DEFAULT_INPUT_SIZE;
+        if (Array.isArray(metadata.imgsz) && metadata.imgsz.length === 2) {
+            inputHeight = Number(metadata.imgsz[0]);
+            inputWidth = Number(metadata.imgsz[1]);
+        } else if (typeof metadata.imgsz === 'number') {
+            inputHeight = inputWidth = metadata.imgsz;
+        }
+
+        const classNames = {};
+        if (metadata.names && typeof metadata.names === 'object') {
+            Object.keys(metadata.names).forEach(key => {
+                classNames[Number(key)] = String(metadata.names[key]);
+            });
+        }
+
+        const id = dir.split('/').filter(Boolean).pop();
+        const classCount = Object.keys(classNames).length;
+
+        return {
+            id: id,
+            label: `${id} (${classCount} classes, ${inputWidth}x${inputHeight})`,
+            modelPath: modelPath,
+            classNames: classNames,
+            inputWidth: inputWidth,
+            inputHeight: inputHeight,
+            stride: Number(metadata.stride) || this.DEFAULT_STRIDE,
+            date: metadata.date || null
+        };
+    }
+
+    /**
+     * Parse the subset of YAML that Ultralytics writes to metadata.yaml:
+     * top-level scalars, block lists ("- 640") and one level of nested maps ("  0: ball_golf")
+     * @param {string} text - YAML text
+     * @returns {Object} Parsed metadata
+     */
+    parseMetadata(text) {
+        const result = {};
+        let currentKey = null;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            if (rawLine.trim() === '' || rawLine.trim().startsWith('#')) return;
+
+            const indented = /^\s/.test(rawLine);
+            const line = rawLine.trim();
+
+            if (!indented) {
+                const separator = line.indexOf(':');
+                if (separator === -1) return;
+                currentKey = line.slice(0, separator).trim();
+                const value = line.slice(separator + 1).trim();
+                result[currentKey] = value === '' ? null : this.parseScalar(value);
+                return;
+            }
+
+            if (currentKey === null) return;
+
+            if (line.startsWith('- ')) {
+                if (!Array.isArray(result[currentKey])) result[currentKey] = [];
+                result[currentKey].push(this.parseScalar(line.slice(2).trim()));
+                return;
+            }
+
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            if (result[currentKey] === null || typeof result[currentKey] !== 'object') {
+                result[currentKey] = {};
+            }
+            result[currentKey][line.slice(0, separator).trim()] = this.parseScalar(line.slice(separator + 1).trim());
+        });
+
+        return result;
+    }
+
+    /**
+     * Parse a YAML scalar (number, boolean, quoted or plain string)
+     * @param {string} value - Raw value
+     * @returns {number|boolean|string}
+     */
+    parseScalar(value) {
+        if (/^'.*'$/.test(value) || /^".*"$/.test(value)) {
+            return value.slice(1, -1);
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        if (value !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Look up a discovered model
+     * @param {string} id - Model id (directory name)
+     * @returns {Object|null} Model config
+     */
+    getModel(id) {
+        return this.models.find(model => model.id === id) || null;
+    }
+
+    /**
+     * The preferred model: the first discovered in directory order
+     * @returns {Object|null} Model config
+     */
+    getDefault() {
+        return this.models.length > 0 ? this.models[0] : null;
+    }
+}
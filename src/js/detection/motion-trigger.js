@@ -0,0 +1,280 @@
+/**
+ * Motion Trigger
+ * Watches a start zone with frame differencing to start and stop putt recording automatically
+ */
+
+class MotionTrigger {
+    constructor() {
+        // Frame differencing configuration
+        this.SAMPLE_STEP = 4;             // Sample every Nth pixel in both directions
+        this.DIFF_THRESHOLD = 25;         // Grayscale difference counted as motion
+        this.START_FRACTION = 0.04;       // Fraction of start zone samples that must change
+        this.START_FRAMES = 2;            // Consecutive moving frames needed to trigger
+        this.GLOBAL_CHANGE_LIMIT = 0.3;   // Whole-frame change above this is lighting, not a ball
+        this.REST_FRACTION = 0.002;       // Whole-frame change below this counts as still
+        this.REST_MS = 600;               // Stillness needed before the putt is considered over
+        this.EDGE_MARGIN = 0.08;          // Fraction of frame size treated as the frame edge
+
+        // Recording window
+        this.PRE_ROLL_MS = 500;           // Frames kept from before the trigger
+        this.MIN_RECORD_MS = 400;         // Never stop sooner than this after the trigger
+        this.MAX_RECORD_MS = 8000;        // Stop after this long even if motion continues
+
+        this.startZone = null;            // {x, y, width, height} in frame pixels
+        this.onTrigger = null;            // Called when the ball starts moving
+        this.onStop = null;               // Called with the stop reason when the putt is over
+
+        this.reset();
+    }
+
+    /**
+     * Reset detection state (keeps the start zone)
+     */
+    reset() {
+        this.state = 'idle';              // 'idle' | 'armed' | 'triggered'
+        this.previousGray = null;
+        this.previousSize = null;
+        this.movingFrames = 0;
+        this.triggerTime = null;
+        this.stopTime = null;
+        this.lastMotionTime = null;
+        this.lastMotionCentroid = null;
+        this.lastZoneFraction = 0;
+    }
+
+    /**
+     * Set the start zone where the ball rests before the putt
+     * @param {Object} zone - {x, y, width, height} in frame pixels
+     */
+    setStartZone(zone) {
+        if (zone.width <= 0 || zone.height <= 0) {
+            throw new Error('Start zone must have a positive size');
+        }
+        this.startZone = zone;
+        console.log('Motion trigger start zone set:', zone);
+    }
+
+    /**
+     * Start watching the start zone
+     */
+    arm() {
+        if (!this.startZone) {
+            throw new Error('Start zone must be set before arming');
+        }
+        this.reset();
+        this.state = 'armed';
+        console.log('Motion trigger armed');
+    }
+
+    /**
+     * Stop watching without firing callbacks
+     */
+    disarm() {
+        this.reset();
+        console.log('Motion trigger disarmed');
+    }
+
+    /**
+     * Check whether the trigger is consuming frames
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.state !== 'idle';
+    }
+
+    /**
+     * Process a live frame
+     * @param {ImageData} imageData - Current frame
+     * @param {number} time - Frame time in ms (performance.now() clock)
+     */
+    processFrame(imageData, time) {
+        if (!this.isActive()) return;
+
+        const motion = this.computeMotion(imageData);
+        if (!motion) return; // First frame, nothing to compare against
+
+        this.lastZoneFraction = motion.zoneFraction;
+
+        if (this.state === 'armed') {
+            // The ball leaving the zone changes the zone a lot while the rest of the frame stays put
+            const isBallMotion = motion.zoneFraction >= this.START_FRACTION &&
+                motion.globalFraction < this.GLOBAL_CHANGE_LIMIT;
+            this.movingFrames = isBallMotion ? this.movingFrames + 1 : 0;
+
+            if (this.movingFrames >= this.START_FRAMES) {
+                this.state = 'triggered';
+                this.triggerTime = time;
+                this.lastMotionTime = time;
+                console.log('Motion trigger fired: ball started moving');
+                if (this.onTrigger) {
+                    this.onTrigger();
+                }
+            }
+            return;
+        }
+
+        // Triggered: wait until the frame goes still or the recording runs too long
+        if (motion.globalFraction >= this.REST_FRACTION) {
+            this.lastMotionTime = time;
+            if (motion.centroid) {
+                this.lastMotionCentroid = motion.centroid;
+            }
+        }
+
+        const elapsed = time - this.triggerTime;
+        const stillFor = time - this.lastMotionTime;
+        let reason = null;
+
+        if (elapsed >= this.MAX_RECORD_MS) {
+            reason = 'timeout';
+        } else if (elapsed >= this.MIN_RECORD_MS && stillFor >= this.REST_MS) {
+            reason = this.isNearEdge(this.lastMotionCentroid, imageData) ? 'left-frame' : 'at-rest';
+        }
+
+        if (reason) {
+            this.stopTime = time;
+            this.state = 'idle';
+            this.previousGray = null;
+            console.log(`Motion trigger stopped: ${reason}`);
+            if (this.onStop) {
+                this.onStop(reason);
+            }
+        }
+    }
+
+    /**
+     * Difference a frame against the previous one on a sparse grid
+     * @param {ImageData} imageData - Current frame
+     * @returns {Object|null} {zoneFraction, globalFraction, centroid} or null for the first frame
+     */
+    computeMotion(imageData) {
+        const { width, height, data } = imageData;
+        const step = this.SAMPLE_STEP;
+        const cols = Math.floor(width / step);
+        const rows = Math.floor(height / step);
+        const gray = new Uint8Array(cols * rows);
+
+        // Frame size changed (e.g. new camera settings) - start over
+        if (this.previousSize && (this.previousSize.width !== width || this.previousSize.height !== height)) {
+            this.previousGray = null;
+        }
+
+        const zone = this.startZone;
+        let zoneSamples = 0, zoneChanged = 0, globalChanged = 0;
+        let sumX = 0, sumY = 0;
+
+        for (let row = 0; row < rows; row++) {
+            const y = row * step;
+            for (let col = 0; col < cols; col++) {
+                const x = col * step;
+                const i = (y * width + x) * 4;
+                const value = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+                const index = row * cols + col;
+                gray[index] = value;
+
+                if (!this.previousGray) continue;
+
+                const inZone = x >= zone.x && x < zone.x + zone.width &&
+                    y >= zone.y && y < zone.y + zone.height;
+                const changed = Math.abs(value - this.previousGray[index]) > this.DIFF_THRESHOLD;
+
+                if (inZone) {
+                    zoneSamples++;
+                    if (changed) zoneChanged++;
+                }
+                if (changed) {
+                    globalChanged++;
+                    sumX += x;
+                    sumY += y;
+                }
+            }
+        }
+
+        const hadPrevious = this.previousGray !== null;
+        this.previousGray = gray;
+        this.previousSize = { width, height };
+
+        if (!hadPrevious) {
+            return null;
+        }
+
+        return {
+            zoneFraction: zoneSamples > 0 ? zoneChanged / zoneSamples : 0,
+            globalFraction: globalChanged / (cols * rows),
+            centroid: globalChanged > 0 ? { x: sumX / globalChanged, y: sumY / globalChanged } : null
+        };
+    }
+
+    /**
+     * Check whether a point lies in the border band of the frame
+     * @param {Object|null} point - {x, y}
+     * @param {ImageData} imageData - Frame (for dimensions)
+     * @returns {boolean}
+     */
+    isNearEdge(point, imageData) {
+        if (!point) return false;
+        const marginX = imageData.width * this.EDGE_MARGIN;
+        const marginY = imageData.height * this.EDGE_MARGIN;
+        return point.x < marginX || point.x > imageData.width - marginX ||
+            point.y < marginY || point.y > imageData.height - marginY;
+    }
+
+    /**
+     * Keep only the frames from the pre-roll before the trigger to the stop, releasing the rest
+     * @param {Array} frames - Recorded frames with receivedAt (performance.now() clock)
+     * @returns {Array} Frames covering the putt
+     */
+    trimToPutt(frames) {
+        if (this.triggerTime === null) {
+            return frames;
+        }
+
+        const from = this.triggerTime - this.PRE_ROLL_MS;
+        const to = this.stopTime !== null ? this.stopTime : Infinity;
+        const kept = [];
+
+        frames.forEach(frame => {
+            if (frame.receivedAt >= from && frame.receivedAt <= to) {
+                kept.push(frame);
+            } else {
+                FrameBuffer.releaseFrame(frame);
+            }
+        });
+
+        console.log(`Trimmed recording to ${kept.length} of ${frames.length} frames around the putt`);
+        return kept;
+    }
+
+    /**
+     * Draw the start zone and trigger state
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawStartZone(ctx) {
+        if (!this.startZone) return;
+
+        const colors = {
+            idle: '#FFFFFF',
+            armed: '#FFC107',
+            triggered: '#F44336'
+        };
+        const labels = {
+            idle: 'Start zone',
+            armed: 'Armed',
+            triggered: 'Recording'
+        };
+        const { x, y, width, height } = this.startZone;
+
+        ctx.save();
+        ctx.strokeStyle = colors[this.state];
+        ctx.lineWidth = 3;
+        ctx.setLineDash(this.state === 'armed' ? [8, 6] : []);
+        ctx.strokeRect(x, y, width, height);
+        ctx.setLineDash([]);
+        ctx.fillStyle = colors[this.state];
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(labels[this.state], x, y - 4);
+        ctx.restore();
+    }
+}
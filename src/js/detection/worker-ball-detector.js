@@ -0,0 +1,204 @@
+/**
+ * Worker Ball Detector
+ * BallDetector that runs inference in a Web Worker so the UI and live preview stay responsive.
+ * Falls back to main-thread inference where workers or OffscreenCanvas are unavailable.
+ */
+
+class WorkerBallDetector extends BallDetector {
+    constructor() {
+        super();
+        this.workerPath = 'src/js/detection/detection-worker.js';
+        this.worker = null;
+        this.useWorker = WorkerBallDetector.isSupported();
+
+        // Request bookkeeping
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+
+        // Backpressure: at most this many frames in the worker at once; further frames are dropped
+        // unless the caller asks to queue (recorded analysis, one-off detections)
+        this.MAX_IN_FLIGHT = 1;
+        this.inFlight = 0;
+        this.droppedFrames = 0;
+    }
+
+    /**
+     * Check whether worker inference can run in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Start the worker and load the model inside it
+     */
+    async initialize() {
+        if (!this.useWorker) {
+            this.debugLogger.log('Web Worker inference not supported, using main thread', 'warning');
+            return super.initialize();
+        }
+
+        if (this.isModelLoaded || this.modelLoading) {
+            return;
+        }
+
+        if (!this.modelPath) {
+            this.useWorker = false;
+            return super.initialize();
+        }
+
+        this.modelLoading = true;
+        this.debugLogger.log('Starting detection worker...', 'info');
+
+        try {
+            this.worker = new Worker(this.workerPath);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                this.debugLogger.log(`Detection worker error: ${event.message}`, 'error');
+                this.rejectAllPending(new Error(event.message || 'Detection worker error'));
+            };
+
+            // The worker resolves paths relative to its own script, so send an absolute model URL
+            await this.sendRequest('init', {
+                config: {
+                    ...this.getModelConfig(),
+                    modelPath: new URL(this.modelPath, document.baseURI).href,
+                    detectionThreshold: this.detectionThreshold
+                }
+            });
+
+            this.isModelLoaded = true;
+            this.debugLogger.log('Detection worker ready', 'success');
+        } catch (error) {
+            this.debugLogger.log(`Detection worker failed (${error.message}), falling back to main thread`, 'error');
+            console.error('Error starting detection worker:', error);
+            this.terminateWorker();
+            this.useWorker = false;
+            this.modelLoading = false;
+            await super.initialize();
+        } finally {
+            this.modelLoading = false;
+        }
+    }
+
+    /**
+     * Apply a model config; a running worker is stopped so the next initialize() starts one for the new model
+     * @param {Object} config - Model config from ModelRegistry
+     */
+    setModelConfig(config) {
+        if (this.worker && config.modelPath !== this.modelPath) {
+            this.terminateWorker();
+        }
+        this.useWorker = WorkerBallDetector.isSupported();
+        super.setModelConfig(config);
+    }
+
+    /**
+     * Detect objects in an image using the worker
+     * @param {HTMLCanvasElement|HTMLImageElement|HTMLVideoElement|ImageBitmap} imageElement - The image to process
+     * @param {Object} roi - Optional {x, y, width, height} crop to search; only the crop is sent to the worker
+     * @param {Object} options - {queue}: wait for the worker instead of dropping the frame when it is busy
+     * @returns {Promise<Array|null>} Detections in the BallDetector result shape,
+     *     or null if the worker was busy and the frame was dropped
+     */
+    async detectObjects(imageElement, roi = null, options = {}) {
+        if (!this.useWorker) {
+            return super.detectObjects(imageElement, roi);
+        }
+
+        if (!this.isModelLoaded) {
+            await this.initialize();
+            if (!this.useWorker) {
+                return super.detectObjects(imageElement, roi);
+            }
+            if (!this.isModelLoaded) {
+                this.debugLogger.log('Model failed to load, cannot perform detection', 'error');
+                return [];
+            }
+        }
+
+        // Live frames go stale while they wait, so drop them; queued callers need every frame
+        if (!options.queue && this.inFlight >= this.MAX_IN_FLIGHT) {
+            this.droppedFrames++;
+            this.debugLogger.log(`Detection busy, frame dropped (${this.droppedFrames} dropped so far)`, 'warning');
+            return null;
+        }
+
+        this.inFlight++;
+        try {
+            // Copy into a bitmap we can transfer; the caller keeps its own image
+            const bitmap = roi
+                ? await createImageBitmap(imageElement, roi.x, roi.y, roi.width, roi.height)
+                : await createImageBitmap(imageElement);
+            const response = await this.sendRequest('detect', { image: bitmap }, [bitmap]);
+            this.debugLogger.log(`Worker detection: ${response.detections.length} objects in ${response.inferenceTime}ms`, 'info');
+            return roi ? this.offsetDetections(response.detections, roi) : response.detections;
+        } catch (error) {
+            this.debugLogger.log(`Error during worker detection: ${error.message}`, 'error');
+            console.error('Error during worker detection:', error);
+            return [];
+        } finally {
+            this.inFlight--;
+        }
+    }
+
+    /**
+     * Send a request to the worker and wait for its response
+     * @param {string} type - Message type
+     * @param {Object} payload - Message fields
+     * @param {Array} transfer - Transferable objects
+     * @returns {Promise<Object>} Response message
+     */
+    sendRequest(type, payload = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Route a worker message to its pending request or the debug log
+     * @param {Object} message - Message from the worker
+     */
+    handleWorkerMessage(message) {
+        if (message.type === 'log') {
+            this.debugLogger.log(`[worker] ${message.message}`, message.level);
+            return;
+        }
+
+        const request = this.pendingRequests.get(message.id);
+        if (!request) return;
+        this.pendingRequests.delete(message.id);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message);
+        }
+    }
+
+    /**
+     * Fail every outstanding request
+     * @param {Error} error - Error to reject with
+     */
+    rejectAllPending(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Stop the worker and fail outstanding requests
+     */
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAllPending(new Error('Detection worker terminated'));
+        this.isModelLoaded = false;
+    }
+}
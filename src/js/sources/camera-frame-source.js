@@ -0,0 +1,179 @@
+/**
+ * Camera Frame Source
+ * Pulls frames from a live MediaStream, stamped with the camera clock
+ */
+
+class CameraFrameSource extends FrameSource {
+    /**
+     * @param {MediaStream|null} stream - Existing stream, or null to request one with the constraints
+     * @param {MediaStreamConstraints} constraints - getUserMedia constraints used when no stream is given
+     * @param {HTMLVideoElement|null} video - Element to play the stream in (e.g. the live preview), or null for a private one
+     */
+    constructor(stream = null, constraints = { video: { facingMode: 'environment' } }, video = null) {
+        super('Camera');
+        this.stream = stream;
+        this.ownsStream = stream === null;
+        this.constraints = constraints;
+        this.video = video;
+        this.ownsVideo = video === null;
+        this.clock = new FrameClock();
+        this.OPEN_TIMEOUT_MS = 10000;     // Give up when the stream never becomes playable
+
+        // Pending nextFrame() wait, so close() can end it
+        this.frameCallbackId = null;
+        this.resolvePending = null;
+    }
+
+    /**
+     * Attach the stream to the video element and wait until it plays
+     */
+    async open() {
+        if (!this.stream) {
+            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+        }
+
+        if (!this.video) {
+            this.video = document.createElement('video');
+            this.video.muted = true;
+            this.video.playsInline = true;
+        }
+        this.video.srcObject = this.stream;
+
+        const playable = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Timeout waiting for the camera stream to become playable'));
+            }, this.OPEN_TIMEOUT_MS);
+            this.video.oncanplay = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            this.video.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Camera stream could not be played'));
+            };
+        });
+        this.video.play();
+        await playable;
+
+        this.width = this.video.videoWidth;
+        this.height = this.video.videoHeight;
+        this.clock.reset();
+        this.isOpen = true;
+        console.log(`${this.name} source open: ${this.width}x${this.height}`);
+    }
+
+    /**
+     * The stream's video track
+     * @returns {MediaStreamTrack|null}
+     */
+    getVideoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+
+    /**
+     * Restart the frame clock, e.g. at the start of a recording
+     */
+    resetClock() {
+        this.clock.reset();
+    }
+
+    /**
+     * Frame timing statistics since the last clock reset
+     * @returns {Object} Stats from FrameClock.getStats()
+     */
+    getClockStats() {
+        return this.clock.getStats();
+    }
+
+    /**
+     * Wait for the next presented camera frame and snapshot it
+     * @returns {Promise<Object|null>} Next frame, or null once closed
+     */
+    async nextFrame() {
+        let timing;
+        let receivedAt;
+        do {
+            if (!this.isOpen) {
+                return null;
+            }
+            timing = await this.waitForVideoFrame();
+            if (!timing) {
+                return null;
+            }
+            // Page-clock arrival time, comparable with live-view events such as the motion trigger
+            receivedAt = performance.now();
+        } while (timing.isDuplicate);
+
+        const image = await createImageBitmap(this.video);
+        return {
+            timestamp: timing.timestamp,
+            frameNumber: timing.frameNumber,
+            droppedBefore: timing.droppedBefore,
+            receivedAt: receivedAt,
+            image: image,
+            width: image.width,
+            height: image.height
+        };
+    }
+
+    /**
+     * Resolve on the next video frame with its timing
+     * @returns {Promise<Object|null>} Frame timing from the clock, or null if the source closed first
+     */
+    waitForVideoFrame() {
+        return new Promise(resolve => {
+            this.resolvePending = resolve;
+            if (typeof this.video.requestVideoFrameCallback === 'function') {
+                this.frameCallbackId = this.video.requestVideoFrameCallback((now, metadata) => {
+                    this.frameCallbackId = null;
+                    this.resolvePending = null;
+                    resolve(this.clock.stampFromMetadata(metadata));
+                });
+            } else {
+                // Fallback: poll on animation frames; the clock flags polls that saw no new frame
+                this.frameCallbackId = requestAnimationFrame(() => {
+                    this.frameCallbackId = null;
+                    this.resolvePending = null;
+                    resolve(this.clock.stampFromVideo(this.video));
+                });
+            }
+        });
+    }
+
+    /**
+     * Stop waiting for a frame; a pending nextFrame() resolves with null
+     */
+    cancelPendingFrame() {
+        if (this.frameCallbackId !== null) {
+            if (typeof this.video.cancelVideoFrameCallback === 'function') {
+                this.video.cancelVideoFrameCallback(this.frameCallbackId);
+            } else {
+                cancelAnimationFrame(this.frameCallbackId);
+            }
+            this.frameCallbackId = null;
+        }
+        if (this.resolvePending) {
+            this.resolvePending(null);
+            this.resolvePending = null;
+        }
+    }
+
+    /**
+     * Detach the video element and stop the stream if this source created it
+     */
+    close() {
+        if (this.video) {
+            this.cancelPendingFrame();
+            this.video.pause();
+            this.video.srcObject = null;
+            if (this.ownsVideo) {
+                this.video = null;
+            }
+        }
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        super.close();
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Frame Source
+ * Common interface for anything that produces timestamped frames
+ * (live camera, video file, image sequence, synthetic generator)
+ *
+ * Frames have the shape {timestamp, frameNumber, droppedBefore, image, width, height},
+ * where timestamp is in ms and image is a drawable (usually an ImageBitmap). Live sources
+ * also stamp receivedAt, the page-clock (performance.now()) time the frame arrived.
+ */
+
+class FrameSource {
+    /**
+     * @param {string} name - Human readable source name for logging
+     */
+    constructor(name) {
+        this.name = name;
+        this.width = 0;
+        this.height = 0;
+        this.isOpen = false;
+    }
+
+    /**
+     * Prepare the source (load media, start streams). Sets width and height.
+     */
+    async open() {
+        this.isOpen = true;
+    }
+
+    /**
+     * Get the next frame
+     * @returns {Promise<Object|null>} Next frame, or null when the source is exhausted
+     */
+    async nextFrame() {
+        throw new Error(`${this.constructor.name} must implement nextFrame()`);
+    }
+
+    /**
+     * Read frames until the source is exhausted
+     * @param {number} maxFrames - Stop after this many frames
+     * @param {Function} onFrame - Optional callback (frame, index) for each frame read
+     * @returns {Promise<Array>} Frames in order. The caller owns the frame images.
+     */
+    async readAll(maxFrames = Infinity, onFrame = null) {
+        if (!this.isOpen) {
+            await this.open();
+        }
+
+        const frames = [];
+        try {
+            while (frames.length < maxFrames) {
+                const frame = await this.nextFrame();
+                if (!frame) break;
+                frames.push(frame);
+                if (onFrame) {
+                    onFrame(frame, frames.length - 1);
+                }
+            }
+        } catch (error) {
+            // The caller never sees the partial frames, so free them here
+            FrameBuffer.releaseFrames(frames);
+            throw error;
+        }
+
+        if (frames.length >= maxFrames) {
+            console.warn(`${this.name}: frame limit (${maxFrames}) reached`);
+        }
+        return frames;
+    }
+
+    /**
+     * Release resources held by the source
+     */
+    close() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Create a canvas for rendering, preferring OffscreenCanvas so sources also work in workers
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Image Sequence Frame Source
+ * Replays a list of still images (files, URLs or bitmaps) as frames at a fixed frame rate
+ */
+
+class ImageSequenceFrameSource extends FrameSource {
+    /**
+     * @param {Array} images - Files/Blobs, URLs or drawables (ImageBitmap, canvas, image), in order
+     * @param {Object} options - {frameRate} or {timestamps} (ms, one per image)
+     */
+    constructor(images, options = {}) {
+        super('Image sequence');
+        if (!images || images.length === 0) {
+            throw new Error('Image sequence needs at least one image');
+        }
+        if (options.timestamps && options.timestamps.length !== images.length) {
+            throw new Error('Image sequence needs one timestamp per image');
+        }
+
+        this.images = images;
+        this.frameRate = options.frameRate || 30;
+        this.timestamps = options.timestamps || null;
+        this.index = 0;
+        // Length in seconds, for progress reporting like VideoFileFrameSource
+        this.duration = this.timestamps
+            ? this.timestamps[this.timestamps.length - 1] / 1000
+            : images.length / this.frameRate;
+    }
+
+    /**
+     * Load the first image to learn the frame size
+     */
+    async open() {
+        const first = await this.loadImage(this.images[0]);
+        this.width = first.width;
+        this.height = first.height;
+        first.close();
+
+        this.index = 0;
+        this.isOpen = true;
+        console.log(`${this.name} source open: ${this.images.length} images, ${this.width}x${this.height}`);
+    }
+
+    /**
+     * Get the next image as a frame
+     * @returns {Promise<Object|null>} Next frame, or null after the last image
+     */
+    async nextFrame() {
+        if (!this.isOpen || this.index >= this.images.length) {
+            return null;
+        }
+
+        const image = await this.loadImage(this.images[this.index]);
+        const frame = {
+            timestamp: this.timestamps ? this.timestamps[this.index] : (this.index * 1000) / this.frameRate,
+            frameNumber: this.index,
+            droppedBefore: 0,
+            image: image,
+            width: image.width,
+            height: image.height
+        };
+
+        this.index++;
+        return frame;
+    }
+
+    /**
+     * Decode one entry of the sequence into an ImageBitmap
+     * @param {File|Blob|string|CanvasImageSource} source - Image entry
+     * @returns {Promise<ImageBitmap>}
+     */
+    async loadImage(source) {
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Could not load image ${source}: ${response.status}`);
+            }
+            return createImageBitmap(await response.blob());
+        }
+        return createImageBitmap(source);
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * Synthetic Frame Source
+ * Renders a top-down view of a ball rolling at a known speed across a textured green
+ * with four markers, and exposes the ground truth for every frame. The ball can skid
+ * first, slowing at a higher rate until it starts rolling.
+ */
+
+class SyntheticFrameSource extends FrameSource {
+    /**
+     * @param {Object} options - Scene and motion parameters (see defaults below)
+     */
+    constructor(options = {}) {
+        super('Synthetic putt');
+
+        const defaults = {
+            width: 1280,
+            height: 720,
+            frameRate: 60,
+            durationMs: 2500,
+            startDelayMs: 200,                 // Ball sits still before the putt starts
+            pixelsPerCm: 4,                    // Top-down scale of the rendered green
+            ballStartCm: { x: 25, y: 90 },     // Ball position at rest, relative to the frame origin
+            initialSpeed: 1.6,                 // m/s, off the putter
+            deceleration: 0.6,                 // m/s^2 (rolling resistance)
+            skidTimeMs: 0,                     // Skid before the ball rolls; 0 rolls from the start
+            skidDeceleration: 2,               // m/s^2 while skidding (sliding friction)
+            directionDeg: 0,                   // Direction of roll, 0 = towards +x
+            ballDiameterCm: 4.27,
+            markerOriginCm: { x: 15, y: 20 },  // Top-left marker position
+            markerLayoutCm: { width: 280, height: 140 },
+            markerDiameterCm: 6,
+            markerColors: ['#D32F2F', '#388E3C', '#1976D2', '#D32F2F'],
+            noise: 6,                          // Per-frame sensor noise amplitude (0-255)
+            seed: 1
+        };
+
+        this.options = { ...defaults, ...options };
+        this.frameNumber = 0;
+        this.canvas = null;
+        this.context = null;
+        this.background = null;
+        this.random = this.createRandom(this.options.seed);
+    }
+
+    /**
+     * Render the static green and markers once
+     */
+    async open() {
+        const { width, height } = this.options;
+        this.width = width;
+        this.height = height;
+
+        this.canvas = FrameSource.createCanvas(width, height);
+        this.context = this.canvas.getContext('2d');
+        this.background = this.renderBackground();
+        this.frameNumber = 0;
+        this.isOpen = true;
+
+        console.log(`${this.name} source open: ${width}x${height} @ ${this.options.frameRate} fps`, this.getGroundTruthSummary());
+    }
+
+    /**
+     * Render the next frame
+     * @returns {Promise<Object|null>} Next frame with its ground truth, or null after the duration
+     */
+    async nextFrame() {
+        const timestamp = this.getFrameTimestamp(this.frameNumber);
+        if (!this.isOpen || timestamp === null) {
+            return null;
+        }
+
+        const truth = this.getGroundTruth(timestamp);
+        const ctx = this.context;
+        const radius = (this.options.ballDiameterCm / 2) * this.options.pixelsPerCm;
+
+        ctx.putImageData(this.background, 0, 0);
+
+        // Ball with a soft shadow and simple shading so it isn't a flat disc
+        ctx.beginPath();
+        ctx.arc(truth.x + radius * 0.15, truth.y + radius * 0.2, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fill();
+
+        const shading = ctx.createRadialGradient(
+            truth.x - radius * 0.3, truth.y - radius * 0.3, radius * 0.1,
+            truth.x, truth.y, radius
+        );
+        shading.addColorStop(0, '#FFFFFF');
+        shading.addColorStop(1, '#D8D8D8');
+        ctx.beginPath();
+        ctx.arc(truth.x, truth.y, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = shading;
+        ctx.fill();
+
+        if (this.options.noise > 0) {
+            this.addNoise(ctx);
+        }
+
+        const image = await createImageBitmap(this.canvas);
+        const frame = {
+            timestamp: timestamp,
+            frameNumber: this.frameNumber,
+            droppedBefore: 0,
+            image: image,
+            width: image.width,
+            height: image.height,
+            groundTruth: truth
+        };
+
+        this.frameNumber++;
+        return frame;
+    }
+
+    /**
+     * Time of a frame in the sequence
+     * @param {number} frameNumber - Frame index from 0
+     * @returns {number|null} Time in ms, or null past the end of the sequence
+     */
+    getFrameTimestamp(frameNumber) {
+        const timestamp = (frameNumber * 1000) / this.options.frameRate;
+        return timestamp <= this.options.durationMs ? timestamp : null;
+    }
+
+    /**
+     * Skid and roll phases of the putt
+     * @returns {Object} skidTime and stopTime in s after impact, skidDistance and stopDistance in m,
+     *                   rollSpeed in m/s when the ball starts rolling
+     */
+    getMotionPhases() {
+        const { initialSpeed, deceleration, skidTimeMs, skidDeceleration } = this.options;
+        // A skid can't outlast the speed it slows
+        const skidTime = Math.min(skidTimeMs / 1000, initialSpeed / skidDeceleration);
+        const rollSpeed = initialSpeed - skidDeceleration * skidTime;
+        const skidDistance = initialSpeed * skidTime - 0.5 * skidDeceleration * skidTime * skidTime;
+        return {
+            skidTime: skidTime,
+            skidDistance: skidDistance,
+            rollSpeed: rollSpeed,
+            stopTime: skidTime + rollSpeed / deceleration,
+            stopDistance: skidDistance + (rollSpeed * rollSpeed) / (2 * deceleration)
+        };
+    }
+
+    /**
+     * Ground truth ball state at a given time
+     * @param {number} timestamp - Time in ms since the start of the sequence
+     * @returns {Object} {x, y} in pixels, {xCm, yCm}, distanceCm rolled and speed in m/s
+     */
+    getGroundTruth(timestamp) {
+        const { startDelayMs, initialSpeed, deceleration, skidDeceleration, directionDeg, ballStartCm, pixelsPerCm } = this.options;
+        const phases = this.getMotionPhases();
+        const t = Math.min(Math.max(0, (timestamp - startDelayMs) / 1000), phases.stopTime);
+
+        let distanceM;
+        let speed;
+        if (t < phases.skidTime) {
+            distanceM = initialSpeed * t - 0.5 * skidDeceleration * t * t;
+            speed = initialSpeed - skidDeceleration * t;
+        } else {
+            const rollTime = t - phases.skidTime;
+            distanceM = phases.skidDistance + phases.rollSpeed * rollTime - 0.5 * deceleration * rollTime * rollTime;
+            speed = Math.max(0, phases.rollSpeed - deceleration * rollTime);
+        }
+        const angle = (directionDeg * Math.PI) / 180;
+        const xCm = ballStartCm.x + Math.cos(angle) * distanceM * 100;
+        const yCm = ballStartCm.y + Math.sin(angle) * distanceM * 100;
+
+        return {
+            x: xCm * pixelsPerCm,
+            y: yCm * pixelsPerCm,
+            xCm: xCm,
+            yCm: yCm,
+            distanceCm: distanceM * 100,
+            speed: timestamp < startDelayMs ? 0 : speed
+        };
+    }
+
+    /**
+     * Mean ground-truth speed between two times
+     * @param {number} fromMs - Start time in ms
+     * @param {number} toMs - End time in ms
+     * @returns {number} Speed in m/s
+     */
+    getAverageSpeed(fromMs, toMs) {
+        if (toMs <= fromMs) return 0;
+        const from = this.getGroundTruth(fromMs);
+        const to = this.getGroundTruth(toMs);
+        return ((to.distanceCm - from.distanceCm) / 100) / ((toMs - fromMs) / 1000);
+    }
+
+    /**
+     * Summary of the scene ground truth
+     * @returns {Object} Motion parameters, scale and marker positions in pixels and cm
+     */
+    getGroundTruthSummary() {
+        const { initialSpeed, deceleration, skidDeceleration, pixelsPerCm, startDelayMs } = this.options;
+        const phases = this.getMotionPhases();
+        return {
+            initialSpeed: initialSpeed,
+            deceleration: deceleration,
+            skidDeceleration: phases.skidTime > 0 ? skidDeceleration : null,
+            skidTimeMs: phases.skidTime * 1000,
+            skidDistanceCm: phases.skidDistance * 100,
+            startDelayMs: startDelayMs,
+            stopTimeMs: startDelayMs + phases.stopTime * 1000,
+            stopDistanceCm: phases.stopDistance * 100,
+            pixelsPerCm: pixelsPerCm,
+            markerLayoutCm: { ...this.options.markerLayoutCm },
+            markerPositions: this.getMarkerPositionsCm().map(p => ({
+                x: p.x * pixelsPerCm,
+                y: p.y * pixelsPerCm
+            }))
+        };
+    }
+
+    /**
+     * Marker centers in cm, clockwise from the top-left
+     * @returns {Array} Array of {x, y}
+     */
+    getMarkerPositionsCm() {
+        const { markerOriginCm: o, markerLayoutCm: l } = this.options;
+        return [
+            { x: o.x, y: o.y },
+            { x: o.x + l.width, y: o.y },
+            { x: o.x + l.width, y: o.y + l.height },
+            { x: o.x, y: o.y + l.height }
+        ];
+    }
+
+    /**
+     * Render the textured green with mowing stripes and the four markers
+     * @returns {ImageData} Background image
+     */
+    renderBackground() {
+        const { width, height, pixelsPerCm, markerDiameterCm, markerColors } = this.options;
+        const ctx = this.context;
+        const image = ctx.createImageData(width, height);
+        const data = image.data;
+        const stripeWidth = 60 * pixelsPerCm; // Mowing stripes every 60 cm
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const stripe = Math.floor(x / stripeWidth) % 2 === 0 ? 0 : 14;
+                const grain = (this.random() - 0.5) * 30;
+                data[i] = 48 + stripe * 0.5 + grain * 0.5;
+                data[i + 1] = 118 + stripe + grain;
+                data[i + 2] = 42 + grain * 0.4;
+                data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        // Markers: colored discs with a white ring so they stand out from the grass
+        const radius = (markerDiameterCm / 2) * pixelsPerCm;
+        this.getMarkerPositionsCm().forEach((position, index) => {
+            const x = position.x * pixelsPerCm;
+            const y = position.y * pixelsPerCm;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(x, y, radius * 0.75, 0, 2 * Math.PI);
+            ctx.fillStyle = markerColors[index % markerColors.length];
+            ctx.fill();
+        });
+
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Add uniform sensor noise to the current canvas contents
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    addNoise(ctx) {
+        const frame = ctx.getImageData(0, 0, this.width, this.height);
+        const data = frame.data;
+        const amplitude = this.options.noise;
+        for (let i = 0; i < data.length; i += 4) {
+            const n = (this.random() - 0.5) * 2 * amplitude;
+            data[i] += n;
+            data[i + 1] += n;
+            data[i + 2] += n;
+        }
+        ctx.putImageData(frame, 0, 0);
+    }
+
+    /**
+     * Seeded pseudo-random generator (mulberry32) so scenes are reproducible
+     * @param {number} seed - Seed value
+     * @returns {Function} Generator returning values in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Video File Frame Source
+ * Decodes frames from a local video file (MP4/WebM) with their media timestamps
+ */
+
+class VideoFileFrameSource extends FrameSource {
+    /**
+     * @param {File|Blob} file - Video file
+     * @param {Object} options - {fallbackFrameRate} seek step when per-frame callbacks are unavailable
+     */
+    constructor(file, options = {}) {
+        super(file.name || 'Video file');
+        this.file = file;
+        this.fallbackFrameRate = options.fallbackFrameRate || 30;
+        this.video = null;
+        this.url = null;
+        this.duration = 0;
+        this.seekTime = 0;
+        this.seekFrameNumber = 0;
+    }
+
+    /**
+     * Load the file into a private video element
+     */
+    async open() {
+        this.video = document.createElement('video');
+        if (this.file.type && this.video.canPlayType(this.file.type) === '') {
+            throw new Error(`Unsupported video format: ${this.file.type}`);
+        }
+
+        this.url = URL.createObjectURL(this.file);
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.preload = 'auto';
+        this.video.src = this.url;
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = () => resolve();
+            this.video.onerror = () => reject(new Error(`Could not decode video file: ${this.name}`));
+        });
+
+        this.width = this.video.videoWidth;
+        this.height = this.video.videoHeight;
+        this.duration = this.video.duration;
+        this.seekTime = 0;
+        this.seekFrameNumber = 0;
+        this.isOpen = true;
+
+        console.log(`${this.name} source open`, {
+            width: this.width,
+            height: this.height,
+            duration: this.duration
+        });
+    }
+
+    /**
+     * Get the next frame by seeking one fallback frame period forward
+     * @returns {Promise<Object|null>} Next frame, or null at the end of the file
+     */
+    async nextFrame() {
+        if (!this.isOpen || this.seekTime >= this.duration) {
+            return null;
+        }
+
+        await new Promise((resolve, reject) => {
+            this.video.onseeked = () => resolve();
+            this.video.onerror = () => reject(new Error('Error seeking video'));
+            this.video.currentTime = this.seekTime;
+        });
+
+        const image = await createImageBitmap(this.video);
+        const frame = {
+            timestamp: FrameClock.getMediaTime(this.video),
+            frameNumber: this.seekFrameNumber,
+            droppedBefore: 0,
+            image: image,
+            width: image.width,
+            height: image.height
+        };
+
+        this.seekTime += 1 / this.fallbackFrameRate;
+        this.seekFrameNumber++;
+        return frame;
+    }
+
+    /**
+     * Decode the whole file. Uses playback with per-frame callbacks where the browser
+     * supports them (native frame timing), otherwise seeks at the fallback frame rate.
+     * @param {number} maxFrames - Stop after this many frames
+     * @param {Function} onFrame - Optional callback (frame, index) for each decoded frame
+     * @returns {Promise<Array>} Frames in media-time order
+     */
+    async readAll(maxFrames = Infinity, onFrame = null) {
+        if (!this.isOpen) {
+            await this.open();
+        }
+
+        if (typeof this.video.requestVideoFrameCallback !== 'function') {
+            return super.readAll(maxFrames, onFrame);
+        }
+
+        return new Promise((resolve, reject) => {
+            const video = this.video;
+            const clock = new FrameClock();
+            const pending = [];
+            let finished = false;
+
+            const finish = async (playbackError = null) => {
+                if (finished) return;
+                finished = true;
+                video.pause();
+
+                // Wait for every bitmap so none is left unreleased when decoding fails part-way
+                const results = await Promise.allSettled(pending);
+                const frames = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+                const failure = playbackError || (results.find(result => result.status === 'rejected') || {}).reason;
+                if (failure) {
+                    FrameBuffer.releaseFrames(frames);
+                    reject(failure);
+                    return;
+                }
+                frames.sort((a, b) => a.timestamp - b.timestamp);
+                resolve(frames);
+            };
+
+            const onVideoFrame = (now, metadata) => {
+                if (finished) return;
+
+                if (pending.length >= maxFrames) {
+                    console.warn(`${this.name}: frame limit (${maxFrames}) reached, ignoring the rest of the file`);
+                    finish();
+                    return;
+                }
+
+                const timing = clock.stampFromMetadata(metadata);
+                if (timing.isDuplicate) {
+                    video.requestVideoFrameCallback(onVideoFrame);
+                    return;
+                }
+                if (timing.droppedBefore > 0) {
+                    console.warn(`Skipped ${timing.droppedBefore} video frame(s) before ${timing.timestamp.toFixed(1)}ms`);
+                }
+
+                const index = pending.length;
+                pending.push(createImageBitmap(video).then(image => {
+                    const frame = {
+                        timestamp: timing.timestamp,
+                        frameNumber: timing.frameNumber,
+                        droppedBefore: timing.droppedBefore,
+                        image: image,
+                        width: image.width,
+                        height: image.height
+                    };
+                    if (onFrame) {
+                        onFrame(frame, index);
+                    }
+                    return frame;
+                }));
+
+                video.requestVideoFrameCallback(onVideoFrame);
+            };
+
+            video.onended = () => finish();
+            video.requestVideoFrameCallback(onVideoFrame);
+            video.play().catch(error => finish(error));
+        });
+    }
+
+    /**
+     * Unload the video and free the object URL
+     */
+    close() {
+        if (this.video) {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video = null;
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+        super.close();
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * App Database
+ * The app's one IndexedDB database. It owns the schema of every object store, so a version
+ * bump upgrades them all, and runs single-request transactions for the stores built on it
+ * (CalibrationStore, SessionStore).
+ */
+
+class AppDatabase {
+    constructor() {
+        this.DB_NAME = 'putting-trainer';
+        this.DB_VERSION = 2;              // 1: calibration profiles, 2: practice sessions
+        this.PROFILE_STORE = 'calibration-profiles';
+        this.SESSION_STORE = 'sessions';
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating or upgrading the object stores as needed
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.PROFILE_STORE)) {
+                        db.createObjectStore(this.PROFILE_STORE, { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains(this.SESSION_STORE)) {
+                        db.createObjectStore(this.SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Don't hold up a newer version opened in another tab
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against an object store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Calibration Store
+ * Keeps named calibration profiles (marker positions, reference patches, marker layout and
+ * scale) in IndexedDB so a practice session can restore its setup instead of re-tapping
+ * the markers after every reload.
+ */
+
+class CalibrationStore {
+    /**
+     * @param {AppDatabase} database - Database holding the profile store
+     */
+    constructor(database) {
+        this.database = database;
+        this.PROFILE_STORE = database.PROFILE_STORE;
+    }
+
+    /**
+     * Save a profile, replacing any profile with the same name
+     * @param {Object} profile - {name, frameWidth, frameHeight, markerPositions, referencePatches, layoutCm, scale}
+     * @returns {Promise<Object>} The stored profile
+     */
+    async saveProfile(profile) {
+        if (!profile.name || !profile.name.trim()) {
+            throw new Error('Profile name is required');
+        }
+        const now = Date.now();
+        const stored = { ...profile, name: profile.name.trim(), savedAt: now, lastUsedAt: now };
+        await this.database.request(this.PROFILE_STORE, 'readwrite', store => store.put(stored));
+        console.log(`Calibration profile saved: ${stored.name}`);
+        return stored;
+    }
+
+    /**
+     * Load a profile by name
+     * @param {string} name - Profile name
+     * @returns {Promise<Object|null>}
+     */
+    async getProfile(name) {
+        const profile = await this.database.request(this.PROFILE_STORE, 'readonly', store => store.get(name));
+        return profile || null;
+    }
+
+    /**
+     * List all profiles, most recently used first
+     * @returns {Promise<Array>}
+     */
+    async listProfiles() {
+        const profiles = await this.database.request(this.PROFILE_STORE, 'readonly', store => store.getAll());
+        return profiles.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    }
+
+    /**
+     * The most recently saved or restored profile
+     * @returns {Promise<Object|null>}
+     */
+    async getLastProfile() {
+        const profiles = await this.listProfiles();
+        return profiles.length > 0 ? profiles[0] : null;
+    }
+
+    /**
+     * Record that a profile was restored, so it is offered first next time
+     * @param {string} name - Profile name
+     */
+    async markUsed(name) {
+        const profile = await this.getProfile(name);
+        if (!profile) return;
+        profile.lastUsedAt = Date.now();
+        await this.database.request(this.PROFILE_STORE, 'readwrite', store => store.put(profile));
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} name - Profile name
+     */
+    async deleteProfile(name) {
+        await this.database.request(this.PROFILE_STORE, 'readwrite', store => store.delete(name));
+        console.log(`Calibration profile deleted: ${name}`);
+    }
+}
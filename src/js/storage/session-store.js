@@ -0,0 +1,76 @@
+/**
+ * Session Store
+ * Keeps practice sessions in IndexedDB: the green speed measured for the session and the
+ * putts hit on it, so putt speeds can be read against the green they were hit on.
+ */
+
+class SessionStore {
+    /**
+     * @param {AppDatabase} database - Database holding the session store
+     */
+    constructor(database) {
+        this.database = database;
+        this.SESSION_STORE = database.SESSION_STORE;
+        this.RESUME_WINDOW_MS = 6 * 60 * 60 * 1000;  // A reload within this time continues the session
+    }
+
+    /**
+     * Continue the latest session if it was used recently, otherwise start a new one
+     * @returns {Promise<Object>} Session {id, startedAt, updatedAt, greenSpeed, putts}
+     */
+    async getCurrentSession() {
+        const sessions = await this.database.request(this.SESSION_STORE, 'readonly', store => store.getAll());
+        const latest = sessions.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+        if (latest && Date.now() - latest.updatedAt < this.RESUME_WINDOW_MS) {
+            console.log(`Continuing session ${latest.id} (${latest.putts.length} putts)`);
+            return latest;
+        }
+        return this.startSession();
+    }
+
+    /**
+     * Start a new session
+     * @returns {Promise<Object>} The new session
+     */
+    async startSession() {
+        const now = Date.now();
+        const session = { startedAt: now, updatedAt: now, greenSpeed: null, putts: [] };
+        session.id = await this.database.request(this.SESSION_STORE, 'readwrite', store => store.add(session));
+        console.log(`Session ${session.id} started`);
+        return session;
+    }
+
+    /**
+     * Store a changed session
+     * @param {Object} session - Session to store
+     * @returns {Promise<Object>} The stored session
+     */
+    async saveSession(session) {
+        session.updatedAt = Date.now();
+        await this.database.request(this.SESSION_STORE, 'readwrite', store => store.put(session));
+        return session;
+    }
+
+    /**
+     * Record the green speed measured for a session
+     * @param {Object} session - Session to update
+     * @param {Object} greenSpeed - Reading from StimpMeter.getReading()
+     * @returns {Promise<Object>} The stored session
+     */
+    async setGreenSpeed(session, greenSpeed) {
+        session.greenSpeed = { ...greenSpeed, measuredAt: Date.now() };
+        console.log(`Session ${session.id}: green speed Stimp ${greenSpeed.stimpFeet.toFixed(1)} ft`);
+        return this.saveSession(session);
+    }
+
+    /**
+     * Add a measured putt to a session
+     * @param {Object} session - Session to update
+     * @param {Object} putt - Putt summary
+     * @returns {Promise<Object>} The stored session
+     */
+    async addPutt(session, putt) {
+        session.putts.push({ ...putt, recordedAt: Date.now() });
+        return this.saveSession(session);
+    }
+}
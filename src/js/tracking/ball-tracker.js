@@ -0,0 +1,432 @@
+/**
+ * Ball Tracker
+ * Associates per-frame ball detections into tracks with a constant-acceleration Kalman filter
+ * (a rolling ball decelerates steadily), gates outliers, bridges short occlusions and
+ * smooths each finished track with a Rauch-Tung-Striebel pass.
+ *
+ * State per track: [x, y, vx, vy, ax, ay] in px, px/s and px/s^2.
+ */
+
+class BallTracker {
+    constructor() {
+        // Motion model
+        this.JERK_NOISE = 2e5;              // Process noise spectral density on acceleration changes (px^2/s^5)
+        this.INITIAL_VELOCITY_STD = 1500;   // px/s; a new track may already be moving
+        this.INITIAL_ACCELERATION_STD = 1000; // px/s^2
+
+        // Association
+        this.GATE = 13.8;                   // Mahalanobis distance^2 (chi-square, 2 dof, 99.9%)
+        this.MAX_MISSES = 6;                // Frames a confirmed track may coast through an occlusion
+        this.MAX_GAP_MS = 200;              // ...or this long, whichever comes first
+        this.MIN_HITS = 3;                  // Detections needed before a track is confirmed
+        this.LINK_MARGIN_PX = 8;            // Slack when joining a resting track to the putt that follows it
+
+        this.tracks = [];
+        this.nextTrackId = 1;
+    }
+
+    /**
+     * Drop all tracks
+     */
+    reset() {
+        this.tracks = [];
+        this.nextTrackId = 1;
+    }
+
+    /**
+     * Process one frame of detections
+     * @param {number} timestamp - Frame timestamp in ms
+     * @param {Array} measurements - Ball measurements {x, y, std} (std: position noise in px)
+     * @param {number} frameNumber - Optional frame number recorded on track points
+     */
+    update(timestamp, measurements, frameNumber = null) {
+        const active = this.tracks.filter(track => track.status === 'tentative' || track.status === 'confirmed');
+
+        // Predict every live track to this frame
+        active.forEach(track => this.predict(track, timestamp));
+
+        // Gated greedy association: closest (Mahalanobis) pairs first
+        const pairs = [];
+        active.forEach(track => {
+            measurements.forEach((measurement, index) => {
+                const distance = this.mahalanobis(track, measurement);
+                if (distance <= this.GATE) {
+                    pairs.push({ track, index, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const usedTracks = new Set();
+        const usedMeasurements = new Set();
+        pairs.forEach(pair => {
+            if (usedTracks.has(pair.track) || usedMeasurements.has(pair.index)) return;
+            usedTracks.add(pair.track);
+            usedMeasurements.add(pair.index);
+            this.correct(pair.track, measurements[pair.index]);
+        });
+
+        // Unmatched tracks coast on their prediction or end
+        active.forEach(track => {
+            const point = track.points[track.points.length - 1];
+            point.frameNumber = frameNumber;
+            if (usedTracks.has(track)) return;
+
+            track.misses++;
+            const gap = timestamp - track.lastMeasuredAt;
+            const limit = track.status === 'confirmed' ? this.MAX_MISSES : 0;
+            if (track.misses > limit || gap > this.MAX_GAP_MS) {
+                this.endTrack(track);
+            }
+        });
+
+        // Unmatched measurements start tentative tracks
+        measurements.forEach((measurement, index) => {
+            if (usedMeasurements.has(index)) return;
+            const track = this.createTrack(timestamp, measurement);
+            track.points[0].frameNumber = frameNumber;
+            this.tracks.push(track);
+        });
+    }
+
+    /**
+     * Start a track at a measurement, at rest with a wide velocity prior
+     * @param {number} timestamp - Frame timestamp in ms
+     * @param {Object} measurement - {x, y, std}
+     * @returns {Object} Track
+     */
+    createTrack(timestamp, measurement) {
+        const positionVariance = measurement.std * measurement.std;
+        const velocityVariance = this.INITIAL_VELOCITY_STD * this.INITIAL_VELOCITY_STD;
+        const accelerationVariance = this.INITIAL_ACCELERATION_STD * this.INITIAL_ACCELERATION_STD;
+
+        const state = Matrix.column([measurement.x, measurement.y, 0, 0, 0, 0]);
+        const covariance = Matrix.zeros(6, 6);
+        covariance[0][0] = covariance[1][1] = positionVariance;
+        covariance[2][2] = covariance[3][3] = velocityVariance;
+        covariance[4][4] = covariance[5][5] = accelerationVariance;
+
+        return {
+            id: this.nextTrackId++,
+            status: 'tentative',
+            hits: 1,
+            misses: 0,
+            lastMeasuredAt: timestamp,
+            state: state,
+            covariance: covariance,
+            points: [{
+                timestamp: timestamp,
+                state: state,
+                covariance: covariance,
+                predictedState: state,
+                predictedCovariance: covariance,
+                transition: Matrix.identity(6),
+                measurement: { x: measurement.x, y: measurement.y, std: measurement.std }
+            }]
+        };
+    }
+
+    /**
+     * Kalman predict step; appends a (coasted) point to the track
+     * @param {Object} track - Track
+     * @param {number} timestamp - Target time in ms
+     */
+    predict(track, timestamp) {
+        const last = track.points[track.points.length - 1];
+        const dt = Math.max(0, (timestamp - last.timestamp) / 1000);
+        const F = this.getTransition(dt);
+        const Q = this.getProcessNoise(dt);
+
+        const state = Matrix.multiply(F, track.state);
+        const covariance = Matrix.add(Matrix.multiply(Matrix.multiply(F, track.covariance), Matrix.transpose(F)), Q);
+
+        track.state = state;
+        track.covariance = covariance;
+        track.points.push({
+            timestamp: timestamp,
+            state: state,
+            covariance: covariance,
+            predictedState: state,
+            predictedCovariance: covariance,
+            transition: F,
+            measurement: null
+        });
+    }
+
+    /**
+     * Kalman update step with a position measurement
+     * @param {Object} track - Track (already predicted to the measurement time)
+     * @param {Object} measurement - {x, y, std}
+     */
+    correct(track, measurement) {
+        const H = this.getObservation();
+        const { innovation, innovationCovariance } = this.getInnovation(track, measurement);
+        const gain = Matrix.multiply(
+            Matrix.multiply(track.covariance, Matrix.transpose(H)),
+            Matrix.inverse(innovationCovariance)
+        );
+
+        const state = Matrix.add(track.state, Matrix.multiply(gain, innovation));
+        // Joseph form keeps the covariance symmetric and positive
+        const R = this.getMeasurementNoise(measurement);
+        const IKH = Matrix.subtract(Matrix.identity(6), Matrix.multiply(gain, H));
+        const covariance = Matrix.add(
+            Matrix.multiply(Matrix.multiply(IKH, track.covariance), Matrix.transpose(IKH)),
+            Matrix.multiply(Matrix.multiply(gain, R), Matrix.transpose(gain))
+        );
+
+        track.state = state;
+        track.covariance = covariance;
+        track.hits++;
+        track.misses = 0;
+        track.lastMeasuredAt = track.points[track.points.length - 1].timestamp;
+        if (track.status === 'tentative' && track.hits >= this.MIN_HITS) {
+            track.status = 'confirmed';
+        }
+
+        const point = track.points[track.points.length - 1];
+        point.state = state;
+        point.covariance = covariance;
+        point.measurement = { x: measurement.x, y: measurement.y, std: measurement.std };
+    }
+
+    /**
+     * Squared Mahalanobis distance between a track's predicted position and a measurement
+     * @param {Object} track - Track (already predicted)
+     * @param {Object} measurement - {x, y, std}
+     * @returns {number}
+     */
+    mahalanobis(track, measurement) {
+        const { innovation, innovationCovariance } = this.getInnovation(track, measurement);
+        const weighted = Matrix.multiply(Matrix.multiply(Matrix.transpose(innovation), Matrix.inverse(innovationCovariance)), innovation);
+        return weighted[0][0];
+    }
+
+    /**
+     * Innovation y = z - Hx and its covariance S = HPH^T + R
+     * @param {Object} track - Track
+     * @param {Object} measurement - {x, y, std}
+     * @returns {Object} {innovation, innovationCovariance}
+     */
+    getInnovation(track, measurement) {
+        const H = this.getObservation();
+        const innovation = Matrix.subtract(Matrix.column([measurement.x, measurement.y]), Matrix.multiply(H, track.state));
+        const innovationCovariance = Matrix.add(
+            Matrix.multiply(Matrix.multiply(H, track.covariance), Matrix.transpose(H)),
+            this.getMeasurementNoise(measurement)
+        );
+        return { innovation, innovationCovariance };
+    }
+
+    /**
+     * Close a track: drop trailing coasted points and smooth it
+     * @param {Object} track - Track
+     */
+    endTrack(track) {
+        while (track.points.length > 1 && !track.points[track.points.length - 1].measurement) {
+            track.points.pop();
+        }
+        track.status = track.status === 'confirmed' ? 'ended' : 'discarded';
+        if (track.status === 'ended') {
+            this.smooth(track);
+        }
+    }
+
+    /**
+     * End all live tracks (call after the last frame)
+     * @returns {Array} Confirmed tracks, smoothed
+     */
+    finish() {
+        this.tracks
+            .filter(track => track.status === 'tentative' || track.status === 'confirmed')
+            .forEach(track => this.endTrack(track));
+        this.tracks = this.tracks.filter(track => track.status === 'ended');
+        return this.tracks;
+    }
+
+    /**
+     * Rauch-Tung-Striebel fixed-interval smoother over a track's points
+     * @param {Object} track - Ended track
+     */
+    smooth(track) {
+        const points = track.points;
+        const last = points[points.length - 1];
+        last.smoothedState = last.state;
+        last.smoothedCovariance = last.covariance;
+
+        for (let k = points.length - 2; k >= 0; k--) {
+            const current = points[k];
+            const next = points[k + 1];
+            let gain;
+            try {
+                gain = Matrix.multiply(
+                    Matrix.multiply(current.covariance, Matrix.transpose(next.transition)),
+                    Matrix.inverse(next.predictedCovariance)
+                );
+            } catch (error) {
+                // Zero time step (duplicate timestamp): nothing to propagate
+                current.smoothedState = current.state;
+                current.smoothedCovariance = current.covariance;
+                continue;
+            }
+
+            current.smoothedState = Matrix.add(
+                current.state,
+                Matrix.multiply(gain, Matrix.subtract(next.smoothedState, next.predictedState))
+            );
+            current.smoothedCovariance = Matrix.add(
+                current.covariance,
+                Matrix.multiply(
+                    Matrix.multiply(gain, Matrix.subtract(next.smoothedCovariance, next.predictedCovariance)),
+                    Matrix.transpose(gain)
+                )
+            );
+        }
+    }
+
+    /**
+     * Smoothed trajectory of a track
+     * @param {Object} track - Ended track
+     * @returns {Array} Points {timestamp, frameNumber, x, y, vx, vy, ax, ay, covariance (2x2 position), measured,
+     *                  measurement: the detection {x, y, std} linked to the point, or null when coasted}
+     */
+    getTrajectory(track) {
+        return track.points.map(point => {
+            const state = point.smoothedState || point.state;
+            const covariance = point.smoothedCovariance || point.covariance;
+            return {
+                timestamp: point.timestamp,
+                frameNumber: point.frameNumber,
+                x: state[0][0],
+                y: state[1][0],
+                vx: state[2][0],
+                vy: state[3][0],
+                ax: state[4][0],
+                ay: state[5][0],
+                covariance: [
+                    [covariance[0][0], covariance[0][1]],
+                    [covariance[1][0], covariance[1][1]]
+                ],
+                measured: point.measurement !== null,
+                measurement: point.measurement
+            };
+        });
+    }
+
+    /**
+     * The track most likely to be the putted ball: the one that travelled furthest
+     * @returns {Object|null} Ended track
+     */
+    getPrimaryTrack() {
+        let best = null;
+        let bestDistance = -1;
+        this.tracks.forEach(track => {
+            if (track.status !== 'ended') return;
+            const measured = track.points.filter(point => point.measurement);
+            const first = measured[0].measurement;
+            const last = measured[measured.length - 1].measurement;
+            const distance = Math.hypot(last.x - first.x, last.y - first.y);
+            if (distance > bestDistance) {
+                best = track;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * The track that ended where another one started: a ball at rest followed by the putt.
+     * The stroke changes the velocity too abruptly for the filter to follow, so the resting
+     * ball and the rolling ball end up in separate tracks.
+     * @param {Object} track - Ended track
+     * @returns {Object|null} Ended track whose last sighting the ball could have reached the first one from
+     */
+    getPrecedingTrack(track) {
+        const start = track.points.find(point => point.measurement);
+        const startState = track.points[0].smoothedState || track.points[0].state;
+        const speed = Math.hypot(startState[2][0], startState[3][0]);
+
+        let best = null;
+        this.tracks.forEach(other => {
+            if (other === track || other.status !== 'ended') return;
+            const measured = other.points.filter(point => point.measurement);
+            const end = measured[measured.length - 1];
+            const gap = start.timestamp - end.timestamp;
+            if (gap <= 0 || gap > this.MAX_GAP_MS) return;
+
+            // Between the two sightings the ball can't have covered more than the launch speed allows
+            const distance = Math.hypot(start.measurement.x - end.measurement.x, start.measurement.y - end.measurement.y);
+            if (distance > speed * gap / 1000 + this.LINK_MARGIN_PX) return;
+            if (!best || end.timestamp > best.end.timestamp) {
+                best = { track: other, end: end };
+            }
+        });
+        return best ? best.track : null;
+    }
+
+    /**
+     * Constant-acceleration transition matrix
+     * @param {number} dt - Time step in seconds
+     * @returns {Array<Array<number>>} 6x6
+     */
+    getTransition(dt) {
+        const F = Matrix.identity(6);
+        F[0][2] = F[1][3] = dt;
+        F[2][4] = F[3][5] = dt;
+        F[0][4] = F[1][5] = 0.5 * dt * dt;
+        return F;
+    }
+
+    /**
+     * Process noise for a white-jerk constant-acceleration model
+     * @param {number} dt - Time step in seconds
+     * @returns {Array<Array<number>>} 6x6
+     */
+    getProcessNoise(dt) {
+        const q = this.JERK_NOISE;
+        const dt2 = dt * dt;
+        const dt3 = dt2 * dt;
+        const dt4 = dt3 * dt;
+        const dt5 = dt4 * dt;
+        // Per-axis block over (position, velocity, acceleration)
+        const block = [
+            [dt5 / 20, dt4 / 8, dt3 / 6],
+            [dt4 / 8, dt3 / 3, dt2 / 2],
+            [dt3 / 6, dt2 / 2, dt]
+        ];
+
+        const Q = Matrix.zeros(6, 6);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                // x uses indices 0, 2, 4 and y uses 1, 3, 5
+                Q[2 * i][2 * j] = q * block[i][j];
+                Q[2 * i + 1][2 * j + 1] = q * block[i][j];
+            }
+        }
+        return Q;
+    }
+
+    /**
+     * Observation matrix: position only
+     * @returns {Array<Array<number>>} 2x6
+     */
+    getObservation() {
+        return [
+            [1, 0, 0, 0, 0, 0],
+            [0, 1, 0, 0, 0, 0]
+        ];
+    }
+
+    /**
+     * Measurement noise
+     * @param {Object} measurement - {std} position noise in px
+     * @returns {Array<Array<number>>} 2x2
+     */
+    getMeasurementNoise(measurement) {
+        const variance = measurement.std * measurement.std;
+        return [
+            [variance, 0],
+            [0, variance]
+        ];
+    }
+}
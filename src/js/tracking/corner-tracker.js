@@ -4,12 +4,28 @@
  */
 
 class CornerTracker {
-    constructor(debugMode = true) {
+    /**
+     * @param {boolean} debugMode - Draw search regions and detected corners
+     * @param {string} trackingMode - 'template' (pyramid NCC, sub-pixel) or 'corners' (FAST corner matching)
+     */
+    constructor(debugMode = true, trackingMode = 'template') {
         this.markerRegions = [];        // Stored reference regions around each marker
         this.referenceCorners = [];     // Corner features for each region
         this.currentPositions = [];     // Current tracked positions
         this.lastKnownPositions = [];   // Last known good positions
         this.trackingQuality = [];      // Quality scores for each marker
+        this.referencePositions = [];   // Positions at setup, used to predict missing markers
+        
+        // Per-marker tracking state: 'tracking' (found, good match), 'degraded' (weak match or
+        // briefly missed) or 'lost' (missed for LOST_AFTER_MISSES frames, needs re-acquisition)
+        this.markerStates = [];
+        this.missCounts = [];
+        this.markerScales = [];         // Template scale found at the last re-acquisition
+        this.frameCount = 0;
+        this.GOOD_QUALITY = 0.75;
+        this.LOST_AFTER_MISSES = 5;
+        this.REACQUIRE_INTERVAL = 10;   // Frames between wide searches; at most one marker per search
+        this.PATCH_HALF = 72;           // Saved reference patch half-size; covers a template and its margin
         
         // Tuned configuration
         this.regionSize = 120;           // Even larger region
@@ -17,6 +33,10 @@ class CornerTracker {
         this.cornerThreshold = 0.0001;   // Even lower threshold
         this.matchThreshold = 0.4;       // Lower match threshold
         
+        // Template mode: coarse-to-fine NCC, cheap enough for every live frame
+        this.trackingMode = trackingMode;
+        this.templateTracker = new TemplateTracker();
+        
         // Debug
         this.debugMode = debugMode;
         this.lastDebugCorners = [];
@@ -26,7 +46,7 @@ class CornerTracker {
         this.isSetup = false;
         this.setupImageData = null;
         
-        console.log('CornerTracker initialized (debugMode:', debugMode, ')');
+        console.log('CornerTracker initialized (debugMode:', debugMode, ', mode:', trackingMode, ')');
     }
     
     /**
@@ -45,7 +65,24 @@ class CornerTracker {
         this.currentPositions = [...points];
         this.lastKnownPositions = [...points];
         this.trackingQuality = [1.0, 1.0, 1.0, 1.0];
+        this.referencePositions = points.map(point => ({ x: point.x, y: point.y }));
+        this.markerStates = points.map(() => 'tracking');
+        this.missCounts = points.map(() => 0);
+        this.markerScales = points.map(() => 1);
+        this.frameCount = 0;
         this.lastDebugRegions = [];
+        
+        if (this.trackingMode === 'template') {
+            this.templateTracker.setTemplates(imageData, points);
+            if (this.debugMode) {
+                const size = 2 * this.templateTracker.SEARCH_RADIUS;
+                this.lastDebugRegions = points.map(point => ({ x: point.x, y: point.y, w: size, h: size }));
+            }
+            this.isSetup = true;
+            console.log('Marker setup complete (template tracking)');
+            return;
+        }
+        
         points.forEach((point, index) => {
             try {
                 const region = this.extractRegion(imageData, point.x, point.y);
@@ -81,33 +118,170 @@ class CornerTracker {
             console.warn('Markers not set up yet');
             return [];
         }
-        const results = [];
-        this.currentPositions.forEach((lastPos, index) => {
-            try {
-                const result = this.trackSingleMarker(imageData, index, lastPos);
-                results.push(result);
-                if (result.found) {
-                    this.currentPositions[index] = { x: result.x, y: result.y };
-                    this.lastKnownPositions[index] = { x: result.x, y: result.y };
-                    this.trackingQuality[index] = result.quality;
-                } else {
-                    this.trackingQuality[index] *= 0.8;
+        this.frameCount++;
+        
+        // Markers still held are searched around their current position
+        const results = this.currentPositions.map((lastPos, index) =>
+            this.markerStates[index] === 'lost' ? null : this.trackMarker(imageData, index, lastPos)
+        );
+        
+        // Missed markers move with the ones found this frame; lost ones also get a wide search
+        let reacquired = false;
+        results.forEach((result, index) => {
+            if (result && result.found) return;
+            
+            const predicted = this.predictPosition(index, results) || this.currentPositions[index];
+            if (this.markerStates[index] === 'lost') {
+                // Cheap local search where the other markers say it must be, every frame
+                result = this.trackMarker(imageData, index, predicted);
+                
+                // One wide search per interval keeps lost markers from stalling the live view
+                if (!result.found && !reacquired && this.frameCount % this.REACQUIRE_INTERVAL === 0) {
+                    result = this.reacquireMarker(imageData, index, predicted);
+                    reacquired = true;
                 }
-            } catch (error) {
-                console.error(`Error tracking marker ${index + 1}:`, error);
-                results.push({
+            }
+            
+            if (!result || !result.found) {
+                result = {
                     index: index,
                     found: false,
-                    x: lastPos.x,
-                    y: lastPos.y,
-                    quality: 0
-                });
-                this.trackingQuality[index] = 0;
+                    x: predicted.x,
+                    y: predicted.y,
+                    quality: result ? result.quality : 0
+                };
             }
+            results[index] = result;
         });
+        
+        results.forEach((result, index) => this.updateMarkerState(index, result));
         return results;
     }
     
+    /**
+     * Search for one marker around a position with the active tracking mode
+     * @param {ImageData} imageData - Current frame
+     * @param {number} index - Marker index
+     * @param {Object} position - Search center {x, y}
+     * @returns {Object} Tracking result {index, found, x, y, quality}
+     */
+    trackMarker(imageData, index, position) {
+        try {
+            return this.trackingMode === 'template'
+                ? { index: index, ...this.templateTracker.track(imageData, index, position, this.markerScales[index]) }
+                : this.trackSingleMarker(imageData, index, position);
+        } catch (error) {
+            console.error(`Error tracking marker ${index + 1}:`, error);
+            return { index: index, found: false, x: position.x, y: position.y, quality: 0 };
+        }
+    }
+    
+    /**
+     * Wide, multi-scale search for a lost marker against its stored reference
+     * @param {ImageData} imageData - Current frame
+     * @param {number} index - Marker index
+     * @param {Object} center - Predicted position {x, y}
+     * @returns {Object} Tracking result {index, found, x, y, quality}
+     */
+    reacquireMarker(imageData, index, center) {
+        if (this.trackingMode !== 'template') {
+            // Corner matching has no wide search; look around the predicted position instead
+            return this.trackMarker(imageData, index, center);
+        }
+        
+        try {
+            const result = this.templateTracker.reacquire(imageData, index, center);
+            if (result.found) {
+                this.markerScales[index] = result.scale;
+                console.log(`Marker ${index + 1} re-acquired at (${result.x.toFixed(1)}, ${result.y.toFixed(1)}), ` +
+                    `scale ${result.scale}, quality ${result.quality.toFixed(2)}`);
+            }
+            return { index: index, found: result.found, x: result.x, y: result.y, quality: result.quality };
+        } catch (error) {
+            console.error(`Error re-acquiring marker ${index + 1}:`, error);
+            return { index: index, found: false, x: center.x, y: center.y, quality: 0 };
+        }
+    }
+    
+    /**
+     * Predict where a marker must be from the markers found this frame, by mapping their
+     * setup positions onto their current ones: affine with three or more, similarity with
+     * two, translation with one
+     * @param {number} index - Marker to predict
+     * @param {Array} results - This frame's results (null for markers not searched)
+     * @returns {Object|null} Predicted {x, y}, or null if no other marker was found
+     */
+    predictPosition(index, results) {
+        const anchors = [];
+        results.forEach((result, i) => {
+            if (i !== index && result && result.found) {
+                anchors.push({ from: this.referencePositions[i], to: result });
+            }
+        });
+        const reference = this.referencePositions[index];
+        
+        if (anchors.length >= 3) {
+            const design = anchors.map(anchor => [anchor.from.x, anchor.from.y, 1]);
+            try {
+                const fitX = Matrix.leastSquares(design, anchors.map(anchor => anchor.to.x));
+                const fitY = Matrix.leastSquares(design, anchors.map(anchor => anchor.to.y));
+                const apply = c => c[0] * reference.x + c[1] * reference.y + c[2];
+                return { x: apply(fitX.coefficients), y: apply(fitY.coefficients) };
+            } catch (error) {
+                // Collinear anchors: fall through to the two-point prediction
+            }
+        }
+        
+        if (anchors.length >= 2) {
+            // Similarity as complex numbers: to = a * from + b
+            const [p, q] = anchors;
+            const fx = q.from.x - p.from.x;
+            const fy = q.from.y - p.from.y;
+            const tx = q.to.x - p.to.x;
+            const ty = q.to.y - p.to.y;
+            const denominator = fx * fx + fy * fy;
+            if (denominator > 0) {
+                const ax = (tx * fx + ty * fy) / denominator;
+                const ay = (ty * fx - tx * fy) / denominator;
+                const dx = reference.x - p.from.x;
+                const dy = reference.y - p.from.y;
+                return { x: p.to.x + ax * dx - ay * dy, y: p.to.y + ax * dy + ay * dx };
+            }
+        }
+        
+        if (anchors.length >= 1) {
+            const [p] = anchors;
+            return { x: reference.x + p.to.x - p.from.x, y: reference.y + p.to.y - p.from.y };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Update a marker's position, quality and tracking state from this frame's result
+     * @param {number} index - Marker index
+     * @param {Object} result - Tracking result; when not found, x and y are the predicted position
+     */
+    updateMarkerState(index, result) {
+        const previous = this.markerStates[index];
+        this.currentPositions[index] = { x: result.x, y: result.y };
+        
+        if (result.found) {
+            this.lastKnownPositions[index] = { x: result.x, y: result.y };
+            this.trackingQuality[index] = result.quality;
+            this.missCounts[index] = 0;
+            this.markerStates[index] = result.quality >= this.GOOD_QUALITY ? 'tracking' : 'degraded';
+        } else {
+            this.trackingQuality[index] *= 0.8;
+            this.missCounts[index]++;
+            this.markerStates[index] = this.missCounts[index] >= this.LOST_AFTER_MISSES ? 'lost' : 'degraded';
+        }
+        
+        if (this.markerStates[index] !== previous) {
+            console.log(`Marker ${index + 1}: ${previous} -> ${this.markerStates[index]}`);
+        }
+    }
+    
     /**
      * Track a single marker
      * @param {ImageData} imageData - Current frame
@@ -356,7 +530,12 @@ class CornerTracker {
             ctx.arc(pos.x, pos.y, 18, 0, 2 * Math.PI);
             ctx.strokeStyle = color;
             ctx.lineWidth = quality > 0.5 ? 3 : 2;
+            // Dashed ring: the marker wasn't seen and this is its predicted position
+            if (this.markerStates[index] === 'lost' || this.missCounts[index] > 0) {
+                ctx.setLineDash([4, 4]);
+            }
             ctx.stroke();
+            ctx.setLineDash([]);
             ctx.beginPath();
             ctx.arc(pos.x, pos.y, 8, 0, 2 * Math.PI);
             ctx.fillStyle = color;
@@ -408,6 +587,83 @@ class CornerTracker {
         return [...this.trackingQuality];
     }
     
+    /**
+     * Get per-marker tracking states
+     * @returns {Array} 'tracking', 'degraded' or 'lost' for each marker
+     */
+    getMarkerStates() {
+        return [...this.markerStates];
+    }
+    
+    /**
+     * Copy the pixels around each marker from the setup frame, so the setup can be saved
+     * and checked against a later frame
+     * @returns {Array} Per marker {originX, originY, width, height, data: Uint8ClampedArray}
+     */
+    getReferencePatches() {
+        if (!this.isSetup || !this.setupImageData) {
+            throw new Error('Markers are not set up');
+        }
+        const image = this.setupImageData;
+        return this.referencePositions.map(position => {
+            const originX = Math.max(0, Math.round(position.x) - this.PATCH_HALF);
+            const originY = Math.max(0, Math.round(position.y) - this.PATCH_HALF);
+            const width = Math.min(image.width, Math.round(position.x) + this.PATCH_HALF + 1) - originX;
+            const height = Math.min(image.height, Math.round(position.y) + this.PATCH_HALF + 1) - originY;
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                const start = ((originY + y) * image.width + originX) * 4;
+                data.set(image.data.subarray(start, start + width * 4), y * width * 4);
+            }
+            return { originX, originY, width, height, data };
+        });
+    }
+    
+    /**
+     * Check saved marker patches against a frame: every marker must be found near its
+     * saved position with a good template match before the saved setup is trusted
+     * @param {Array} points - Saved marker {x, y} positions
+     * @param {Array} patches - Patches from getReferencePatches()
+     * @param {ImageData} imageData - Current frame
+     * @returns {Object} {verified, reason, positions, qualities}
+     */
+    verifyReferencePatches(points, patches, imageData) {
+        // Rebuild the parts of the setup frame around the markers
+        const reference = new ImageData(imageData.width, imageData.height);
+        patches.forEach(patch => {
+            for (let y = 0; y < patch.height; y++) {
+                const targetY = patch.originY + y;
+                if (targetY >= reference.height) break;
+                const width = Math.min(patch.width, reference.width - patch.originX);
+                const row = patch.data.subarray(y * patch.width * 4, (y * patch.width + width) * 4);
+                reference.data.set(row, (targetY * reference.width + patch.originX) * 4);
+            }
+        });
+        
+        const verifier = new TemplateTracker();
+        verifier.setTemplates(reference, points);
+        const results = points.map((point, index) => verifier.templates[index]
+            ? verifier.track(imageData, index, point)
+            : { found: false, x: point.x, y: point.y, quality: 0 });
+        
+        const positions = results.map(result => ({ x: result.x, y: result.y }));
+        const qualities = results.map(result => result.quality);
+        const missing = results
+            .map((result, index) => (result.found && result.quality >= this.GOOD_QUALITY ? null : index + 1))
+            .filter(index => index !== null);
+        
+        let reason = null;
+        if (missing.length > 0) {
+            reason = `Marker${missing.length > 1 ? 's' : ''} ${missing.join(', ')} not found where saved`;
+        } else if (!GroundPlaneCalibration.isConvex(positions)) {
+            reason = 'Markers no longer form a quadrilateral';
+        }
+        
+        console.log(`Saved markers checked against the live frame: ${qualities.map(q => q.toFixed(2)).join(', ')}` +
+            (reason ? ` (${reason})` : ''));
+        return { verified: reason === null, reason, positions, qualities };
+    }
+    
     /**
      * Check if tracking is active
      * @returns {boolean}
@@ -426,7 +682,12 @@ class CornerTracker {
         this.currentPositions = [];
         this.lastKnownPositions = [];
         this.trackingQuality = [];
+        this.referencePositions = [];
+        this.markerStates = [];
+        this.missCounts = [];
+        this.markerScales = [];
         this.setupImageData = null;
+        this.templateTracker.reset();
         console.log('Corner tracking reset');
     }
 } 
\ No newline at end of file
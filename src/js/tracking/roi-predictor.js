@@ -0,0 +1,78 @@
+/**
+ * ROI Predictor
+ * Predicts where the ball will be in the next frame from its recent positions and
+ * returns a crop around that point, so detection can run at native resolution
+ */
+
+class RoiPredictor {
+    constructor() {
+        this.history = [];              // Recent {timestamp, x, y} ball positions, oldest first
+        this.HISTORY_SIZE = 3;
+        this.MAX_PREDICT_GAP_MS = 250;  // Don't extrapolate further than this past the last sighting
+    }
+
+    /**
+     * Record a ball position
+     * @param {number} timestamp - Frame timestamp in ms
+     * @param {Object} position - Ball center {x, y} in frame pixels
+     */
+    update(timestamp, position) {
+        this.history.push({ timestamp, x: position.x, y: position.y });
+        if (this.history.length > this.HISTORY_SIZE) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Forget the ball (it was lost), so the next frame falls back to a full-frame search
+     */
+    reset() {
+        this.history = [];
+    }
+
+    /**
+     * Predict the ball center at a given time with a constant-velocity model
+     * @param {number} timestamp - Frame timestamp in ms
+     * @returns {Object|null} Predicted {x, y}, or null without a recent sighting
+     */
+    predict(timestamp) {
+        if (this.history.length === 0) return null;
+
+        const last = this.history[this.history.length - 1];
+        const gap = timestamp - last.timestamp;
+        if (gap < 0 || gap > this.MAX_PREDICT_GAP_MS) return null;
+        if (this.history.length === 1) return { x: last.x, y: last.y };
+
+        const first = this.history[0];
+        const span = last.timestamp - first.timestamp;
+        if (span <= 0) return { x: last.x, y: last.y };
+
+        return {
+            x: last.x + ((last.x - first.x) / span) * gap,
+            y: last.y + ((last.y - first.y) / span) * gap
+        };
+    }
+
+    /**
+     * Crop rectangle around the predicted ball position, kept inside the frame
+     * @param {number} timestamp - Frame timestamp in ms
+     * @param {number} frameWidth - Frame width in pixels
+     * @param {number} frameHeight - Frame height in pixels
+     * @param {Object} size - Crop {width, height}; the detector input size gives a 1:1 crop
+     * @returns {Object|null} Integer {x, y, width, height}, or null to search the full frame
+     */
+    getRoi(timestamp, frameWidth, frameHeight, size) {
+        const center = this.predict(timestamp);
+        if (!center || !size || !size.width || !size.height) return null;
+
+        // A crop as large as the frame gains nothing over the letterboxed full frame
+        if (size.width >= frameWidth && size.height >= frameHeight) return null;
+
+        const width = Math.min(size.width, frameWidth);
+        const height = Math.min(size.height, frameHeight);
+        const x = Math.round(Math.min(Math.max(center.x - width / 2, 0), frameWidth - width));
+        const y = Math.round(Math.min(Math.max(center.y - height / 2, 0), frameHeight - height));
+
+        return { x, y, width, height };
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Stability Monitor
+ * Keeps a short history of the tracked marker positions from the live view and detects
+ * coherent marker shifts (camera shake, a bumped tripod) over a time window, so putts
+ * recorded while the camera moved can be compensated or flagged.
+ */
+
+class StabilityMonitor {
+    constructor() {
+        this.samples = [];              // {time, positions: [{x, y}], valid: [boolean]}, oldest first
+        this.HISTORY_MS = 15000;        // Keep enough history to cover a full recording
+        this.MOTION_THRESHOLD_PX = 3;   // Coherent marker shift above this means the camera moved
+        this.MIN_MARKERS = 3;           // Markers needed in both samples to measure a shift
+        this.MAX_SAMPLE_GAP_MS = 200;   // Don't interpolate marker positions across longer gaps
+    }
+
+    /**
+     * Record the marker positions of a live frame
+     * @param {number} time - Page-clock time of the frame (performance.now())
+     * @param {Array} positions - Marker {x, y} positions
+     * @param {Array} states - Marker tracking states ('tracking', 'degraded', 'lost')
+     */
+    addSample(time, positions, states) {
+        this.samples.push({
+            time: time,
+            positions: positions.map(position => ({ x: position.x, y: position.y })),
+            valid: positions.map((_, index) => states[index] !== 'lost')
+        });
+
+        while (this.samples.length > 0 && this.samples[0].time < time - this.HISTORY_MS) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Forget the history (markers were set up again)
+     */
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Measure coherent marker movement over a time window
+     * @param {number} fromTime - Window start (page clock, ms)
+     * @param {number} toTime - Window end (page clock, ms)
+     * @returns {Object|null} {moved, maxShiftPx, sampleCount}, or null without marker samples in the window
+     */
+    getMotion(fromTime, toTime) {
+        const window = this.samples.filter(sample => sample.time >= fromTime && sample.time <= toTime);
+        if (window.length < 2) return null;
+
+        const reference = window[0];
+        let maxShiftPx = 0;
+        let measured = 0;
+        for (let i = 1; i < window.length; i++) {
+            const shift = this.getShift(reference, window[i]);
+            if (!shift) continue;
+            measured++;
+            maxShiftPx = Math.max(maxShiftPx, Math.hypot(shift.x, shift.y));
+        }
+        if (measured === 0) return null;
+
+        return {
+            moved: maxShiftPx > this.MOTION_THRESHOLD_PX,
+            maxShiftPx: maxShiftPx,
+            sampleCount: window.length
+        };
+    }
+
+    /**
+     * Mean displacement of the markers seen in both samples
+     * @param {Object} from - Earlier sample
+     * @param {Object} to - Later sample
+     * @returns {Object|null} {x, y} in pixels, or null with too few common markers
+     */
+    getShift(from, to) {
+        let x = 0;
+        let y = 0;
+        let count = 0;
+        from.positions.forEach((position, index) => {
+            if (!from.valid[index] || !to.valid[index]) return;
+            x += to.positions[index].x - position.x;
+            y += to.positions[index].y - position.y;
+            count++;
+        });
+        return count >= this.MIN_MARKERS ? { x: x / count, y: y / count } : null;
+    }
+
+    /**
+     * Marker positions at a time, interpolated between the surrounding samples
+     * @param {number} time - Page-clock time (ms)
+     * @returns {Array|null} Marker {x, y} positions, or null if the markers weren't all tracked then
+     */
+    getPositionsAt(time) {
+        const after = this.samples.findIndex(sample => sample.time >= time);
+        if (after === -1) return null;
+
+        const next = this.samples[after];
+        const previous = after > 0 ? this.samples[after - 1] : next;
+        if (next.time - previous.time > this.MAX_SAMPLE_GAP_MS) return null;
+        if (previous === next && next.time - time > this.MAX_SAMPLE_GAP_MS) return null;
+        if (!previous.valid.every(Boolean) || !next.valid.every(Boolean)) return null;
+
+        const span = next.time - previous.time;
+        const t = span > 0 ? (time - previous.time) / span : 0;
+        return previous.positions.map((position, index) => ({
+            x: position.x + (next.positions[index].x - position.x) * t,
+            y: position.y + (next.positions[index].y - position.y) * t
+        }));
+    }
+}
@@ -0,0 +1,360 @@
+/**
+ * Template Tracker
+ * Tracks points by normalized cross-correlation of grayscale templates on image pyramids:
+ * a wide search at the coarsest level, a small refinement at each finer level and a
+ * sub-pixel peak fit at full resolution. Only a crop around each point is converted and
+ * downsampled per frame, so several points can be tracked at camera frame rate.
+ */
+
+class TemplateTracker {
+    constructor() {
+        this.LEVELS = 3;                 // Pyramid levels (full resolution, 1/2, 1/4)
+        this.TEMPLATE_HALF = 10;         // Template is (2 * half + 1)^2 pixels at every level
+        this.SEARCH_RADIUS = 60;         // px at full resolution around the last position
+        this.REFINE_RADIUS = 2;          // px searched at each finer level
+        this.MIN_SCORE = 0.6;            // NCC below this counts as lost
+
+        // Re-acquisition of lost points: a much wider search, at several template scales in
+        // case the camera moved closer or further away, on a coarse grid at the top level
+        this.REACQUIRE_RADIUS = 240;
+        this.REACQUIRE_SCALES = [0.8, 1, 1.25];
+        this.REACQUIRE_STEP = 2;
+
+        this.templates = [];             // Per point: {reference, centers, offsetX, offsetY, scales} or null
+    }
+
+    /**
+     * Store templates around each point from a reference frame
+     * @param {ImageData} imageData - Reference frame
+     * @param {Array} points - {x, y} points to track, in image pixels
+     */
+    setTemplates(imageData, points) {
+        this.templates = points.map((point, index) => {
+            try {
+                return this.createTemplate(imageData, point);
+            } catch (error) {
+                console.error(`Error creating template ${index + 1}:`, error);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Forget all templates
+     */
+    reset() {
+        this.templates = [];
+    }
+
+    /**
+     * Build the template pyramid for one point, keeping the reference crop so scaled
+     * templates can be sampled later for re-acquisition
+     * @param {ImageData} imageData - Reference frame
+     * @param {Object} point - {x, y} in image pixels
+     * @returns {Object} {reference, centers, offsetX, offsetY, scales}
+     */
+    createTemplate(imageData, point) {
+        const centerX = Math.round(point.x);
+        const centerY = Math.round(point.y);
+        const topScale = 1 << (this.LEVELS - 1);
+        // A point that now looks smaller needs a larger area of the reference frame
+        const minScale = Math.min(...this.REACQUIRE_SCALES);
+        const margin = Math.ceil(this.TEMPLATE_HALF * topScale * Math.max(0, 1 / minScale - 1)) + topScale;
+        const reference = this.buildPyramid(imageData, centerX, centerY, margin);
+
+        const template = {
+            reference: reference,
+            centers: reference.map((level, l) => ({
+                x: Math.round(centerX / (1 << l)) - level.originX,
+                y: Math.round(centerY / (1 << l)) - level.originY
+            })),
+            // Sub-pixel part of the point, restored after matching at integer positions
+            offsetX: point.x - centerX,
+            offsetY: point.y - centerY,
+            scales: new Map()
+        };
+        if (!this.getTemplateLevels(template, 1)) {
+            throw new Error('Point is too close to the image border');
+        }
+        return template;
+    }
+
+    /**
+     * Template pyramid at a scale, sampled from the reference crop on first use
+     * @param {Object} template - Template from createTemplate()
+     * @param {number} scale - Size of the point now relative to the reference frame
+     * @returns {Array|null} Per-level templates, or null if the scaled template doesn't fit the crop
+     */
+    getTemplateLevels(template, scale) {
+        if (!template.scales.has(scale)) {
+            const levels = template.reference.map((level, l) =>
+                this.extractTemplate(level, template.centers[l].x, template.centers[l].y, scale)
+            );
+            template.scales.set(scale, levels.some(level => !level) ? null : levels);
+        }
+        return template.scales.get(scale);
+    }
+
+    /**
+     * Find a point in a new frame
+     * @param {ImageData} imageData - Current frame
+     * @param {number} index - Point index
+     * @param {Object} lastPosition - Last known {x, y}
+     * @returns {Object} {found, x, y, quality}: sub-pixel position and NCC peak score (0-1)
+     */
+    track(imageData, index, lastPosition, scale = 1) {
+        const result = this.match(imageData, index, lastPosition, this.SEARCH_RADIUS, scale, 1);
+        if (!result || result.quality < this.MIN_SCORE) {
+            return { found: false, x: lastPosition.x, y: lastPosition.y, quality: result ? result.quality : 0 };
+        }
+        return { found: true, x: result.x, y: result.y, quality: result.quality };
+    }
+
+    /**
+     * Search for a lost point over a wide area and several template scales
+     * @param {ImageData} imageData - Current frame
+     * @param {number} index - Point index
+     * @param {Object} center - Where the point is expected {x, y}
+     * @returns {Object} {found, x, y, quality, scale}
+     */
+    reacquire(imageData, index, center) {
+        let best = null;
+        for (const scale of this.REACQUIRE_SCALES) {
+            const result = this.match(imageData, index, center, this.REACQUIRE_RADIUS, scale, this.REACQUIRE_STEP);
+            if (result && (!best || result.quality > best.quality)) {
+                best = { ...result, scale: scale };
+            }
+        }
+
+        if (!best || best.quality < this.MIN_SCORE) {
+            return { found: false, x: center.x, y: center.y, quality: best ? best.quality : 0, scale: 1 };
+        }
+        return { found: true, ...best };
+    }
+
+    /**
+     * Coarse-to-fine NCC match of one point's template
+     * @param {ImageData} imageData - Current frame
+     * @param {number} index - Point index
+     * @param {Object} center - Search center {x, y} in image pixels
+     * @param {number} radius - Search radius in full-resolution pixels
+     * @param {number} scale - Template scale
+     * @param {number} step - Grid step of the top-level search
+     * @returns {Object|null} {x, y, quality} with a sub-pixel position, or null if the template doesn't fit
+     */
+    match(imageData, index, center, radius, scale, step) {
+        const template = this.templates[index];
+        const levels = template ? this.getTemplateLevels(template, scale) : null;
+        if (!levels) return null;
+
+        const offsetX = template.offsetX * scale;
+        const offsetY = template.offsetY * scale;
+        const startX = Math.round(center.x - offsetX);
+        const startY = Math.round(center.y - offsetY);
+        const pyramid = this.buildPyramid(imageData, startX, startY, radius);
+
+        // Search the whole window at the coarsest level, then refine level by level
+        const top = this.LEVELS - 1;
+        let x = Math.round(startX / (1 << top)) - pyramid[top].originX;
+        let y = Math.round(startY / (1 << top)) - pyramid[top].originY;
+        let best = this.search(pyramid[top], levels[top], x, y, Math.ceil(radius / (1 << top)), step);
+        if (best && step > 1) {
+            best = this.search(pyramid[top], levels[top], best.x, best.y, step - 1, 1);
+        }
+
+        for (let l = top - 1; l >= 0 && best; l--) {
+            // Back to absolute coordinates at this level, then into its crop
+            x = (best.x + pyramid[l + 1].originX) * 2 - pyramid[l].originX;
+            y = (best.y + pyramid[l + 1].originY) * 2 - pyramid[l].originY;
+            best = this.search(pyramid[l], levels[l], x, y, this.REFINE_RADIUS, 1);
+        }
+        if (!best) return null;
+
+        const subpixel = this.refinePeak(pyramid[0], levels[0], best);
+        return {
+            x: best.x + pyramid[0].originX + subpixel.x + offsetX,
+            y: best.y + pyramid[0].originY + subpixel.y + offsetY,
+            quality: Math.max(0, Math.min(1, best.score))
+        };
+    }
+
+    /**
+     * Grayscale pyramid of the crop around a point
+     * @param {ImageData} imageData - Source frame
+     * @param {number} centerX - Crop center x
+     * @param {number} centerY - Crop center y
+     * @param {number} searchRadius - Extra margin for the search, in full-resolution pixels
+     * @returns {Array} Levels {data: Float32Array, width, height, originX, originY}; origins are in that level's pixels
+     */
+    buildPyramid(imageData, centerX, centerY, searchRadius) {
+        const scale = 1 << (this.LEVELS - 1);
+        // Template reach at the coarsest level plus the search margin, rounded to the coarsest grid
+        const half = Math.ceil(((this.TEMPLATE_HALF + 1) * scale + searchRadius) / scale) * scale;
+        const left = Math.max(0, Math.floor((centerX - half) / scale) * scale);
+        const top = Math.max(0, Math.floor((centerY - half) / scale) * scale);
+        const right = Math.min(imageData.width, centerX + half + scale);
+        const bottom = Math.min(imageData.height, centerY + half + scale);
+
+        const width = Math.max(0, right - left);
+        const height = Math.max(0, bottom - top);
+        const data = new Float32Array(width * height);
+        const rgba = imageData.data;
+        for (let y = 0; y < height; y++) {
+            let i = ((top + y) * imageData.width + left) * 4;
+            for (let x = 0, p = y * width; x < width; x++, p++, i += 4) {
+                data[p] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+            }
+        }
+
+        const pyramid = [{ data, width, height, originX: left, originY: top }];
+        for (let l = 1; l < this.LEVELS; l++) {
+            pyramid.push(this.downsample(pyramid[l - 1]));
+        }
+        return pyramid;
+    }
+
+    /**
+     * Halve a level with a 2x2 box filter
+     * @param {Object} level - Pyramid level
+     * @returns {Object} Next pyramid level
+     */
+    downsample(level) {
+        const width = level.width >> 1;
+        const height = level.height >> 1;
+        const data = new Float32Array(width * height);
+        const source = level.data;
+        for (let y = 0; y < height; y++) {
+            const row = 2 * y * level.width;
+            for (let x = 0; x < width; x++) {
+                const i = row + 2 * x;
+                data[y * width + x] = (source[i] + source[i + 1] + source[i + level.width] + source[i + level.width + 1]) / 4;
+            }
+        }
+        return { data, width, height, originX: level.originX >> 1, originY: level.originY >> 1 };
+    }
+
+    /**
+     * Zero-mean template around a pixel of a level, sampled bilinearly when scaled
+     * @param {Object} level - Pyramid level
+     * @param {number} x - Center x in the level's crop
+     * @param {number} y - Center y in the level's crop
+     * @param {number} scale - Size of the point now relative to this level (1 copies pixels directly)
+     * @returns {Object|null} {data: Float32Array, norm}, or null if it doesn't fit or is flat
+     */
+    extractTemplate(level, x, y, scale = 1) {
+        const half = this.TEMPLATE_HALF;
+        const step = 1 / scale;
+        const reach = Math.ceil(half * step);
+        if (x - reach < 0 || y - reach < 0 || x + reach + 1 >= level.width || y + reach + 1 >= level.height) {
+            return null;
+        }
+
+        const size = 2 * half + 1;
+        const data = new Float32Array(size * size);
+        const d = level.data;
+        let mean = 0;
+        for (let ty = 0; ty < size; ty++) {
+            const sy = y + (ty - half) * step;
+            const y0 = Math.floor(sy);
+            const fy = sy - y0;
+            for (let tx = 0; tx < size; tx++) {
+                const sx = x + (tx - half) * step;
+                const x0 = Math.floor(sx);
+                const fx = sx - x0;
+                const i = y0 * level.width + x0;
+                const value = (d[i] * (1 - fx) + d[i + 1] * fx) * (1 - fy) +
+                    (d[i + level.width] * (1 - fx) + d[i + level.width + 1] * fx) * fy;
+                data[ty * size + tx] = value;
+                mean += value;
+            }
+        }
+        mean /= data.length;
+
+        let sumSquares = 0;
+        for (let i = 0; i < data.length; i++) {
+            data[i] -= mean;
+            sumSquares += data[i] * data[i];
+        }
+        const norm = Math.sqrt(sumSquares);
+        return norm > 0 ? { data, norm } : null;
+    }
+
+    /**
+     * Normalized cross-correlation of a template centered on a pixel
+     * @param {Object} level - Pyramid level
+     * @param {Object} template - Template from extractTemplate()
+     * @param {number} x - Center x in the level's crop
+     * @param {number} y - Center y in the level's crop
+     * @returns {number|null} Score in [-1, 1], or null if the template doesn't fit
+     */
+    score(level, template, x, y) {
+        const half = this.TEMPLATE_HALF;
+        if (x - half < 0 || y - half < 0 || x + half >= level.width || y + half >= level.height) {
+            return null;
+        }
+
+        const size = 2 * half + 1;
+        const t = template.data;
+        const d = level.data;
+        let cross = 0;
+        let sum = 0;
+        let sumSquares = 0;
+        for (let ty = 0; ty < size; ty++) {
+            let i = (y - half + ty) * level.width + (x - half);
+            for (let tx = 0, j = ty * size; tx < size; tx++, i++, j++) {
+                const value = d[i];
+                // The template is zero-mean, so the window mean drops out of the cross term
+                cross += t[j] * value;
+                sum += value;
+                sumSquares += value * value;
+            }
+        }
+
+        const variance = sumSquares - (sum * sum) / t.length;
+        if (variance <= 0) return 0;
+        return cross / (template.norm * Math.sqrt(variance));
+    }
+
+    /**
+     * Best template position within a square search window
+     * @param {Object} level - Pyramid level
+     * @param {Object} template - Template for this level
+     * @param {number} centerX - Search center x in the level's crop
+     * @param {number} centerY - Search center y in the level's crop
+     * @param {number} radius - Search radius in the level's pixels
+     * @param {number} step - Grid step in the level's pixels
+     * @returns {Object|null} {x, y, score} or null if nothing fit
+     */
+    search(level, template, centerX, centerY, radius, step = 1) {
+        let best = null;
+        for (let y = centerY - radius; y <= centerY + radius; y += step) {
+            for (let x = centerX - radius; x <= centerX + radius; x += step) {
+                const score = this.score(level, template, x, y);
+                if (score !== null && (!best || score > best.score)) {
+                    best = { x, y, score };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Sub-pixel peak offset from parabolas through the scores either side of the best pixel
+     * @param {Object} level - Full-resolution level
+     * @param {Object} template - Full-resolution template
+     * @param {Object} best - Best integer match {x, y, score}
+     * @returns {Object} Offset {x, y} in [-0.5, 0.5]
+     */
+    refinePeak(level, template, best) {
+        const offset = (before, after) => {
+            if (before === null || after === null) return 0;
+            const denominator = before - 2 * best.score + after;
+            return denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (before - after) / denominator)) : 0;
+        };
+
+        return {
+            x: offset(this.score(level, template, best.x - 1, best.y), this.score(level, template, best.x + 1, best.y)),
+            y: offset(this.score(level, template, best.x, best.y - 1), this.score(level, template, best.x, best.y + 1))
+        };
+    }
+}
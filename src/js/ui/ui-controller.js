@@ -15,18 +15,88 @@ class UIController {
         this.newCaptureButton = document.getElementById('new-capture-button');
         this.analyzeButton = document.getElementById('analyze-button');
         this.loadSampleButton = document.getElementById('load-sample-button');
+        this.recordButton = document.getElementById('record-button');
+        this.setZoneButton = document.getElementById('set-zone-button');
+        this.autoArmButton = document.getElementById('auto-arm-button');
+        this.loadVideoButton = document.getElementById('load-video-button');
+        
+        // Camera settings panel
+        this.cameraSettingsContainer = document.getElementById('camera-settings-container');
+        this.cameraDeviceSelect = document.getElementById('camera-device-select');
+        this.cameraResolutionSelect = document.getElementById('camera-resolution-select');
+        this.cameraFpsSelect = document.getElementById('camera-fps-select');
+        this.lockCameraButton = document.getElementById('lock-camera-button');
+        this.cameraCapabilities = document.getElementById('camera-capabilities');
+        
+        // Detection model panel
+        this.modelSettingsContainer = document.getElementById('model-settings-container');
+        this.modelSelect = document.getElementById('model-select');
+        this.modelInfo = document.getElementById('model-info');
+        
+        // Marker layout panel
+        this.markerLayoutWidthInput = document.getElementById('marker-layout-width');
+        this.markerLayoutHeightInput = document.getElementById('marker-layout-height');
+        this.markerLayoutInfo = document.getElementById('marker-layout-info');
+        
+        // Calibration profile panel
+        this.profileContainer = document.getElementById('profile-container');
+        this.profileNameInput = document.getElementById('profile-name-input');
+        this.profileSelect = document.getElementById('profile-select');
+        this.restoreProfileButton = document.getElementById('restore-profile-button');
+        this.deleteProfileButton = document.getElementById('delete-profile-button');
+        this.profileInfo = document.getElementById('profile-info');
+        
+        // Hole panel
+        this.holeDistanceInput = document.getElementById('hole-distance-input');
+        this.holeInfo = document.getElementById('hole-info');
+        
+        // Target line panel
+        this.targetLineInfo = document.getElementById('target-line-info');
+        
+        // Green speed panel
+        this.stimpModeButton = document.getElementById('stimp-mode-button');
+        this.greenSpeedInfo = document.getElementById('green-speed-info');
+        
+        // Result panel
+        this.resultsContainer = document.getElementById('results-container');
+        this.speedResult = document.getElementById('speed-result');
+        this.resultDetails = document.getElementById('result-details');
         
         // Setup mode buttons
         this.setupMarkersButton = document.getElementById('setup-markers-button');
         this.confirmSetupButton = document.getElementById('confirm-setup-button');
         this.cancelSetupButton = document.getElementById('cancel-setup-button');
         this.recalibrateButton = document.getElementById('recalibrate-button');
+        this.autoSetupButton = document.getElementById('auto-setup-button');
         
         // Setup overlay and state
         this.setupOverlay = document.getElementById('setup-overlay');
         this.isInSetupMode = false;
         this.selectedPoints = [];
         
+        // Start zone selection state (auto-trigger)
+        this.isSelectingZone = false;
+        this.zonePoints = [];
+        this.onZoneSelected = null;
+        
+        // Hole selection state (pace scoring)
+        this.isSelectingHole = false;
+        this.onHoleSelected = null;
+        this.holePosition = null;       // Tapped hole in display pixels, drawn on the live view
+        
+        // Target line selection state (start-line analysis)
+        this.isSelectingLine = false;
+        this.linePoints = [];
+        this.onLineSelected = null;
+        this.targetLinePoints = null;   // Tapped target line in display pixels, drawn on the live view
+        this.motionTrigger = null; // Set by the app to draw the start zone
+        this.stabilityMonitor = null; // Set by the app to record marker positions for shake detection
+        this.isAutoArmed = false;
+        this.lastFrameImageData = null; // Latest live frame without overlays, for checking saved setups
+        this.capturedImageData = null; // Captured or sample image on display, without overlays
+        // Auto setup reads the marker colors to number them
+        this.AUTO_SETUP_HINT = 'Auto Setup needs red, green, blue, red markers, clockwise from marker 1';
+        
         // Initialize corner tracker
         this.cornerTracker = new CornerTracker(true); // Enable debug mode
         
@@ -80,7 +150,7 @@ class UIController {
      */
     setupClickHandler() {
         this.setupOverlay.addEventListener('click', (event) => {
-            if (!this.isInSetupMode) return;
+            if (!this.isInSetupMode && !this.isSelectingZone && !this.isSelectingHole && !this.isSelectingLine) return;
             
             const rect = this.setupOverlay.getBoundingClientRect();
             const scaleX = this.setupOverlay.width / rect.width;
@@ -89,7 +159,17 @@ class UIController {
             const x = (event.clientX - rect.left) * scaleX;
             const y = (event.clientY - rect.top) * scaleY;
             
-            this.addSelectedPoint(x, y);
+            if (this.isSelectingHole) {
+                const onSelected = this.onHoleSelected;
+                this.endSetupMode();
+                onSelected({ x, y });
+            } else if (this.isSelectingLine) {
+                this.addLinePoint(x, y);
+            } else if (this.isSelectingZone) {
+                this.addZonePoint(x, y);
+            } else {
+                this.addSelectedPoint(x, y);
+            }
         });
     }
     
@@ -135,12 +215,138 @@ class UIController {
         }
     }
     
+    /**
+     * Show the setup overlay for tapping points on the display, with instructions
+     * @param {string} instructions - What to tap first
+     */
+    beginOverlaySelection(instructions) {
+        // Match overlay dimensions to display canvas
+        this.setupOverlay.width = this.displayCanvas.width;
+        this.setupOverlay.height = this.displayCanvas.height;
+        
+        this.setupOverlay.style.display = 'block';
+        this.hideMainButtons();
+        this.showSetupButtons();
+        this.drawSetupOverlay();
+        
+        const instructionsElement = document.getElementById('setup-instructions');
+        if (instructionsElement) {
+            instructionsElement.textContent = instructions;
+        }
+        const instructionsContainer = document.getElementById('setup-instructions-container');
+        if (instructionsContainer) {
+            instructionsContainer.style.display = 'block';
+        }
+    }
+    
+    /**
+     * Start selecting the auto-trigger start zone (two taps on opposite corners)
+     * @param {Function} onSelected - Called with the zone {x, y, width, height}
+     */
+    startZoneSelection(onSelected) {
+        console.log('Starting start zone selection');
+        this.isSelectingZone = true;
+        this.zonePoints = [];
+        this.onZoneSelected = onSelected;
+        this.beginOverlaySelection('Tap one corner of the start zone around the ball');
+    }
+    
+    /**
+     * Start selecting the hole (one tap)
+     * @param {Function} onSelected - Called with the tapped {x, y} in display pixels
+     */
+    startHoleSelection(onSelected) {
+        console.log('Starting hole selection');
+        this.isSelectingHole = true;
+        this.onHoleSelected = onSelected;
+        this.beginOverlaySelection('Tap the center of the hole');
+    }
+    
+    /**
+     * Start selecting the target line (two taps: behind the ball, then towards the target)
+     * @param {Function} onSelected - Called with the two {x, y} points in display pixels
+     */
+    startTargetLineSelection(onSelected) {
+        console.log('Starting target line selection');
+        this.isSelectingLine = true;
+        this.linePoints = [];
+        this.onLineSelected = onSelected;
+        this.beginOverlaySelection('Tap a point on the target line behind the ball');
+    }
+    
+    /**
+     * Add a point of the target line
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    addLinePoint(x, y) {
+        this.linePoints.push({ x, y });
+        this.drawSetupOverlay();
+        
+        if (this.linePoints.length === 1) {
+            const instructionsElement = document.getElementById('setup-instructions');
+            if (instructionsElement) {
+                instructionsElement.textContent = 'Tap the target (the hole or an aiming point)';
+            }
+            return;
+        }
+        
+        const points = [...this.linePoints];
+        const onSelected = this.onLineSelected;
+        this.endSetupMode();
+        onSelected(points);
+    }
+    
+    /**
+     * Add a corner of the start zone
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    addZonePoint(x, y) {
+        this.zonePoints.push({ x, y });
+        this.drawSetupOverlay();
+        
+        if (this.zonePoints.length === 1) {
+            const instructionsElement = document.getElementById('setup-instructions');
+            if (instructionsElement) {
+                instructionsElement.textContent = 'Tap the opposite corner of the start zone';
+            }
+            return;
+        }
+        
+        const [a, b] = this.zonePoints;
+        const zone = {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        };
+        const onSelected = this.onZoneSelected;
+        this.endSetupMode();
+        
+        if (zone.width < 4 || zone.height < 4) {
+            alert('Start zone is too small. Please tap two opposite corners.');
+            return;
+        }
+        if (onSelected) {
+            onSelected(zone);
+        }
+    }
+    
     /**
      * End setup mode
      */
     endSetupMode() {
         console.log('Ending setup mode');
         this.isInSetupMode = false;
+        this.isSelectingZone = false;
+        this.zonePoints = [];
+        this.onZoneSelected = null;
+        this.isSelectingHole = false;
+        this.onHoleSelected = null;
+        this.isSelectingLine = false;
+        this.linePoints = [];
+        this.onLineSelected = null;
         this.setupOverlay.style.display = 'none';
         this.showMainButtons();
         this.hideSetupButtons();
@@ -165,6 +371,15 @@ class UIController {
         this.setupOverlayContext.fillRect(0, 0, this.setupOverlay.width, this.setupOverlay.height);
         
         // Draw selected points
+        if (this.isSelectingZone || this.isSelectingLine) {
+            (this.isSelectingLine ? this.linePoints : this.zonePoints).forEach(point => {
+                this.setupOverlayContext.beginPath();
+                this.setupOverlayContext.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+                this.setupOverlayContext.fillStyle = '#FFC107';
+                this.setupOverlayContext.fill();
+            });
+            return;
+        }
         this.selectedPoints.forEach((point, index) => {
             this.drawMarkerPoint(point.x, point.y, index + 1);
         });
@@ -202,8 +417,10 @@ class UIController {
         const instructionsElement = document.getElementById('setup-instructions');
         if (!instructionsElement) return;
         const pointNumber = this.selectedPoints.length + 1;
-        if (pointNumber <= 4) {
-            instructionsElement.textContent = `Tap center of marker ${pointNumber}/4`;
+        if (pointNumber === 1) {
+            instructionsElement.textContent = `Tap center of marker 1/4 (clockwise from the top-left). ${this.AUTO_SETUP_HINT}.`;
+        } else if (pointNumber <= 4) {
+            instructionsElement.textContent = `Tap center of marker ${pointNumber}/4 (clockwise from the top-left)`;
         } else {
             instructionsElement.textContent = 'All markers selected. Confirm setup to continue.';
         }
@@ -224,7 +441,11 @@ class UIController {
      */
     hideMainButtons() {
         this.captureButton.style.display = 'none';
+        this.recordButton.style.display = 'none';
+        this.setZoneButton.style.display = 'none';
+        this.autoArmButton.style.display = 'none';
         this.loadSampleButton.style.display = 'none';
+        this.loadVideoButton.style.display = 'none';
         this.setupMarkersButton.style.display = 'none';
         this.analyzeButton.style.display = 'none';
         this.backToLiveButton.style.display = 'none';
@@ -237,7 +458,11 @@ class UIController {
     showMainButtons() {
         if (!this.isShowingCapturedImage) {
             this.captureButton.style.display = 'inline-block';
+            this.recordButton.style.display = 'inline-block';
+            this.setZoneButton.style.display = 'inline-block';
+            this.autoArmButton.style.display = 'inline-block';
             this.loadSampleButton.style.display = 'inline-block';
+            this.loadVideoButton.style.display = 'inline-block';
             this.setupMarkersButton.style.display = 'inline-block';
         } else {
             this.backToLiveButton.style.display = 'inline-block';
@@ -261,6 +486,10 @@ class UIController {
         if (cancelButton) {
             cancelButton.style.display = 'inline-block';
         }
+        // Markers can be found automatically; the start zone is always tapped
+        if (this.autoSetupButton) {
+            this.autoSetupButton.style.display = this.isInSetupMode ? 'inline-block' : 'none';
+        }
     }
     
     /**
@@ -276,6 +505,9 @@ class UIController {
         if (confirmButton) {
             confirmButton.style.display = 'none';
         }
+        if (this.autoSetupButton) {
+            this.autoSetupButton.style.display = 'none';
+        }
     }
     
     /**
@@ -321,10 +553,15 @@ class UIController {
         
         // Draw the image on the display canvas
         this.ctx.putImageData(frame.imageData, 0, 0);
+        this.capturedImageData = frame.imageData;
         
         // Show the capture-related buttons, hide the others
         this.captureButton.style.display = 'none';
+        this.recordButton.style.display = 'none';
+        this.setZoneButton.style.display = 'none';
+        this.autoArmButton.style.display = 'none';
         this.loadSampleButton.style.display = 'none';
+        this.loadVideoButton.style.display = 'none';
         this.setupMarkersButton.style.display = 'none';
         this.backToLiveButton.style.display = 'inline-block';
         this.newCaptureButton.style.display = 'inline-block';
@@ -351,6 +588,570 @@ class UIController {
         this.isShowingAnalyzedImage = true;
     }
     
+    /**
+     * Populate the camera settings panel
+     * @param {Array} devices - Video input devices {deviceId, label}
+     * @param {Object} info - Track info from CameraController.getCameraInfo()
+     * @param {Object} locks - Current lock state {focus, exposure, whiteBalance}
+     */
+    showCameraSettings(devices, info, locks) {
+        if (!this.cameraSettingsContainer || !info) return;
+        
+        const { settings } = info;
+        
+        this.fillSelect(this.cameraDeviceSelect, devices.map(device => ({
+            value: device.deviceId,
+            label: device.label
+        })), settings.deviceId);
+        
+        this.fillSelect(this.cameraResolutionSelect, info.resolutions.map(res => ({
+            value: `${res.width}x${res.height}`,
+            label: `${res.width} x ${res.height}`
+        })), `${settings.width}x${settings.height}`);
+        
+        this.fillSelect(this.cameraFpsSelect, info.frameRates.map(fps => ({
+            value: String(fps),
+            label: `${fps} fps`
+        })), String(Math.round(settings.frameRate)));
+        
+        const canLock = info.lockSupport.focus || info.lockSupport.exposure || info.lockSupport.whiteBalance;
+        const isLocked = locks.focus || locks.exposure || locks.whiteBalance;
+        this.lockCameraButton.disabled = !canLock;
+        this.lockCameraButton.textContent = !canLock
+            ? 'Locks Not Supported'
+            : isLocked ? 'Unlock Focus/Exposure' : 'Lock Focus/Exposure';
+        
+        // Describe what the active track actually delivers
+        const lines = [
+            `Active: ${settings.width}x${settings.height} @ ${settings.frameRate ? settings.frameRate.toFixed(0) : '?'} fps`
+        ];
+        if (info.capabilities.frameRate) {
+            lines.push(`Max frame rate: ${info.capabilities.frameRate.max.toFixed(0)} fps`);
+        }
+        const supported = Object.keys(info.lockSupport).filter(key => info.lockSupport[key]);
+        lines.push(`Lockable: ${supported.length > 0 ? supported.join(', ') : 'none'}`);
+        if (info.frameRateShortfall) {
+            lines.unshift(`Warning: ${info.requestedFrameRate} fps selected but the camera only delivers ${settings.frameRate.toFixed(0)} fps`);
+        }
+        this.cameraCapabilities.textContent = lines.join(' | ');
+        this.cameraCapabilities.classList.toggle('warning', info.frameRateShortfall);
+        
+        this.cameraSettingsContainer.style.display = 'flex';
+    }
+    
+    /**
+     * Replace the options of a select element
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} options - Array of {value, label}
+     * @param {string} selectedValue - Value to select if present
+     */
+    fillSelect(select, options, selectedValue) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            element.selected = option.value === selectedValue;
+            select.appendChild(element);
+        });
+    }
+    
+    /**
+     * Get the camera selection from the settings panel
+     * @returns {Object} Selection {deviceId, width, height, frameRate}
+     */
+    getCameraSelection() {
+        const [width, height] = this.cameraResolutionSelect.value.split('x').map(Number);
+        return {
+            deviceId: this.cameraDeviceSelect.value || null,
+            width: width,
+            height: height,
+            frameRate: Number(this.cameraFpsSelect.value)
+        };
+    }
+    
+    /**
+     * Update the record button and main controls for the recording state
+     * @param {boolean} isRecording - Whether a putt is being recorded
+     */
+    showRecordingState(isRecording) {
+        this.recordButton.textContent = isRecording ? 'Stop Recording' : 'Record Putt';
+        this.recordButton.classList.toggle('recording', isRecording);
+        
+        // Other capture actions would interrupt the recording
+        this.captureButton.disabled = isRecording;
+        this.loadSampleButton.disabled = isRecording;
+        this.loadVideoButton.disabled = isRecording;
+        this.setupMarkersButton.disabled = isRecording;
+        this.setZoneButton.disabled = isRecording;
+        this.autoArmButton.disabled = isRecording;
+        
+        // Changing the camera mid-recording would restart the stream
+        this.cameraDeviceSelect.disabled = isRecording;
+        this.cameraResolutionSelect.disabled = isRecording;
+        this.cameraFpsSelect.disabled = isRecording;
+    }
+    
+    /**
+     * Fill the model picker with the discovered models
+     * @param {Array} models - Model configs from ModelRegistry
+     * @param {string} selectedId - Id of the active model
+     */
+    showModelOptions(models, selectedId) {
+        if (!this.modelSettingsContainer) return;
+        
+        this.fillSelect(this.modelSelect, models.map(model => ({
+            value: model.id,
+            label: model.label
+        })), selectedId);
+        this.modelSelect.disabled = models.length < 2;
+        this.modelSettingsContainer.style.display = models.length > 0 ? 'flex' : 'none';
+    }
+    
+    /**
+     * Show the active model's classes and input size, or that it is loading
+     * @param {Object} model - Model config from ModelRegistry
+     * @param {boolean} isLoading - Whether the model is still loading
+     */
+    showModelState(model, isLoading) {
+        if (!this.modelInfo || !model) return;
+        
+        this.modelSelect.disabled = isLoading || this.modelSelect.options.length < 2;
+        const classes = Object.values(model.classNames).join(', ') || 'unknown';
+        this.modelInfo.textContent = isLoading
+            ? `Loading ${model.id}...`
+            : `Input: ${model.inputWidth}x${model.inputHeight} | Classes: ${classes}`;
+    }
+    
+    /**
+     * Get the real-world marker layout entered by the user
+     * @returns {Object|null} {width, height} in cm between marker centers, or null unless both are positive numbers
+     */
+    getMarkerLayout() {
+        const width = parseFloat(this.markerLayoutWidthInput.value);
+        const height = parseFloat(this.markerLayoutHeightInput.value);
+        if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+            return null;
+        }
+        return { width: width, height: height };
+    }
+    
+    /**
+     * Fill the marker layout inputs, e.g. from a restored profile
+     * @param {Object} layoutCm - {width, height} in cm between marker centers
+     */
+    setMarkerLayout(layoutCm) {
+        this.markerLayoutWidthInput.value = layoutCm.width;
+        this.markerLayoutHeightInput.value = layoutCm.height;
+    }
+    
+    /**
+     * Fill the saved profile picker
+     * @param {Array} profiles - Profiles from CalibrationStore, most recently used first
+     * @param {string} selectedName - Profile to select, defaults to the first
+     */
+    showProfiles(profiles, selectedName = null) {
+        if (!this.profileContainer) return;
+        
+        this.fillSelect(this.profileSelect, profiles.map(profile => ({
+            value: profile.name,
+            label: `${profile.name} (${new Date(profile.savedAt).toLocaleDateString()})`
+        })), selectedName || (profiles.length > 0 ? profiles[0].name : null));
+        this.profileSelect.disabled = profiles.length === 0;
+        this.restoreProfileButton.disabled = profiles.length === 0;
+        this.deleteProfileButton.disabled = profiles.length === 0;
+    }
+    
+    /**
+     * Hide the profile panel (no IndexedDB)
+     */
+    hideProfiles() {
+        if (this.profileContainer) {
+            this.profileContainer.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Name entered for saving the current setup
+     * @returns {string}
+     */
+    getProfileName() {
+        return this.profileNameInput.value.trim();
+    }
+    
+    /**
+     * Name of the profile selected for restoring
+     * @returns {string|null}
+     */
+    getSelectedProfileName() {
+        return this.profileSelect.value || null;
+    }
+    
+    /**
+     * Show a profile status message
+     * @param {string} message - Text to show
+     */
+    showProfileInfo(message) {
+        if (this.profileInfo) {
+            this.profileInfo.textContent = message;
+        }
+    }
+    
+    /**
+     * Offer to restore the last used profile
+     * @param {Object} profile - Profile from CalibrationStore
+     */
+    showProfileOffer(profile) {
+        this.profileSelect.value = profile.name;
+        this.showProfileInfo(`Last setup "${profile.name}" is saved. Press Restore to check it against the camera view.`);
+    }
+    
+    /**
+     * The current marker setup, for saving in a calibration profile
+     * @returns {Object} {frameWidth, frameHeight, markerPositions, referencePatches}
+     */
+    getMarkerSetup() {
+        return {
+            frameWidth: this.displayCanvas.width,
+            frameHeight: this.displayCanvas.height,
+            markerPositions: this.cornerTracker.referencePositions.map(point => ({ x: point.x, y: point.y })),
+            referencePatches: this.cornerTracker.getReferencePatches()
+        };
+    }
+    
+    /**
+     * Restore a saved marker setup once it has been checked against the latest live frame
+     * @param {Object} profile - Profile from CalibrationStore
+     * @returns {Object} {verified, reason}
+     */
+    restoreMarkerSetup(profile) {
+        const imageData = this.lastFrameImageData;
+        if (!imageData) {
+            return { verified: false, reason: 'No camera frame yet' };
+        }
+        if (imageData.width !== profile.frameWidth || imageData.height !== profile.frameHeight) {
+            return {
+                verified: false,
+                reason: `Saved at ${profile.frameWidth}x${profile.frameHeight}, camera is ${imageData.width}x${imageData.height}`
+            };
+        }
+        
+        const check = this.cornerTracker.verifyReferencePatches(profile.markerPositions, profile.referencePatches, imageData);
+        if (!check.verified) {
+            return check;
+        }
+        
+        // Start from where the markers are now; the camera may have been set up slightly differently
+        this.setMarkerLayout(profile.layoutCm);
+        this.selectedPoints = check.positions;
+        this.confirmSetup();
+        return check;
+    }
+    
+    /**
+     * Show the session's green speed
+     * @param {Object} greenSpeed - Reading from StimpMeter.getReading(), or null if not measured
+     * @param {string} note - Optional message shown after the reading
+     */
+    showGreenSpeed(greenSpeed, note = null) {
+        if (!this.greenSpeedInfo) return;
+        
+        this.greenSpeedInfo.textContent = greenSpeed
+            ? `Session green: Stimp ${greenSpeed.stimpFeet.toFixed(1)} ft (${greenSpeed.stimpMetres.toFixed(2)} m)`
+            : 'Green speed not measured for this session';
+        if (note) {
+            this.greenSpeedInfo.textContent += `. ${note}`;
+        }
+    }
+    
+    /**
+     * Show whether recordings are measured as stimpmeter rolls, and the reading so far
+     * @param {boolean} active - Whether green-speed mode is on
+     * @param {StimpMeter} stimpMeter - Rolls recorded so far
+     * @param {string} note - Optional message about the last roll
+     */
+    showStimpMode(active, stimpMeter, note = null) {
+        if (!this.stimpModeButton) return;
+        
+        this.stimpModeButton.textContent = active ? 'Finish Green Speed' : 'Measure Green Speed';
+        this.stimpModeButton.classList.toggle('armed', active);
+        if (!active) return;
+        
+        const forward = stimpMeter.getDirectionSummary('forward');
+        const back = stimpMeter.getDirectionSummary('back');
+        const reading = stimpMeter.getReading();
+        let text = note ? `${note}. ` : '';
+        text += `Rolls: ${forward.count} one way, ${back.count} back (${stimpMeter.ROLLS_PER_DIRECTION} each way needed). `;
+        if (!reading) {
+            text += 'Record balls rolled off the stimpmeter in both directions.';
+        } else {
+            text += `Stimp ${reading.stimpFeet.toFixed(1)} ft so far`;
+            if (!reading.consistent) {
+                text += `; rolls in one direction differ by more than ${stimpMeter.MAX_SPREAD_CM} cm, roll again`;
+            }
+        }
+        this.greenSpeedInfo.textContent = text;
+    }
+    
+    /**
+     * Get the hole distance entered by the user
+     * @returns {number|null} Distance in m, or null if the field is empty
+     */
+    getHoleDistance() {
+        const value = parseFloat(this.holeDistanceInput.value);
+        return Number.isFinite(value) ? value : null;
+    }
+    
+    /**
+     * Show the hole target
+     * @param {Object} hole - {distance} in m, {position} in display pixels, or null when not set
+     */
+    showHole(hole) {
+        this.holePosition = hole && hole.position ? { ...hole.position } : null;
+        if (this.holePosition) {
+            this.holeDistanceInput.value = '';
+        }
+        if (!this.holeInfo) return;
+        
+        if (!hole) {
+            this.holeInfo.textContent = 'Enter the hole distance or tap the hole to score pace';
+        } else if (hole.position) {
+            this.holeInfo.textContent = 'Hole set on the green; putts are scored on pace';
+        } else {
+            this.holeInfo.textContent = `Hole ${hole.distance.toFixed(2)} m from the ball; putts are scored on pace`;
+        }
+    }
+    
+    /**
+     * Draw the tapped hole on the display canvas
+     */
+    drawHole() {
+        const { x, y } = this.holePosition;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 2, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+    
+    /**
+     * Show the target line
+     * @param {Object} line - {source: 'taps', points (display pixels)} or {source: 'markers'}, or null when not set
+     */
+    showTargetLine(line) {
+        this.targetLinePoints = line && line.points ? line.points.map(point => ({ ...point })) : null;
+        if (!this.targetLineInfo) return;
+        
+        if (!line) {
+            this.targetLineInfo.textContent = 'Set a target line to measure the start line';
+        } else if (line.source === 'markers') {
+            this.targetLineInfo.textContent = 'Aiming parallel to markers 1-2';
+        } else {
+            this.targetLineInfo.textContent = 'Aiming along the tapped line';
+        }
+    }
+    
+    /**
+     * Draw the tapped target line on the display canvas
+     */
+    drawTargetLine() {
+        const [from, to] = this.targetLinePoints;
+        this.ctx.save();
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.strokeStyle = '#FFC107';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(from.x, from.y);
+        this.ctx.lineTo(to.x, to.y);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    /**
+     * Show whether speeds are measured on the calibrated ground plane
+     * @param {GroundPlaneCalibration} groundPlane - Current calibration
+     * @param {string} note - Optional message shown instead of the calibration state
+     */
+    showGroundPlaneState(groundPlane, note = null) {
+        if (!this.markerLayoutInfo) return;
+        
+        this.markerLayoutInfo.textContent = note ? note : groundPlane.isCalibrated()
+            ? `Green calibrated from markers (${groundPlane.layoutCm.width}x${groundPlane.layoutCm.height} cm)`
+            : 'Set up the markers to measure on the green; until then an overhead camera is assumed';
+    }
+    
+    /**
+     * Update the auto-arm controls for the trigger state
+     * @param {boolean} enabled - Whether auto-arm mode is on
+     * @param {string} state - Motion trigger state ('idle', 'armed', 'triggered')
+     */
+    showAutoArmState(enabled, state) {
+        this.isAutoArmed = enabled;
+        this.autoArmButton.classList.toggle('armed', enabled);
+        this.autoArmButton.textContent = !enabled
+            ? 'Auto Arm'
+            : state === 'triggered' ? 'Recording Putt...' : 'Disarm';
+        
+        // Manual capture would fight with the trigger over the recording
+        this.recordButton.disabled = enabled;
+        this.captureButton.disabled = enabled;
+        this.setZoneButton.disabled = enabled;
+        this.setupMarkersButton.disabled = enabled;
+    }
+    
+    /**
+     * Show analysis progress in the result panel
+     * @param {number} processed - Frames analyzed so far
+     * @param {number} total - Total frames to analyze
+     */
+    showAnalysisProgress(processed, total) {
+        const busy = processed < total;
+        
+        // Don't start another recording or import while frames are being analyzed
+        this.recordButton.disabled = busy || this.isAutoArmed;
+        this.loadVideoButton.disabled = busy;
+        
+        if (busy && this.resultsContainer) {
+            this.speedResult.textContent = `Analyzing ${processed}/${total}...`;
+            this.resultDetails.textContent = '';
+            this.resultsContainer.style.display = 'block';
+        }
+    }
+    
+    /**
+     * Show video import progress on the load video button
+     * @param {number} currentTime - Current decode position in seconds
+     * @param {number} duration - Video duration in seconds
+     */
+    showVideoLoadProgress(currentTime, duration) {
+        const done = currentTime >= duration;
+        this.loadVideoButton.disabled = !done;
+        this.loadVideoButton.textContent = done
+            ? 'Load Video'
+            : `Loading ${Math.round((currentTime / duration) * 100)}%...`;
+    }
+    
+    /**
+     * Show the controls for an imported video (no live capture actions)
+     * @param {boolean} hasLiveCamera - Whether a camera stream is available to return to
+     */
+    showImportedVideoView(hasLiveCamera) {
+        console.log('Showing imported video');
+        
+        this.captureButton.style.display = 'none';
+        this.recordButton.style.display = 'none';
+        this.setZoneButton.style.display = 'none';
+        this.autoArmButton.style.display = 'none';
+        this.newCaptureButton.style.display = 'none';
+        this.analyzeButton.style.display = 'none';
+        this.backToLiveButton.style.display = hasLiveCamera ? 'inline-block' : 'none';
+        
+        // The analyzed video frame on display has overlays; there is no raw image to set up on
+        this.capturedImageData = null;
+        this.isShowingCapturedImage = true;
+        this.isShowingAnalyzedImage = true;
+    }
+    
+    /**
+     * Show the result of a putt analysis in the result panel
+     * @param {Object} result - Result from PuttAnalyzer.analyze()
+     */
+    showPuttResult(result) {
+        if (!this.resultsContainer) return;
+        
+        const measurement = result.measurement;
+        if (measurement && measurement.measured) {
+            const margin = (measurement.confidenceInterval.high - measurement.confidenceInterval.low) / 2;
+            this.speedResult.textContent = `${measurement.initialSpeed.toFixed(2)} \u00b1 ${margin.toFixed(2)} m/s`;
+            this.resultDetails.textContent = `Average ${measurement.averageSpeed.toFixed(2)} m/s`;
+            if (measurement.deceleration !== null) {
+                this.resultDetails.textContent += `, deceleration ${measurement.deceleration.toFixed(2)} m/s\u00b2`;
+            }
+            this.resultDetails.textContent += '. ';
+            const launch = measurement.launch;
+            if (launch && launch.detected) {
+                // The headline is already the launch speed; the single-phase fit averages over the skid
+                this.resultDetails.textContent +=
+                    `Skidded ${(launch.skidDistance * 100).toFixed(0)} \u00b1 ${(launch.skidDistanceStd * 100).toFixed(0)} cm ` +
+                    `over ${launch.transitionTime.toFixed(2)} \u00b1 ${launch.transitionTimeStd.toFixed(2)} s before rolling ` +
+                    `(${measurement.singlePhaseSpeed.toFixed(2)} m/s averaged over skid and roll). `;
+            }
+            const rollout = measurement.rollout;
+            if (rollout) {
+                this.resultDetails.textContent +=
+                    `${rollout.stoppedInView ? 'Rolled' : 'Predicted roll'} ` +
+                    `${rollout.rollDistance.toFixed(2)} \u00b1 ${rollout.rollDistanceStd.toFixed(2)} m, ` +
+                    `stopping at (${rollout.stopPoint.x.toFixed(0)}, ${rollout.stopPoint.y.toFixed(0)}) cm on the green` +
+                    (rollout.decelerationSource === 'default' ? ' (typical green speed assumed)' : '') +
+                    (rollout.greenStimpFeet !== null ? ` on a Stimp ${rollout.greenStimpFeet.toFixed(1)} ft green` : '') + '. ';
+            }
+            
+            // Pace against the hole leads; the speed becomes a detail
+            const pace = result.pace;
+            if (pace) {
+                const label = pace.classification.charAt(0).toUpperCase() + pace.classification.slice(1);
+                const distanceCm = Math.abs(pace.finishPastHole) * 100;
+                this.resultDetails.textContent =
+                    `Speed ${this.speedResult.textContent}. ` +
+                    `Dead-weight start speed for this hole: ${pace.captureWindow.low.toFixed(2)}-${pace.captureWindow.high.toFixed(2)} m/s` +
+                    (pace.holeSpeed > 0
+                        ? `; reached the hole at ${pace.holeSpeed.toFixed(2)} m/s${pace.capturable ? '' : ', too fast to drop'}`
+                        : '') +
+                    (pace.lateralMiss !== null && !result.direction ? `; ${(Math.abs(pace.lateralMiss) * 100).toFixed(0)} cm off line` : '') +
+                    '. ' + this.resultDetails.textContent;
+                this.speedResult.textContent =
+                    `${label}: ${distanceCm.toFixed(0)} cm ${pace.finishPastHole >= 0 ? 'past' : 'short'} (pace ${pace.score}/100)`;
+            }
+            
+            const direction = result.direction;
+            if (direction) {
+                const angle = Math.abs(direction.launchAngle).toFixed(1);
+                let text = direction.side === 'on line'
+                    ? `Started on line (${direction.launchAngle.toFixed(1)}\u00b0`
+                    : `Started ${angle}\u00b0 ${direction.side} of the target line (`;
+                text += `\u00b1${direction.launchAngleStd.toFixed(1)}\u00b0)`;
+                if (direction.lateralMissAtHole !== null) {
+                    const miss = direction.lateralMissAtHole * 100;
+                    text += `, ${Math.abs(miss).toFixed(0)} cm ${miss >= 0 ? 'right' : 'left'} at the hole`;
+                }
+                this.resultDetails.textContent = `${text}. ` + this.resultDetails.textContent;
+            }
+        } else {
+            this.speedResult.textContent = 'No measurement';
+            this.resultDetails.textContent = measurement ? `${measurement.reason}. ` : '';
+        }
+        this.resultDetails.textContent +=
+            `Ball found in ${result.detectedCount} of ${result.frameCount} frames ` +
+            `over ${(result.durationMs / 1000).toFixed(2)} s`;
+        if (result.droppedFrames > 0) {
+            this.resultDetails.textContent += ` (${result.droppedFrames} dropped frames)`;
+        }
+        if (result.calibration === 'pixel-ratio') {
+            this.resultDetails.textContent += '. No markers calibrated the green: distances use the pixel-to-cm ratio, which assumes an overhead camera';
+        }
+        if (result.stability && result.stability.status === 'unreliable') {
+            this.resultDetails.textContent += `. Unreliable: the camera moved ${result.stability.maxShiftPx.toFixed(0)} px during the putt`;
+        } else if (result.stability && result.stability.status === 'compensated') {
+            this.resultDetails.textContent += '. Camera movement was compensated';
+        }
+        this.resultsContainer.style.display = 'block';
+    }
+    
+    /**
+     * Hide the result panel
+     */
+    hidePuttResult() {
+        if (this.resultsContainer) {
+            this.resultsContainer.style.display = 'none';
+        }
+    }
+    
     /**
      * Reset the UI to show live feed
      */
@@ -362,7 +1163,11 @@ class UIController {
         
         // Show the camera buttons, hide the capture-related buttons
         this.captureButton.style.display = 'inline-block';
+        this.recordButton.style.display = 'inline-block';
+        this.setZoneButton.style.display = 'inline-block';
+        this.autoArmButton.style.display = 'inline-block';
         this.loadSampleButton.style.display = 'inline-block';
+        this.loadVideoButton.style.display = 'inline-block';
         this.setupMarkersButton.style.display = 'inline-block';
         this.backToLiveButton.style.display = 'none';
         this.newCaptureButton.style.display = 'none';
@@ -387,8 +1192,16 @@ class UIController {
         }
         console.log('Confirming setup with points:', this.selectedPoints);
         try {
-            const imageData = this.ctx.getImageData(0, 0, this.displayCanvas.width, this.displayCanvas.height);
+            // Template from the raw frame: the display canvas carries the start zone, hole,
+            // target line and tracking overlays, which must not end up in the saved patches
+            const imageData = this.getSetupImageData();
+            if (!imageData) {
+                throw new Error('No frame to set the markers up on');
+            }
             this.cornerTracker.setupMarkers(this.selectedPoints, imageData);
+            if (this.stabilityMonitor) {
+                this.stabilityMonitor.reset();
+            }
             this.endSetupMode();
             this.recalibrateButton.style.display = 'inline-block';
             console.log('Marker tracking setup complete');
@@ -399,13 +1212,64 @@ class UIController {
         }
     }
 
+    /**
+     * Frame the markers are being set up on, without overlays
+     * @returns {ImageData|null} The captured image when one is shown, otherwise the latest live frame
+     */
+    getSetupImageData() {
+        return this.isShowingCapturedImage ? this.capturedImageData : this.lastFrameImageData;
+    }
+    
+    /**
+     * Start marker tracking from automatically located markers
+     * @param {Array} points - Four {x, y} marker centers in setup order
+     */
+    applyDetectedMarkers(points) {
+        this.selectedPoints = points.map(point => ({ x: point.x, y: point.y }));
+        console.log('Using automatically located markers:', this.selectedPoints);
+        this.confirmSetup();
+    }
+    
+    /**
+     * Show that automatic marker setup is running
+     * @param {boolean} busy - Whether detection is in progress
+     */
+    setAutoSetupBusy(busy) {
+        if (!this.autoSetupButton) return;
+        this.autoSetupButton.disabled = busy;
+        this.autoSetupButton.textContent = busy ? 'Finding Markers...' : 'Auto Setup';
+    }
+    
+    /**
+     * Explain why automatic setup failed and fall back to tapping the markers
+     * @param {string} reason - Why the markers couldn't be identified
+     */
+    showAutoSetupFailure(reason) {
+        const instructionsElement = document.getElementById('setup-instructions');
+        if (instructionsElement) {
+            instructionsElement.textContent = `Auto setup failed: ${reason}. ${this.AUTO_SETUP_HINT}; ` +
+                `or tap center of marker ${this.selectedPoints.length + 1}/4 by hand.`;
+        }
+    }
+    
     /**
      * Draw frame with overlays
      * @param {ImageData} imageData - Frame to draw
      */
     drawFrame(imageData) {
+        this.lastFrameImageData = imageData;
         // Draw the image
         this.ctx.putImageData(imageData, 0, 0);
+        // Draw the auto-trigger start zone
+        if (this.motionTrigger) {
+            this.motionTrigger.drawStartZone(this.ctx);
+        }
+        if (this.holePosition) {
+            this.drawHole();
+        }
+        if (this.targetLinePoints) {
+            this.drawTargetLine();
+        }
         // If corner tracking is active, track marker and draw indicator
         if (this.cornerTracker.isTracking()) {
             console.log('Drawing frame with tracking active');
@@ -413,6 +1277,13 @@ class UIController {
                 // Track marker in current frame
                 const trackingResults = this.cornerTracker.trackMarkers(imageData);
                 console.log('Tracking results:', trackingResults);
+                if (this.stabilityMonitor) {
+                    this.stabilityMonitor.addSample(
+                        performance.now(),
+                        this.cornerTracker.getCurrentPositions(),
+                        this.cornerTracker.getMarkerStates()
+                    );
+                }
                 // Draw tracking indicator at updated position
                 this.cornerTracker.drawTrackingIndicators(this.ctx);
                 // Log tracking quality for debugging
@@ -492,10 +1363,14 @@ class UIController {
         // Show the camera buttons, hide the capture-related buttons
         this.startCameraButton.style.display = 'none';
         this.captureButton.style.display = 'inline-block';
+        this.recordButton.style.display = 'inline-block';
+        this.setZoneButton.style.display = 'inline-block';
+        this.autoArmButton.style.display = 'inline-block';
         this.backToLiveButton.style.display = 'none';
         this.newCaptureButton.style.display = 'none';
         this.analyzeButton.style.display = 'none';
         this.loadSampleButton.style.display = 'inline-block';
+        this.loadVideoButton.style.display = 'inline-block';
         
         // Show setup button if not in setup mode
         if (!this.isInSetupMode) {
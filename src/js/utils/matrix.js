@@ -0,0 +1,171 @@
+/**
+ * Matrix
+ * Small dense-matrix helpers (arrays of rows) for the tracking and fitting code.
+ * Sized for filters and fits with a handful of states, not for large problems.
+ */
+
+class Matrix {
+    /**
+     * Matrix of zeros
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {Array<Array<number>>}
+     */
+    static zeros(rows, cols) {
+        return Array.from({ length: rows }, () => new Array(cols).fill(0));
+    }
+
+    /**
+     * Identity matrix
+     * @param {number} size - Row and column count
+     * @returns {Array<Array<number>>}
+     */
+    static identity(size) {
+        const result = Matrix.zeros(size, size);
+        for (let i = 0; i < size; i++) {
+            result[i][i] = 1;
+        }
+        return result;
+    }
+
+    /**
+     * Column vector from an array
+     * @param {Array<number>} values - Entries
+     * @returns {Array<Array<number>>} values.length x 1 matrix
+     */
+    static column(values) {
+        return values.map(value => [value]);
+    }
+
+    /**
+     * Matrix product A * B
+     * @param {Array<Array<number>>} a - Left matrix
+     * @param {Array<Array<number>>} b - Right matrix
+     * @returns {Array<Array<number>>}
+     */
+    static multiply(a, b) {
+        const rows = a.length;
+        const inner = b.length;
+        const cols = b[0].length;
+        if (a[0].length !== inner) {
+            throw new Error(`Matrix size mismatch: ${rows}x${a[0].length} * ${inner}x${cols}`);
+        }
+
+        const result = Matrix.zeros(rows, cols);
+        for (let i = 0; i < rows; i++) {
+            for (let k = 0; k < inner; k++) {
+                const value = a[i][k];
+                if (value === 0) continue;
+                for (let j = 0; j < cols; j++) {
+                    result[i][j] += value * b[k][j];
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Transpose
+     * @param {Array<Array<number>>} a - Matrix
+     * @returns {Array<Array<number>>}
+     */
+    static transpose(a) {
+        return a[0].map((_, j) => a.map(row => row[j]));
+    }
+
+    /**
+     * Element-wise sum A + B
+     * @param {Array<Array<number>>} a - Matrix
+     * @param {Array<Array<number>>} b - Matrix of the same size
+     * @returns {Array<Array<number>>}
+     */
+    static add(a, b) {
+        return a.map((row, i) => row.map((value, j) => value + b[i][j]));
+    }
+
+    /**
+     * Element-wise difference A - B
+     * @param {Array<Array<number>>} a - Matrix
+     * @param {Array<Array<number>>} b - Matrix of the same size
+     * @returns {Array<Array<number>>}
+     */
+    static subtract(a, b) {
+        return a.map((row, i) => row.map((value, j) => value - b[i][j]));
+    }
+
+    /**
+     * Multiply every entry by a scalar
+     * @param {Array<Array<number>>} a - Matrix
+     * @param {number} factor - Scalar
+     * @returns {Array<Array<number>>}
+     */
+    static scale(a, factor) {
+        return a.map(row => row.map(value => value * factor));
+    }
+
+    /**
+     * Inverse by Gauss-Jordan elimination with partial pivoting
+     * @param {Array<Array<number>>} a - Square matrix
+     * @returns {Array<Array<number>>}
+     * @throws {Error} If the matrix is singular
+     */
+    static inverse(a) {
+        const size = a.length;
+        const eye = Matrix.identity(size);
+        const work = a.map((row, i) => [...row, ...eye[i]]);
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(work[pivot][col]) < 1e-12) {
+                throw new Error('Matrix is singular');
+            }
+            [work[col], work[pivot]] = [work[pivot], work[col]];
+
+            const divisor = work[col][col];
+            for (let j = 0; j < 2 * size; j++) {
+                work[col][j] /= divisor;
+            }
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = work[row][col];
+                if (factor === 0) continue;
+                for (let j = 0; j < 2 * size; j++) {
+                    work[row][j] -= factor * work[col][j];
+                }
+            }
+        }
+
+        return work.map(row => row.slice(size));
+    }
+
+    /**
+     * Weighted linear least squares: minimize sum(w_i * (A_i * c - b_i)^2)
+     * @param {Array<Array<number>>} design - Design matrix A, one row per observation
+     * @param {Array<number>} values - Observations b
+     * @param {Array<number>} weights - Optional per-observation weights (1 / variance); defaults to 1
+     * @returns {Object} {coefficients, covariance (A^T W A)^-1, chiSquared (weighted residual sum)}
+     * @throws {Error} If the normal equations are singular
+     */
+    static leastSquares(design, values, weights = null) {
+        const w = weights || values.map(() => 1);
+        const weighted = design.map((row, i) => row.map(value => value * w[i]));
+        const normal = Matrix.multiply(Matrix.transpose(weighted), design);
+        const rhs = Matrix.multiply(Matrix.transpose(weighted), Matrix.column(values));
+
+        const covariance = Matrix.inverse(normal);
+        const coefficients = Matrix.multiply(covariance, rhs).map(row => row[0]);
+
+        let chiSquared = 0;
+        design.forEach((row, i) => {
+            const residual = row.reduce((sum, value, j) => sum + value * coefficients[j], 0) - values[i];
+            chiSquared += w[i] * residual * residual;
+        });
+
+        return { coefficients, covariance, chiSquared };
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Synthetic Putt Check
+ * Headless check of the measurement pipeline: putts from SyntheticFrameSource go through
+ * PuttAnalyzer (ROI prediction, ball tracker, ground-plane mapping, trajectory fit and
+ * roll-out) and the results are compared with the source's ground truth. The detectors
+ * need a browser, so detection is replaced by the true ball position plus seeded pixel noise.
+ *
+ * Usage: node tools/synthetic-check.js [--verbose]
+ * Exits with status 1 when a scenario misses its ground truth.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Loaded in index.html order; the classes become globals as they do in the page
+const SCRIPTS = [
+    'src/js/utils/matrix.js',
+    'src/js/camera/frame-buffer.js',
+    'src/js/sources/frame-source.js',
+    'src/js/sources/synthetic-frame-source.js',
+    'src/js/calculation/ground-plane-calibration.js',
+    'src/js/calculation/speed-calculator.js',
+    'src/js/tracking/roi-predictor.js',
+    'src/js/tracking/ball-tracker.js',
+    'src/js/analysis/putt-analyzer.js'
+];
+
+const SCENARIOS = [
+    { name: 'Default putt, 60 fps', options: {} },
+    { name: 'Slow putt on an angle, 60 fps', options: { initialSpeed: 0.9, directionDeg: 20, ballStartCm: { x: 40, y: 60 } } },
+    { name: 'Firm putt leaving the frame, 120 fps', options: { initialSpeed: 2.2, frameRate: 120, durationMs: 2000 } },
+    { name: 'Short recording, 30 fps', options: { frameRate: 30, durationMs: 1200, seed: 7 } },
+    { name: 'Skid then roll, 120 fps', options: { initialSpeed: 1.8, skidTimeMs: 250, frameRate: 120, seed: 3 } }
+];
+
+/**
+ * Stand-in for the ball detector: reports the true ball position with Gaussian noise
+ */
+class GroundTruthDetector {
+    /**
+     * @param {SyntheticFrameSource} source - Source whose ground truth is reported
+     * @param {number} noisePx - Standard deviation of the reported center in pixels
+     */
+    constructor(source, noisePx) {
+        this.source = source;
+        this.noisePx = noisePx;
+        this.inputWidth = 640;
+        this.inputHeight = 640;
+        this.random = source.createRandom(source.options.seed + 1000);
+    }
+
+    /**
+     * Detect the ball in a frame the way BallDetector reports it
+     * @param {Object} image - Frame image placeholder {width, height, groundTruth}
+     * @param {Object} roi - Optional search crop {x, y, width, height}
+     * @returns {Promise<Array>} Zero or one ball detection
+     */
+    async detectObjects(image, roi = null) {
+        const truth = image.groundTruth;
+        const radius = (this.source.options.ballDiameterCm / 2) * this.source.options.pixelsPerCm;
+        const area = roi || { x: 0, y: 0, width: image.width, height: image.height };
+        if (truth.x - radius < area.x || truth.x + radius > area.x + area.width ||
+            truth.y - radius < area.y || truth.y + radius > area.y + area.height) {
+            return [];
+        }
+
+        const x = truth.x + this.gaussian() * this.noisePx;
+        const y = truth.y + this.gaussian() * this.noisePx;
+        return [{
+            class: 'ball_golf',
+            confidence: 0.9,
+            bbox: { x: x - radius, y: y - radius, width: 2 * radius, height: 2 * radius },
+            center: { x: x, y: y, radius: radius, quality: 1 }
+        }];
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     * @returns {number}
+     */
+    gaussian() {
+        const u = Math.max(this.random(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    }
+}
+
+/**
+ * Run one scenario and compare it with the ground truth
+ * @param {Object} scenario - {name, options} for SyntheticFrameSource
+ * @returns {Promise<Array>} Checks {label, passed, detail}
+ */
+async function runScenario(scenario) {
+    const source = new SyntheticFrameSource(scenario.options);
+    const truth = source.getGroundTruthSummary();
+    const { width, height } = source.options;
+
+    // Same setup as the in-app synthetic test: calibrated from the rendered marker positions
+    const calculator = new SpeedCalculator();
+    const groundPlane = new GroundPlaneCalibration();
+    groundPlane.setMarkers(truth.markerPositions, truth.markerLayoutCm);
+    calculator.setGroundPlane(groundPlane);
+    const analyzer = new PuttAnalyzer(new GroundTruthDetector(source, 0.3), calculator);
+
+    const frames = [];
+    for (let frameNumber = 0; ; frameNumber++) {
+        const timestamp = source.getFrameTimestamp(frameNumber);
+        if (timestamp === null) break;
+        const groundTruth = source.getGroundTruth(timestamp);
+        frames.push({
+            timestamp: timestamp,
+            frameNumber: frameNumber,
+            droppedBefore: 0,
+            image: { width: width, height: height, groundTruth: groundTruth },
+            width: width,
+            height: height,
+            groundTruth: groundTruth
+        });
+    }
+
+    const result = await analyzer.analyze(frames);
+    const measurement = result.measurement;
+    if (!measurement.measured) {
+        return [{ label: 'measured', passed: false, detail: measurement.reason }];
+    }
+
+    const z = calculator.CONFIDENCE_Z;
+    const skidded = truth.skidDeceleration !== null;
+    // After a skid the headline speed is the launch speed, at impact rather than the first moving sample
+    const expectedSpeed = skidded ? truth.initialSpeed : source.getGroundTruth(measurement.startTimestamp).speed;
+    const { low, high } = measurement.confidenceInterval;
+    const rollout = measurement.rollout;
+    const expectedRoll = truth.stopDistanceCm / 100;
+    const launch = measurement.launch;
+    // The single-phase deceleration averages over a skid; the rolling phase has its own
+    const deceleration = skidded ? launch.rollDeceleration : measurement.deceleration;
+
+    const checks = [
+        {
+            label: 'initial speed',
+            passed: expectedSpeed >= low && expectedSpeed <= high,
+            detail: `${measurement.initialSpeed.toFixed(3)} m/s [${low.toFixed(3)}, ${high.toFixed(3)}], expected ${expectedSpeed.toFixed(3)}`
+        },
+        {
+            label: 'deceleration',
+            passed: deceleration !== null && Math.abs(deceleration - truth.deceleration) <= 0.15,
+            detail: `${deceleration !== null ? deceleration.toFixed(3) : 'n/a'} m/s^2, expected ${truth.deceleration.toFixed(3)}`
+        },
+        {
+            label: 'roll-out',
+            passed: Math.abs(rollout.rollDistance - expectedRoll) <= z * rollout.rollDistanceStd,
+            detail: `${rollout.rollDistance.toFixed(3)} \u00b1 ${rollout.rollDistanceStd.toFixed(3)} m, expected ${expectedRoll.toFixed(3)} ` +
+                `(${rollout.decelerationSource} deceleration)`
+        }
+    ];
+
+    if (!skidded) {
+        checks.push({
+            label: 'no skid',
+            passed: !launch.detected,
+            detail: launch.detected ? `skid of ${launch.skidDistance.toFixed(3)} m found` : launch.reason
+        });
+        return checks;
+    }
+    if (!launch.detected) {
+        checks.push({ label: 'skid', passed: false, detail: launch.reason });
+        return checks;
+    }
+
+    // Launch metrics must match the truth within their own confidence interval
+    const withinInterval = (label, value, std, expected, unit) => ({
+        label: label,
+        passed: Math.abs(value - expected) <= z * std,
+        detail: `${value.toFixed(3)} \u00b1 ${std.toFixed(3)} ${unit}, expected ${expected.toFixed(3)}`
+    });
+    checks.push(
+        withinInterval('launch speed', launch.launchSpeed, launch.launchSpeedStd, truth.initialSpeed, 'm/s'),
+        withinInterval('skid distance', launch.skidDistance, launch.skidDistanceStd, truth.skidDistanceCm / 100, 'm'),
+        withinInterval('transition time', launch.transitionTime, launch.transitionTimeStd, truth.skidTimeMs / 1000, 's')
+    );
+    return checks;
+}
+
+/**
+ * Load the app scripts, run every scenario and report
+ */
+async function main() {
+    SCRIPTS.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+
+    // The pipeline logs every step; keep the report readable unless asked
+    const log = console.log;
+    if (!process.argv.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    let failures = 0;
+    for (const scenario of SCENARIOS) {
+        const checks = await runScenario(scenario);
+        log(scenario.name);
+        checks.forEach(check => {
+            log(`  ${check.passed ? 'ok  ' : 'FAIL'} ${check.label}: ${check.detail}`);
+            if (!check.passed) failures++;
+        });
+    }
+
+    log(failures === 0 ? 'All synthetic checks passed' : `${failures} synthetic check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});